@@ -0,0 +1,20 @@
+-- Constrain board dimensions stored on game_sessions
+-- Rooms can now be created with any board size from 8x8 up to 16x16
+
+-- Backfill sessions recorded before the size was tracked
+UPDATE game_sessions SET grid_width = 10 WHERE grid_width IS NULL;
+UPDATE game_sessions SET grid_height = 10 WHERE grid_height IS NULL;
+
+ALTER TABLE game_sessions ALTER COLUMN grid_width SET NOT NULL;
+ALTER TABLE game_sessions ALTER COLUMN grid_height SET NOT NULL;
+
+-- Keep stored dimensions within the range supported by the game server
+ALTER TABLE game_sessions
+ADD CONSTRAINT game_sessions_grid_size_check CHECK (
+    grid_width BETWEEN 8 AND 16 AND grid_height BETWEEN 8 AND 16
+);
+
+-- Update comments to reflect variable board sizes
+COMMENT ON COLUMN game_sessions.grid_width IS 'Width of the game grid in cells (8-16)';
+COMMENT ON COLUMN game_sessions.grid_height IS 'Height of the game grid in cells (8-16)';
+COMMENT ON COLUMN game_sessions.final_grid IS 'JSON representation of the grid at game end (grid_width x grid_height)';
@@ -0,0 +1,19 @@
+-- Allow figure_definitions to hold figures from every figure set
+-- Figure types are no longer limited to the seven tetrominoes (e.g. 'I3', 'P5')
+
+-- Drop the tetromino-only check constraint
+ALTER TABLE figure_definitions DROP CONSTRAINT IF EXISTS figure_definitions_figure_type_check;
+
+-- Widen figure_type to fit multi-character type names
+ALTER TABLE figure_definitions ALTER COLUMN figure_type TYPE VARCHAR(10);
+
+-- Record the number of cells so sets of any polyomino size can be stored
+ALTER TABLE figure_definitions
+ADD COLUMN IF NOT EXISTS cell_count INTEGER DEFAULT 4 NOT NULL;
+
+ALTER TABLE figure_definitions
+ADD CONSTRAINT figure_definitions_cell_count_check CHECK (cell_count > 0);
+
+-- Add comments to document the columns
+COMMENT ON COLUMN figure_definitions.figure_type IS 'Figure type identifier from src/shared/figureSets.json (I, O, T, ..., I3, P5, ...)';
+COMMENT ON COLUMN figure_definitions.cell_count IS 'Number of cells in the figure';
@@ -0,0 +1,9 @@
+-- Allow 'kicked' as the ending reason of a game session
+-- Hosts can remove players from their room; those sessions end with this reason
+
+ALTER TABLE game_sessions DROP CONSTRAINT IF EXISTS game_sessions_ending_reason_check;
+
+ALTER TABLE game_sessions
+ADD CONSTRAINT game_sessions_ending_reason_check CHECK (
+    ending_reason = ANY(ARRAY['game_over'::character varying, 'disconnected'::character varying, 'room_closed'::character varying, 'kicked'::character varying]::text[])
+);
@@ -0,0 +1,7 @@
+-- Timed game modes (score attack, sprint, shot clock) are stored in game_sessions.game_mode
+-- Index completed sessions by mode so each mode can be ranked separately
+
+COMMENT ON COLUMN game_sessions.game_mode IS 'Game mode for the session (classic, score_attack, sprint, shot_clock)';
+
+CREATE INDEX IF NOT EXISTS idx_game_sessions_game_mode_score
+ON game_sessions (game_mode, score DESC);
@@ -0,0 +1,4 @@
+-- Game results are finishing positions now that stuck players are knocked out one by one
+-- Earlier sessions keep their win/loss/draw results
+
+COMMENT ON COLUMN game_sessions.game_result IS 'Finishing position of the player (1st, 2nd, 3rd, 4th); win, loss or draw for older sessions';
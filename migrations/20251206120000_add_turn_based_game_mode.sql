@@ -0,0 +1,3 @@
+-- Turn-based games are stored with game_mode 'turn_based'
+
+COMMENT ON COLUMN game_sessions.game_mode IS 'Game mode for the session (classic, score_attack, sprint, shot_clock, turn_based)';
@@ -0,0 +1,3 @@
+-- Versus games (a board per player, garbage lines) are stored with game_mode 'versus'
+
+COMMENT ON COLUMN game_sessions.game_mode IS 'Game mode for the session (classic, score_attack, sprint, shot_clock, turn_based, versus)';
@@ -0,0 +1,15 @@
+-- Co-op games (one team score, a shared line target) are stored with game_mode 'coop'
+-- and game_result 'win' or 'loss' for every member of the team
+
+COMMENT ON COLUMN game_sessions.game_mode IS 'Game mode for the session (classic, score_attack, sprint, shot_clock, turn_based, versus, coop)';
+COMMENT ON COLUMN game_sessions.game_result IS 'Finishing position of the player (1st, 2nd, 3rd, 4th); the team''s win or loss in co-op games; win, loss or draw for older sessions';
+
+-- Co-op games don't count towards the competitive totals
+ALTER TABLE game_statistics ADD COLUMN IF NOT EXISTS coop_games INTEGER DEFAULT 0 NOT NULL;
+ALTER TABLE game_statistics ADD COLUMN IF NOT EXISTS coop_wins INTEGER DEFAULT 0 NOT NULL;
+ALTER TABLE game_statistics ADD COLUMN IF NOT EXISTS coop_best_team_score INTEGER DEFAULT 0 NOT NULL;
+ALTER TABLE game_statistics ADD COLUMN IF NOT EXISTS coop_best_team_lines INTEGER DEFAULT 0 NOT NULL;
+ALTER TABLE game_statistics ADD COLUMN IF NOT EXISTS coop_total_play_time_seconds BIGINT DEFAULT 0 NOT NULL;
+
+COMMENT ON COLUMN game_statistics.coop_games IS 'Co-op games played';
+COMMENT ON COLUMN game_statistics.coop_wins IS 'Co-op games in which the team reached its line target';
@@ -0,0 +1,5 @@
+-- Team games (two teams on the shared board) are stored with game_mode 'teams'
+-- and game_result 'win', 'loss' or 'draw' for the player's team
+
+COMMENT ON COLUMN game_sessions.game_mode IS 'Game mode for the session (classic, score_attack, sprint, shot_clock, turn_based, versus, coop, teams)';
+COMMENT ON COLUMN game_sessions.game_result IS 'Finishing position of the player (1st, 2nd, 3rd, 4th); the team''s win or loss in co-op games; the team''s win, loss or draw in team games; win, loss or draw for older sessions';
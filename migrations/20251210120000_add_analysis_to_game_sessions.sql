@@ -0,0 +1,7 @@
+-- Move analysis of a finished game: how the player's placements compare with the best ones
+-- Filled in once the game ends; sessions finished before this migration have none
+
+ALTER TABLE game_sessions
+ADD COLUMN IF NOT EXISTS analysis JSONB;
+
+COMMENT ON COLUMN game_sessions.analysis IS 'Move analysis for the player: accuracy, points against the best placements, blunders and one entry per placement';
@@ -0,0 +1,7 @@
+-- Whether a placement was undone during the game (solo and practice rooms allow undo)
+-- Games that used undo are kept for statistics and replays but don't rank on leaderboards
+
+ALTER TABLE game_sessions
+ADD COLUMN IF NOT EXISTS used_undo BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN game_sessions.used_undo IS 'True if the player undid a placement during the game, which keeps it off the leaderboards';
@@ -0,0 +1,22 @@
+-- Daily challenge: one puzzle per UTC day, stored with game_mode 'daily'
+-- Its leaderboard is the first to write leaderboard_entries, so the table gets the columns LeaderboardRepository ranks by:
+-- entries are kept per game mode and season (the challenge's day for daily entries), one per player
+
+ALTER TABLE leaderboard_entries
+ADD COLUMN IF NOT EXISTS game_mode VARCHAR(50) NOT NULL DEFAULT 'classic',
+ADD COLUMN IF NOT EXISTS season_id VARCHAR(50) NOT NULL DEFAULT 'all_time',
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL;
+
+-- Entries are keyed by game mode and season rather than by leaderboard type
+ALTER TABLE leaderboard_entries ALTER COLUMN leaderboard_type DROP NOT NULL;
+ALTER TABLE leaderboard_entries ALTER COLUMN game_session_id DROP NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leaderboard_entries_user_mode_season
+ON leaderboard_entries (user_id, game_mode, season_id);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_mode_season_score
+ON leaderboard_entries (game_mode, season_id, score DESC);
+
+COMMENT ON COLUMN leaderboard_entries.game_mode IS 'Game mode the entry ranks in (classic, sprint, daily, ...)';
+COMMENT ON COLUMN leaderboard_entries.season_id IS 'Season the entry ranks in: all_time, weekly, or the day (YYYY-MM-DD) of a daily challenge';
+COMMENT ON COLUMN game_sessions.game_mode IS 'Game mode for the session (classic, score_attack, sprint, shot_clock, turn_based, versus, coop, teams, daily)';
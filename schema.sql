@@ -59,11 +59,12 @@ SET default_table_access_method = heap;
 
 CREATE TABLE public.figure_definitions (
     id uuid DEFAULT public.uuid_generate_v4() NOT NULL,
-    figure_type character varying(1) NOT NULL,
+    figure_type character varying(10) NOT NULL,
     cells jsonb NOT NULL,
     rotation_count integer DEFAULT 1 NOT NULL,
     created_at timestamp with time zone DEFAULT now() NOT NULL,
-    CONSTRAINT figure_definitions_figure_type_check CHECK (((figure_type)::text = ANY ((ARRAY['I'::character varying, 'O'::character varying, 'T'::character varying, 'S'::character varying, 'Z'::character varying, 'J'::character varying, 'L'::character varying])::text[])))
+    cell_count integer DEFAULT 4 NOT NULL,
+    CONSTRAINT figure_definitions_cell_count_check CHECK ((cell_count > 0))
 );
 
 
@@ -76,6 +77,20 @@ ALTER TABLE public.figure_definitions OWNER TO tactris_user;
 COMMENT ON TABLE public.figure_definitions IS 'Reference table for game figure definitions';
 
 
+--
+-- Name: COLUMN figure_definitions.figure_type; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.figure_definitions.figure_type IS 'Figure type identifier from src/shared/figureSets.json (I, O, T, ..., I3, P5, ...)';
+
+
+--
+-- Name: COLUMN figure_definitions.cell_count; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.figure_definitions.cell_count IS 'Number of cells in the figure';
+
+
 --
 -- Name: game_sessions; Type: TABLE; Schema: public; Owner: tactris_user
 --
@@ -97,7 +112,19 @@ CREATE TABLE public.game_sessions (
     average_time_per_figure numeric(5,2),
     max_combo integer DEFAULT 0 NOT NULL,
     max_single_game_score integer DEFAULT 0 NOT NULL,
-    CONSTRAINT game_sessions_ending_reason_check CHECK (((ending_reason)::text = ANY ((ARRAY['game_over'::character varying, 'disconnected'::character varying, 'room_closed'::character varying])::text[])))
+    game_mode character varying(50) DEFAULT 'classic'::character varying,
+    grid_width integer DEFAULT 10 NOT NULL,
+    grid_height integer DEFAULT 10 NOT NULL,
+    initial_grid jsonb,
+    duration_seconds integer,
+    score integer DEFAULT 0,
+    game_result character varying(20),
+    session_data jsonb,
+    updated_at timestamp with time zone DEFAULT now(),
+    analysis jsonb,
+    used_undo boolean DEFAULT false NOT NULL,
+    CONSTRAINT game_sessions_ending_reason_check CHECK (((ending_reason)::text = ANY ((ARRAY['game_over'::character varying, 'disconnected'::character varying, 'room_closed'::character varying, 'kicked'::character varying])::text[]))),
+    CONSTRAINT game_sessions_grid_size_check CHECK (((grid_width >= 8) AND (grid_width <= 16) AND (grid_height >= 8) AND (grid_height <= 16)))
 );
 
 
@@ -114,7 +141,84 @@ COMMENT ON TABLE public.game_sessions IS 'Individual game session records with d
 -- Name: COLUMN game_sessions.final_grid; Type: COMMENT; Schema: public; Owner: tactris_user
 --
 
-COMMENT ON COLUMN public.game_sessions.final_grid IS 'JSON representation of the 10x10 grid at game end';
+COMMENT ON COLUMN public.game_sessions.final_grid IS 'JSON representation of the grid at game end (grid_width x grid_height)';
+
+
+--
+-- Name: COLUMN game_sessions.game_mode; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_sessions.game_mode IS 'Game mode for the session (classic, score_attack, sprint, shot_clock, turn_based, versus, coop, teams, daily)';
+
+
+--
+-- Name: COLUMN game_sessions.grid_width; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_sessions.grid_width IS 'Width of the game grid in cells (8-16)';
+
+
+--
+-- Name: COLUMN game_sessions.grid_height; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_sessions.grid_height IS 'Height of the game grid in cells (8-16)';
+
+
+--
+-- Name: COLUMN game_sessions.initial_grid; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_sessions.initial_grid IS 'JSON representation of the initial game grid state';
+
+
+--
+-- Name: COLUMN game_sessions.duration_seconds; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_sessions.duration_seconds IS 'Duration of the game session in seconds';
+
+
+--
+-- Name: COLUMN game_sessions.score; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_sessions.score IS 'Score achieved in the game session';
+
+
+--
+-- Name: COLUMN game_sessions.game_result; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_sessions.game_result IS 'Finishing position of the player (1st, 2nd, 3rd, 4th); the team''s win or loss in co-op games; the team''s win, loss or draw in team games; win, loss or draw for older sessions';
+
+
+--
+-- Name: COLUMN game_sessions.session_data; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_sessions.session_data IS 'Additional session data stored as JSON';
+
+
+--
+-- Name: COLUMN game_sessions.updated_at; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_sessions.updated_at IS 'Timestamp of the last update to the game session record';
+
+
+--
+-- Name: COLUMN game_sessions.analysis; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_sessions.analysis IS 'Move analysis for the player: accuracy, points against the best placements, blunders and one entry per placement';
+
+
+--
+-- Name: COLUMN game_sessions.used_undo; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_sessions.used_undo IS 'True if the player undid a placement during the game, which keeps it off the leaderboards';
 
 
 --
@@ -124,8 +228,6 @@ COMMENT ON COLUMN public.game_sessions.final_grid IS 'JSON representation of the
 CREATE TABLE public.game_statistics (
     id uuid DEFAULT public.uuid_generate_v4() NOT NULL,
     user_id uuid NOT NULL,
-    total_games_played integer DEFAULT 0 NOT NULL,
-    total_games_won integer DEFAULT 0 NOT NULL,
     best_score integer DEFAULT 0 NOT NULL,
     best_lines_cleared integer DEFAULT 0 NOT NULL,
     total_lines_cleared bigint DEFAULT 0 NOT NULL,
@@ -133,10 +235,17 @@ CREATE TABLE public.game_statistics (
     total_play_time_seconds bigint DEFAULT 0 NOT NULL,
     average_score numeric(8,2) DEFAULT 0 NOT NULL,
     average_lines_per_game numeric(4,2) DEFAULT 0 NOT NULL,
-    win_rate numeric(5,4) DEFAULT 0 NOT NULL,
-    max_score_streak integer DEFAULT 0 NOT NULL,
-    max_combo_achieved integer DEFAULT 0 NOT NULL,
-    updated_at timestamp with time zone DEFAULT now() NOT NULL
+    updated_at timestamp with time zone DEFAULT now() NOT NULL,
+    total_games integer DEFAULT 0 NOT NULL,
+    total_score bigint DEFAULT 0 NOT NULL,
+    total_duration bigint DEFAULT 0 NOT NULL,
+    average_lines_cleared numeric(6,2) DEFAULT 0 NOT NULL,
+    average_duration numeric(8,2) DEFAULT 0 NOT NULL,
+    coop_games integer DEFAULT 0 NOT NULL,
+    coop_wins integer DEFAULT 0 NOT NULL,
+    coop_best_team_score integer DEFAULT 0 NOT NULL,
+    coop_best_team_lines integer DEFAULT 0 NOT NULL,
+    coop_total_play_time_seconds bigint DEFAULT 0 NOT NULL
 );
 
 
@@ -149,6 +258,20 @@ ALTER TABLE public.game_statistics OWNER TO tactris_user;
 COMMENT ON TABLE public.game_statistics IS 'Aggregated user statistics for performance tracking';
 
 
+--
+-- Name: COLUMN game_statistics.coop_games; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_statistics.coop_games IS 'Co-op games played';
+
+
+--
+-- Name: COLUMN game_statistics.coop_wins; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.game_statistics.coop_wins IS 'Co-op games in which the team reached its line target';
+
+
 --
 -- Name: leaderboard_entries; Type: TABLE; Schema: public; Owner: tactris_user
 --
@@ -156,8 +279,8 @@ COMMENT ON TABLE public.game_statistics IS 'Aggregated user statistics for perfo
 CREATE TABLE public.leaderboard_entries (
     id uuid DEFAULT public.uuid_generate_v4() NOT NULL,
     user_id uuid NOT NULL,
-    game_session_id uuid NOT NULL,
-    leaderboard_type character varying(20) NOT NULL,
+    game_session_id uuid,
+    leaderboard_type character varying(20),
     rank_position integer,
     score integer NOT NULL,
     lines_cleared integer NOT NULL,
@@ -166,6 +289,9 @@ CREATE TABLE public.leaderboard_entries (
     period_start timestamp with time zone,
     period_end timestamp with time zone,
     created_at timestamp with time zone DEFAULT now() NOT NULL,
+    game_mode character varying(50) DEFAULT 'classic'::character varying NOT NULL,
+    season_id character varying(50) DEFAULT 'all_time'::character varying NOT NULL,
+    updated_at timestamp with time zone DEFAULT now() NOT NULL,
     CONSTRAINT leaderboard_entries_leaderboard_type_check CHECK (((leaderboard_type)::text = ANY ((ARRAY['global_score'::character varying, 'global_lines'::character varying, 'weekly_score'::character varying, 'weekly_lines'::character varying, 'personal_best'::character varying])::text[])))
 );
 
@@ -193,6 +319,20 @@ COMMENT ON COLUMN public.leaderboard_entries.leaderboard_type IS 'Type of leader
 COMMENT ON COLUMN public.leaderboard_entries.period_start IS 'Start of time period for periodic leaderboards';
 
 
+--
+-- Name: COLUMN leaderboard_entries.game_mode; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.leaderboard_entries.game_mode IS 'Game mode the entry ranks in (classic, sprint, daily, ...)';
+
+
+--
+-- Name: COLUMN leaderboard_entries.season_id; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.leaderboard_entries.season_id IS 'Season the entry ranks in: all_time, weekly, or the day (YYYY-MM-DD) of a daily challenge';
+
+
 --
 -- Name: user_sessions; Type: TABLE; Schema: public; Owner: tactris_user
 --
@@ -306,6 +446,13 @@ COMMENT ON COLUMN public.users.is_anonymous IS 'Flag indicating if user is playi
 COMMENT ON COLUMN public.users.username IS 'Display name for the user';
 
 
+--
+-- Name: COLUMN users.anonymous_token; Type: COMMENT; Schema: public; Owner: tactris_user
+--
+
+COMMENT ON COLUMN public.users.anonymous_token IS 'Unique token for identifying anonymous users across sessions';
+
+
 --
 -- Name: figure_definitions figure_definitions_figure_type_key; Type: CONSTRAINT; Schema: public; Owner: tactris_user
 --
@@ -386,14 +533,6 @@ ALTER TABLE ONLY public.user_settings
     ADD CONSTRAINT user_settings_user_id_key UNIQUE (user_id);
 
 
---
--- Name: users users_anonymous_token_key; Type: CONSTRAINT; Schema: public; Owner: tactris_user
---
-
-ALTER TABLE ONLY public.users
-    ADD CONSTRAINT users_anonymous_token_key UNIQUE (anonymous_token);
-
-
 --
 -- Name: users users_anonymous_id_key; Type: CONSTRAINT; Schema: public; Owner: tactris_user
 --
@@ -426,6 +565,41 @@ ALTER TABLE ONLY public.users
     ADD CONSTRAINT users_pkey PRIMARY KEY (id);
 
 
+--
+-- Name: idx_game_sessions_game_mode_score; Type: INDEX; Schema: public; Owner: tactris_user
+--
+
+CREATE INDEX idx_game_sessions_game_mode_score ON public.game_sessions USING btree (game_mode, score DESC);
+
+
+--
+-- Name: idx_leaderboard_entries_mode_season_score; Type: INDEX; Schema: public; Owner: tactris_user
+--
+
+CREATE INDEX idx_leaderboard_entries_mode_season_score ON public.leaderboard_entries USING btree (game_mode, season_id, score DESC);
+
+
+--
+-- Name: idx_leaderboard_entries_user_mode_season; Type: INDEX; Schema: public; Owner: tactris_user
+--
+
+CREATE UNIQUE INDEX idx_leaderboard_entries_user_mode_season ON public.leaderboard_entries USING btree (user_id, game_mode, season_id);
+
+
+--
+-- Name: idx_users_anonymous_token; Type: INDEX; Schema: public; Owner: tactris_user
+--
+
+CREATE UNIQUE INDEX idx_users_anonymous_token ON public.users USING btree (anonymous_token);
+
+
+--
+-- Name: game_sessions update_game_sessions_updated_at; Type: TRIGGER; Schema: public; Owner: tactris_user
+--
+
+CREATE TRIGGER update_game_sessions_updated_at BEFORE UPDATE ON public.game_sessions FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+
 --
 -- Name: user_sessions update_user_sessions_updated_at; Type: TRIGGER; Schema: public; Owner: tactris_user
 --
@@ -1,13 +1,25 @@
-export const FIGURES = {
-    I: [[0, 0], [1, 0], [2, 0], [3, 0]],
-    O: [[0, 0], [1, 0], [0, 1], [1, 1]],
-    T: [[0, 0], [1, 0], [2, 0], [1, 1]],
-    S: [[1, 0], [2, 0], [0, 1], [1, 1]],
-    Z: [[0, 0], [1, 0], [1, 1], [2, 1]],
-    J: [[1, 0], [1, 1], [1, 2], [0, 2]],
-    L: [[0, 0], [0, 1], [0, 2], [1, 2]]
-};
-
-export const FIGURE_ROTATIONS = {
-    I: 2, O: 1, T: 4, S: 2, Z: 2, J: 4, L: 4
-};
+import figureSetDefinitions from '../../shared/figureSets.json';
+
+// Cell definitions for every known figure type (shared with the server)
+export const FIGURES = figureSetDefinitions.figures;
+
+export const DEFAULT_FIGURE_SET = figureSetDefinitions.defaultSet;
+
+// Figure sets a room can be created with
+export const FIGURE_SETS = Object.entries(figureSetDefinitions.sets).map(([name, definition]) => ({
+    name,
+    label: definition.label
+}));
+
+export const DEFAULT_RANDOMIZER = 'exclude_hand';
+
+// Strategies the server can use to pick the next figure type
+export const RANDOMIZERS = [
+    { name: 'exclude_hand', label: 'No repeats in hand' },
+    { name: 'random', label: 'Pure random' },
+    { name: 'bag', label: 'Bag (each figure once)' },
+    { name: 'history', label: 'History (avoid recent)' }
+];
+
+// Number of upcoming figures a room can show (0 disables the preview queue)
+export const PREVIEW_SIZE_OPTIONS = [0, 1, 2, 3, 4, 5];
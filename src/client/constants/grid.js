@@ -0,0 +1,7 @@
+// Board dimensions supported by the server (cells per side)
+export const DEFAULT_GRID_SIZE = 10;
+export const MIN_GRID_SIZE = 8;
+export const MAX_GRID_SIZE = 16;
+
+// Board sizes offered when creating a room
+export const GRID_SIZE_OPTIONS = [8, 10, 12, 14, 16];
@@ -0,0 +1,67 @@
+// Seats a room can have; the player panels show at most three opponents
+export const DEFAULT_MAX_PLAYERS = 4;
+export const MAX_PLAYERS_OPTIONS = [1, 2, 3, 4];
+
+// Game modes the server knows (src/shared/engine/gameModes.js)
+export const DEFAULT_GAME_MODE = 'classic';
+export const GAME_MODES = [
+  { name: 'classic', label: 'Classic' },
+  { name: 'score_attack', label: 'Score attack (2 min)' },
+  { name: 'sprint', label: 'Sprint' },
+  { name: 'shot_clock', label: 'Shot clock' },
+  { name: 'turn_based', label: 'Turn based' },
+  { name: 'versus', label: 'Versus' },
+  { name: 'coop', label: 'Co-op' },
+  { name: 'teams', label: 'Teams (2v2)' }
+];
+// Modes without a clock, which can be played offline in the browser
+export const OFFLINE_GAME_MODES = ['classic', 'sprint'];
+export const DEFAULT_SPRINT_LINES = 20;
+export const SPRINT_LINE_OPTIONS = [10, 20, 40];
+export const DEFAULT_SHOT_CLOCK_SECONDS = 10;
+export const SHOT_CLOCK_OPTIONS = [5, 10, 15, 30];
+export const DEFAULT_TURN_SECONDS = 20;
+export const TURN_SECONDS_OPTIONS = [10, 20, 30, 60];
+export const DEFAULT_COOP_LINES = 30;
+export const COOP_LINE_OPTIONS = [20, 30, 50];
+
+// Why a round ended, as sent with game_over
+export const END_REASON_LABELS = {
+  no_moves: 'No more moves possible.',
+  last_standing: 'Last player standing.',
+  time_up: 'Time is up.',
+  target_reached: 'The line target was reached.',
+  shot_clock: 'The last players ran out of time for their move.'
+};
+
+// Hints each player may ask for in a round; 0 turns hints off (MAX_HINT_LIMIT in src/shared/engine/Game.js)
+export const HINT_LIMIT_OPTIONS = [0, 3, 5, 10];
+
+// Team games: teams are numbered from 0 on the server
+export const getTeamName = (team) => `Team ${team + 1}`;
+
+// Bots the host can seat in the lobby (src/utils/bots.js)
+export const DEFAULT_BOT_DIFFICULTY = 'medium';
+export const BOT_DIFFICULTIES = [
+  { name: 'easy', label: 'Easy' },
+  { name: 'medium', label: 'Medium' },
+  { name: 'hard', label: 'Hard' }
+];
+
+// How a player is named in lists: 'You', 'Bot (Hard)' or 'Player'
+export const getPlayerName = (player, myPlayerId) => {
+  if (player && player.id === myPlayerId) {
+    return 'You';
+  }
+  if (player && player.bot) {
+    const difficulty = BOT_DIFFICULTIES.find(option => option.name === player.bot);
+    return `Bot (${difficulty ? difficulty.label : player.bot})`;
+  }
+  return 'Player';
+};
+
+// Finishing position as shown to players, e.g. 1 -> '1st'
+export const formatPlacement = (placement) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return `${placement}${suffixes[placement] || 'th'}`;
+};
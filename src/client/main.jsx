@@ -2,9 +2,27 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './styles/fonts.css';
 import GameBoardMain from './modules/ui/components/GameBoardMain';
+import ReplayViewer from './modules/ui/components/ReplayViewer';
+import GameAnalysis from './modules/ui/components/GameAnalysis';
+import SocketManager from './modules/network/SocketManager';
+import { OFFLINE_ROOM_ID } from './modules/network/OfflineSocket';
+
+const params = new URLSearchParams(window.location.search);
+
+// ?replay=<sessionId> opens the replay viewer instead of the game
+const replaySessionId = params.get('replay');
+// ?analysis=<sessionId> opens the move analysis of a finished game
+const analysisSessionId = params.get('analysis');
+
+// ?offline plays solo games in the browser; the offline game's own page stays offline on reload
+if (params.has('offline') || params.get('room') === OFFLINE_ROOM_ID) {
+    SocketManager.useOffline();
+}
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
-        <GameBoardMain />
+        {replaySessionId && <ReplayViewer sessionId={replaySessionId} />}
+        {!replaySessionId && analysisSessionId && <GameAnalysis sessionId={analysisSessionId} />}
+        {!replaySessionId && !analysisSessionId && <GameBoardMain />}
     </React.StrictMode>
 );
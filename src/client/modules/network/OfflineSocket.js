@@ -0,0 +1,298 @@
+import { Game } from '../../../shared/engine/Game.js';
+import { createModeRules, OFFLINE_GAME_MODES } from '../../../shared/engine/gameModes.js';
+import { generateSeed, isValidSeed } from '../../../shared/engine/seededRandom.js';
+import { HINT_MOVES, getBestMoves } from '../../../shared/engine/solver.js';
+import { saveOfflineGame } from './offlineGames';
+
+// The one room and player of an offline game
+export const OFFLINE_ROOM_ID = 'offline';
+const OFFLINE_PLAYER_ID = 'local';
+const ROUND_COUNTDOWN_MS = 3000;
+
+/**
+ * Stands in for the socket.io socket and plays a solo game in the browser
+ * It runs the same Game as the server and answers the events the server would,
+ * so the game screens work unchanged; finished games are uploaded for statistics
+ */
+class OfflineSocket {
+    constructor() {
+        this.id = OFFLINE_PLAYER_ID;
+        this.connected = true;
+        this.listeners = new Map();
+        this.game = null;
+        this.countdownTimer = null;
+    }
+
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+        return this;
+    }
+
+    // Like socket.io, off(event) without a callback removes every listener of the event
+    off(event, callback) {
+        if (!callback) {
+            this.listeners.delete(event);
+        } else if (this.listeners.has(event)) {
+            this.listeners.set(event, this.listeners.get(event).filter(listener => listener !== callback));
+        }
+        return this;
+    }
+
+    // Deliver an event to the page asynchronously, as the server's would arrive
+    receive(event, data) {
+        setTimeout(() => {
+            (this.listeners.get(event) || []).forEach(callback => callback(data));
+        }, 0);
+    }
+
+    // Requests the page sends to the "server"
+    emit(event, data = {}) {
+        switch (event) {
+            case 'get_rooms':
+                this.receive('rooms_list', []);
+                break;
+            case 'create_room':
+                this.createGame(data);
+                break;
+            case 'join_room':
+            case 'rejoin_room':
+            case 'spectate_room':
+                this.receive('error', 'Room not found');
+                break;
+            case 'start_game':
+                this.startGame();
+                break;
+            case 'place_pixel':
+                this.placePixel(data);
+                break;
+            case 'place_figure':
+                this.placeFigure(data);
+                break;
+            case 'hold_figure':
+                this.holdFigure(data);
+                break;
+            case 'hint':
+                this.hint();
+                break;
+            case 'undo_move':
+                this.undoMove();
+                break;
+            case 'update_player_color':
+                this.updatePlayerColor(data);
+                break;
+            case 'restart_game':
+                this.restartGame(data);
+                break;
+            case 'update_room_settings':
+                this.updateSettings(data);
+                break;
+            default:
+                this.receive('error', 'Not available offline');
+        }
+        return this;
+    }
+
+    // Room options as create_room and update_room_settings send them
+    getModeRules({ mode, sprintLines }) {
+        if (!OFFLINE_GAME_MODES.includes(mode)) {
+            throw new Error(`Game mode not available offline: ${mode}`);
+        }
+        return createModeRules(mode, { sprintLines });
+    }
+
+    createGame({ color, rotateable = false, width, height, figureSet, seed = generateSeed(), randomizer, previewSize, hold = false, hints = 0, mode = 'classic', sprintLines }) {
+        if (!isValidSeed(seed)) {
+            this.receive('error', 'Invalid seed');
+            return;
+        }
+        try {
+            this.game = new Game(OFFLINE_ROOM_ID, rotateable, {
+                gridWidth: width,
+                gridHeight: height,
+                figureSet,
+                seed,
+                randomizer,
+                previewSize,
+                holdEnabled: Boolean(hold),
+                hintLimit: hints,
+                maxPlayers: 1,
+                modeRules: this.getModeRules({ mode, sprintLines })
+            });
+        } catch (error) {
+            this.receive('error', error.message.startsWith('Game mode') ? error.message : 'Invalid room settings');
+            return;
+        }
+        this.game.addPlayer(OFFLINE_PLAYER_ID, color);
+        this.receive('room_created', {
+            roomId: OFFLINE_ROOM_ID,
+            playerId: OFFLINE_PLAYER_ID,
+            invite: null,
+            state: this.game.getState(),
+            playersList: this.game.getPlayersList()
+        });
+    }
+
+    startGame() {
+        const game = this.game;
+        if (!game || !game.startCountdown(ROUND_COUNTDOWN_MS)) {
+            this.receive('error', 'The round has already started');
+            return;
+        }
+        this.receive('countdown_started', { roomId: OFFLINE_ROOM_ID, durationMs: ROUND_COUNTDOWN_MS });
+        this.receive('game_update', game.getState());
+        this.countdownTimer = setTimeout(() => {
+            this.countdownTimer = null;
+            if (this.game !== game || !game.startRound()) {
+                return;
+            }
+            this.receive('round_started', { roomId: OFFLINE_ROOM_ID });
+            this.receive('game_update', game.getState());
+        }, ROUND_COUNTDOWN_MS);
+    }
+
+    placePixel({ status, position }) {
+        if (this.game && this.game.placePixel(OFFLINE_PLAYER_ID, status, position)) {
+            this.receive('game_update', this.game.getState());
+        } else {
+            this.receive('error', 'Invalid move');
+        }
+    }
+
+    placeFigure({ pixels }) {
+        if (!this.game) {
+            return;
+        }
+        if (this.game.placeFigure(OFFLINE_PLAYER_ID, pixels)) {
+            this.checkRoundOver();
+        } else {
+            this.receive('error', 'Invalid move');
+            // Revert client state
+            this.receive('game_update', this.game.getState());
+        }
+    }
+
+    holdFigure({ figureIndex }) {
+        if (this.game && this.game.holdFigure(OFFLINE_PLAYER_ID, figureIndex)) {
+            // The swapped hand may leave no playable figure
+            this.checkRoundOver();
+        } else {
+            this.receive('error', 'Cannot hold figure');
+        }
+    }
+
+    hint() {
+        if (!this.game) {
+            this.receive('error', 'Room not found');
+            return;
+        }
+        if (this.game.hintLimit === 0) {
+            this.receive('error', 'Hints are off in this room');
+            return;
+        }
+        if (!this.game.useHint(OFFLINE_PLAYER_ID)) {
+            this.receive('error', 'No hints left');
+            return;
+        }
+        this.receive('hint', {
+            roomId: OFFLINE_ROOM_ID,
+            moves: getBestMoves(this.game, OFFLINE_PLAYER_ID, { count: HINT_MOVES, lookahead: true }),
+            hintsLeft: this.game.hintLimit - this.game.players.get(OFFLINE_PLAYER_ID).hintsUsed
+        });
+    }
+
+    // Offline games have one player, so they can always take back their last placement
+    undoMove() {
+        if (this.game && this.game.undoMove(OFFLINE_PLAYER_ID)) {
+            this.receive('game_update', this.game.getState());
+        } else {
+            this.receive('error', 'Nothing to undo');
+        }
+    }
+
+    // After a move: knock the player out if they're stuck, and finish the round once it is decided
+    checkRoundOver() {
+        const game = this.game;
+        game.eliminateStuckPlayers();
+        const isOver = game.checkGameOver();
+        this.receive('game_update', game.getState());
+        if (!isOver) {
+            return;
+        }
+        this.receive('game_over', {
+            reason: game.endReason,
+            winnerId: game.winnerId,
+            placements: game.getPlacements(),
+            team: game.getTeamResult(),
+            teams: game.getTeamStandings()
+        });
+        saveOfflineGame(structuredClone(game.getReplay())).then((sessionId) => {
+            if (sessionId) {
+                // The server analyses offline games as it stores them
+                this.receive('replay_available', { sessionId });
+                this.receive('analysis_available', { sessionId });
+            }
+        });
+    }
+
+    updatePlayerColor({ color }) {
+        if (this.game && this.game.updatePlayerColor(OFFLINE_PLAYER_ID, color)) {
+            this.receive('game_update', this.game.getState());
+            this.receive('players_list_updated', { playersList: this.game.getPlayersList() });
+        } else {
+            this.receive('error', 'Room not found');
+        }
+    }
+
+    restartGame({ seed = generateSeed() }) {
+        if (!this.game) {
+            this.receive('error', 'Room not found');
+            return;
+        }
+        if (!isValidSeed(seed)) {
+            this.receive('error', 'Invalid seed');
+            return;
+        }
+        clearTimeout(this.countdownTimer);
+        this.countdownTimer = null;
+        this.game.restart(seed);
+        this.receive('game_update', this.game.getState());
+        this.receive('players_list_updated', { playersList: this.game.getPlayersList() });
+        this.receive('game_restarted');
+    }
+
+    updateSettings({ settings = {} }) {
+        if (!this.game) {
+            this.receive('error', 'Room not found');
+            return;
+        }
+        if (this.game.getStatus() === 'playing') {
+            this.receive('error', 'Settings can only be changed between rounds');
+            return;
+        }
+        const { rotateable, width, height, figureSet, randomizer, previewSize, hold, hints, mode, sprintLines } = settings;
+        try {
+            this.game.updateSettings(Object.fromEntries(Object.entries({
+                rotateable,
+                gridWidth: width,
+                gridHeight: height,
+                figureSet,
+                randomizer,
+                previewSize,
+                holdEnabled: hold,
+                hintLimit: hints,
+                modeRules: mode === undefined ? undefined : this.getModeRules({ mode, sprintLines })
+            }).filter(([, value]) => value !== undefined)));
+        } catch (error) {
+            this.receive('error', 'Invalid room settings');
+            return;
+        }
+
+        // New rules start a new round
+        this.restartGame({});
+    }
+}
+
+export default OfflineSocket;
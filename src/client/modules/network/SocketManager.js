@@ -1,28 +1,44 @@
 import { io } from 'socket.io-client';
+import OfflineSocket from './OfflineSocket';
+import { uploadPendingGames } from './offlineGames';
 
 class SocketManager {
     constructor() {
         this.socket = null;
+        this.playerId = null; // Our player ID in the current room (the persistent user ID)
+        this.pendingRoomRequest = null; // Last join/spectate request, resent when the room asks for a password
+        this.offline = false; // Solo games played in the browser instead of on the server
         this.eventListeners = new Map();
     }
 
+    // Play offline: must be called before the first connect()
+    useOffline() {
+        this.offline = true;
+    }
+
+    isOffline() {
+        return this.offline;
+    }
+
     connect() {
-        if (!this.socket) {
+        if (!this.socket && this.offline) {
+            this.socket = new OfflineSocket();
+            this.setupRoomEventListeners();
+        } else if (!this.socket) {
             // Determine the server URL based on environment
             const protocol = window.location.protocol === 'https:' ? 'https:' : 'http:';
             const host = window.location.hostname;
             const serverUrl = `${protocol}//${host}`;
             
-            // Get the anonymous token from localStorage if it exists
-            const anonymousToken = localStorage.getItem('anonymousToken');
-
             this.socket = io(serverUrl, {
                 transports: ['websocket', 'polling'],
                 timeout: 20000,
                 forceNew: true,
-                // Send the anonymous token with the connection handshake
-                auth: {
-                    anonymousToken: anonymousToken || undefined
+                // Send the anonymous token with every handshake; read it each time so a
+                // reconnect reuses the token issued on the first connection
+                auth: (callback) => {
+                    const anonymousToken = localStorage.getItem('anonymousToken');
+                    callback({ anonymousToken: anonymousToken || undefined });
                 }
             });
             
@@ -39,6 +55,8 @@ class SocketManager {
                     // Store the user_id in localStorage
                     localStorage.setItem('userId', data.user_id);
                 }
+                // Games finished while offline can be credited now
+                uploadPendingGames();
             });
         }
         return this.socket;
@@ -48,14 +66,22 @@ class SocketManager {
         return this.socket;
     }
 
+    getPlayerId() {
+        // Before joining a room the server hasn't told us our player ID yet
+        return this.playerId || (this.socket && this.socket.id);
+    }
+
     setupRoomEventListeners() {
             // Map server events to client events
             const eventMappings = {
                 'room_created': 'roomCreated',
                 'room_joined': 'roomJoined',
+                'room_spectating': 'roomSpectating',
+                'room_rejoined': 'roomRejoined',
                 'player_joined': 'playerJoined',
                 'player_left': 'playerLeft',
-                'players_list_updated': 'playersListUpdated'
+                'players_list_updated': 'playersListUpdated',
+                'room_closed': 'roomClosed'
             };
     
             // Set up event listeners based on the mapping
@@ -64,6 +90,15 @@ class SocketManager {
                     this.emit(clientEvent, data);
                 });
             });
+
+            // Remember which player we are in the room
+            ['room_created', 'room_joined', 'room_rejoined'].forEach((serverEvent) => {
+                this.socket.on(serverEvent, (data) => {
+                    if (data && data.playerId) {
+                        this.playerId = data.playerId;
+                    }
+                });
+            });
         }
 
     // Event listener management
@@ -90,12 +125,40 @@ class SocketManager {
         }
     }
 
-    createRoom(color, rotateable = false) {
-            this.socket.emit('create_room', { color, rotateable });
+    createRoom(color, rotateable = false, settings = {}) {
+            // settings: optional room options such as { width, height, figureSet, seed, randomizer, previewSize, hold, hints, practice, maxPlayers, mode, sprintLines, shotClockSeconds, turnSeconds, coopLines, visibility, password }
+            this.socket.emit('create_room', { color, rotateable, ...settings });
         }
 
-    joinRoom(roomId, color) {
-        this.socket.emit('join_room', { roomId, color });
+    // Today's daily challenge in a private solo room; the server answers with 'room_created'
+    startDailyChallenge(color) {
+        this.socket.emit('start_daily_challenge', { color });
+    }
+
+    // access: optional { inviteCode, password } for unlisted, private or password-protected rooms
+    joinRoom(roomId, color, access = {}) {
+        this.sendRoomRequest('join_room', { roomId, color, ...access });
+    }
+
+    rejoinRoom(roomId) {
+        this.socket.emit('rejoin_room', { roomId });
+    }
+
+    spectateRoom(roomId, access = {}) {
+        this.sendRoomRequest('spectate_room', { roomId, ...access });
+    }
+
+    sendRoomRequest(event, data) {
+        this.pendingRoomRequest = { event, data };
+        this.socket.emit(event, data);
+    }
+
+    // Resend the last join/spectate request with a password
+    retryRoomRequest(password) {
+        if (this.pendingRoomRequest) {
+            const { event, data } = this.pendingRoomRequest;
+            this.sendRoomRequest(event, { ...data, password });
+        }
     }
 
     placePixel(roomId, status, position) {
@@ -106,6 +169,20 @@ class SocketManager {
         this.socket.emit('place_figure', { roomId, pixels });
     }
 
+    holdFigure(roomId, figureIndex) {
+        this.socket.emit('hold_figure', { roomId, figureIndex });
+    }
+
+    // Spends one of the room's hints; the server answers with a 'hint' event
+    requestHint(roomId) {
+        this.socket.emit('hint', { roomId });
+    }
+
+    // Takes back the player's last placement in solo and practice rooms
+    undoMove(roomId) {
+        this.socket.emit('undo_move', { roomId });
+    }
+
     getRooms() {
         this.socket.emit('get_rooms');
     }
@@ -114,8 +191,43 @@ class SocketManager {
         this.socket.emit('update_player_color', { roomId, color: newColor });
     }
 
-    restartGame(roomId) {
-        this.socket.emit('restart_game', { roomId });
+    restartGame(roomId, seed) {
+        // Omitting the seed lets the server pick a random one
+        this.socket.emit('restart_game', seed === undefined ? { roomId } : { roomId, seed });
+    }
+
+    setReady(roomId, ready) {
+        this.socket.emit('set_ready', { roomId, ready });
+    }
+
+    setTeam(roomId, team) {
+        this.socket.emit('set_team', { roomId, team });
+    }
+
+    // Host-only room controls
+    startGame(roomId) {
+        this.socket.emit('start_game', { roomId });
+    }
+
+    addBot(roomId, difficulty) {
+        this.socket.emit('add_bot', { roomId, difficulty });
+    }
+
+    kickPlayer(roomId, playerId) {
+        this.socket.emit('kick_player', { roomId, playerId });
+    }
+
+    lockRoom(roomId, locked) {
+        this.socket.emit('lock_room', { roomId, locked });
+    }
+
+    transferHost(roomId, playerId) {
+        this.socket.emit('transfer_host', { roomId, playerId });
+    }
+
+    updateRoomSettings(roomId, settings) {
+        // settings: any of { rotateable, width, height, figureSet, randomizer, previewSize, hold, hints, practice, maxPlayers, mode }
+        this.socket.emit('update_room_settings', { roomId, settings });
     }
 }
 
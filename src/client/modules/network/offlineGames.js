@@ -0,0 +1,91 @@
+// Finished offline games that couldn't be uploaded yet, kept across page loads
+const PENDING_GAMES_KEY = 'pendingOfflineGames';
+// Oldest games are dropped past this many, so a long time offline can't fill localStorage
+const MAX_PENDING_GAMES = 20;
+
+const readPendingGames = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_GAMES_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const writePendingGames = (replays) => {
+    localStorage.setItem(PENDING_GAMES_KEY, JSON.stringify(replays.slice(-MAX_PENDING_GAMES)));
+};
+
+// A replay is identified by its seed; the server stores each player's game once per seed
+const removePendingGame = (seed) => {
+    writePendingGames(readPendingGames().filter(replay => replay.seed !== seed));
+};
+
+/**
+ * Upload a finished offline game; the server re-plays it before it counts towards statistics
+ * @param {Object} replay - Replay of the game (Game.getReplay())
+ * @returns {Promise<string>} ID of the stored game session
+ */
+const uploadOfflineGame = async (replay) => {
+    // The token comes with the first connection to the server; without it there is nobody to credit
+    const anonymousToken = localStorage.getItem('anonymousToken');
+    if (!anonymousToken) {
+        throw new Error('Not connected to the server yet');
+    }
+
+    const response = await fetch('/api/user/sessions/offline', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-session-token': anonymousToken
+        },
+        body: JSON.stringify({ replay })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || 'Failed to upload offline game');
+        error.status = response.status;
+        throw error;
+    }
+    return data.sessionId;
+};
+
+// The server refused the game (a bad replay or request); sending it again would fail the same way.
+// A 401 can pass once the player has a valid token, and 408 and 429 just ask to try again later
+const RETRYABLE_STATUSES = [401, 408, 429];
+const isRejected = (error) => error.status >= 400 && error.status < 500 && !RETRYABLE_STATUSES.includes(error.status);
+
+/**
+ * Upload a finished offline game, or keep it to upload once the server is reachable
+ * @param {Object} replay - Replay of the game (Game.getReplay())
+ * @returns {Promise<string|null>} ID of the stored game session, or null if it wasn't stored (yet)
+ */
+export const saveOfflineGame = async (replay) => {
+    try {
+        return await uploadOfflineGame(replay);
+    } catch (error) {
+        if (!isRejected(error)) {
+            writePendingGames([...readPendingGames(), replay]);
+        }
+        console.warn('Offline game not uploaded:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Upload the offline games kept while the server couldn't be reached
+ * Stops at the first game that fails for a reason other than being rejected, and tries again next time
+ * @returns {Promise<void>}
+ */
+export const uploadPendingGames = async () => {
+    for (const replay of readPendingGames()) {
+        try {
+            await uploadOfflineGame(replay);
+        } catch (error) {
+            if (!isRejected(error)) {
+                return;
+            }
+            console.warn('Offline game rejected by the server:', error.message);
+        }
+        removePendingGame(replay.seed);
+    }
+};
@@ -0,0 +1,45 @@
+import React from 'react';
+import { useDailyChallenge } from '../hooks/useDailyChallenge';
+import './GameBoard.css';
+
+// A day's challenge and its leaderboard; with onPlay it offers to play today's challenge
+const DailyChallenge = ({ challengeId = null, myPlayerId = null, onPlay = null, refreshKey = 0 }) => {
+    const { challenge, error } = useDailyChallenge(challengeId, refreshKey);
+
+    if (error) {
+        return <div className="daily-challenge">{error}</div>;
+    }
+    if (!challenge) {
+        return <div className="daily-challenge">Loading daily challenge...</div>;
+    }
+
+    return (
+        <div className="daily-challenge">
+            <div className="daily-challenge-header">
+                <strong>Daily challenge {challenge.challengeId}</strong>
+                {onPlay && (
+                    <button onClick={onPlay} className="join-btn">
+                        Play
+                    </button>
+                )}
+            </div>
+            {onPlay && <p className="daily-challenge-note">Same board and figures for everyone today. Your first attempt counts if you're signed in.</p>}
+            {challenge.leaderboard.length === 0 ? (
+                <p className="daily-challenge-note">No results yet.</p>
+            ) : (
+                <ol className="daily-leaderboard">
+                    {challenge.leaderboard.map(entry => (
+                        <li key={entry.userId} className={entry.userId === myPlayerId ? 'daily-leaderboard-me' : undefined}>
+                            <span className="daily-leaderboard-rank">{entry.rank}</span>
+                            <span className="daily-leaderboard-name">{entry.userId === myPlayerId ? 'You' : (entry.username || 'Player')}</span>
+                            <span className="daily-leaderboard-score">{entry.score}</span>
+                            <span className="daily-leaderboard-lines">{entry.linesCleared} lines</span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+export default DailyChallenge;
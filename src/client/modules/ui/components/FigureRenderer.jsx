@@ -13,8 +13,9 @@ const FigureRenderer = ({
 
   const shape = figure.cells;
 
-  // Create a 4x4 grid for the figure
-  const w = 4, h = 4;
+  // Size the grid to the figure's bounding box (at least 4x4 so tetrominoes keep their layout)
+  const w = Math.max(4, ...shape.map(([x]) => x + 1));
+  const h = Math.max(4, ...shape.map(([, y]) => y + 1));
   const grid = Array(h).fill(null).map(() => Array(w).fill(false));
   shape.forEach(([x, y]) => {
     if (grid[y] && grid[y][x] !== undefined) {
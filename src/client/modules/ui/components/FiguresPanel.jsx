@@ -1,8 +1,7 @@
 import React from 'react';
-import { FIGURES } from '../../../constants/figures';
 import FigureRenderer from './FigureRenderer';
 
-const FiguresPanel = ({ score, figures, playerColor }) => {
+const FiguresPanel = ({ score, figures, playerColor, queue = [], hold = null, holdEnabled = false, canHold = false, onHold }) => {
 
     return (
         <div className="figures-panel">
@@ -13,17 +12,60 @@ const FiguresPanel = ({ score, figures, playerColor }) => {
                 <div style={{ display: 'flex' }}>
                     {figures.map((figure, i) => (
                         <div key={i} style={{ marginRight: '10px' }}>
-                            <FigureRenderer 
-                                figure={figure} 
+                            <FigureRenderer
+                                figure={figure}
                                 color={playerColor}
                                 cellSize={10}
                                 gap="1px"
                                 margin="5px"
                             />
+                            {holdEnabled && (
+                                <button
+                                    className="hold-btn"
+                                    onClick={() => onHold && onHold(i)}
+                                    disabled={!canHold}
+                                >
+                                    Hold
+                                </button>
+                            )}
                         </div>
                     ))}
                 </div>
             )}
+            {holdEnabled && (
+                <div className="hold-slot">
+                    <div className="figures-panel-label">Hold</div>
+                    {hold ? (
+                        <FigureRenderer
+                            figure={hold}
+                            color={playerColor}
+                            cellSize={8}
+                            gap="1px"
+                            margin="2px"
+                        />
+                    ) : (
+                        <div className="hold-slot-empty">—</div>
+                    )}
+                </div>
+            )}
+            {queue.length > 0 && (
+                <div className="preview-queue">
+                    <div className="figures-panel-label">Next</div>
+                    <div style={{ display: 'flex' }}>
+                        {queue.map((figure, i) => (
+                            <div key={i} style={{ marginRight: '5px', opacity: 1 - i * 0.12 }}>
+                                <FigureRenderer
+                                    figure={figure}
+                                    color={playerColor}
+                                    cellSize={6}
+                                    gap="1px"
+                                    margin="2px"
+                                />
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
         </div>
     );
 };
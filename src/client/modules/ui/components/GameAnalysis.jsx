@@ -0,0 +1,88 @@
+import React from 'react';
+import FigureRenderer from './FigureRenderer';
+import { FIGURES } from '../../../constants/figures';
+import { useGameAnalysis } from '../hooks/useGameAnalysis';
+import './GameBoard.css';
+
+// Post-game screen: how each placement compared with the best one available at the time
+const GameAnalysis = ({ sessionId }) => {
+    const { analysisData, error } = useGameAnalysis(sessionId);
+
+    if (error) {
+        return (
+            <div className="replay-viewer">
+                <p>{error}</p>
+                <a href={window.location.pathname}>Back to rooms</a>
+            </div>
+        );
+    }
+
+    if (!analysisData) {
+        return <div className="replay-viewer">Loading analysis...</div>;
+    }
+
+    const { analysis } = analysisData;
+
+    return (
+        <div className="replay-viewer">
+            <div className="replay-header">
+                <a href={window.location.pathname}>Back to rooms</a>
+                <a href={`?replay=${sessionId}`}>Watch Replay</a>
+            </div>
+
+            <div className="analysis-summary">
+                <div>
+                    <span className="analysis-value">{analysis.accuracy === null ? '–' : `${analysis.accuracy}%`}</span>
+                    Accuracy
+                </div>
+                <div>
+                    <span className="analysis-value">{analysis.bestMoves}/{analysis.placements}</span>
+                    Best moves
+                </div>
+                <div>
+                    <span className="analysis-value">{analysis.points}/{analysis.bestPoints}</span>
+                    Points (best possible)
+                </div>
+                <div>
+                    <span className="analysis-value">{analysis.blunders}</span>
+                    {analysis.blunders === 1 ? 'Blunder' : 'Blunders'}
+                </div>
+            </div>
+
+            <table className="analysis-moves">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Figure</th>
+                        <th>Points</th>
+                        <th>Best</th>
+                        <th>Accuracy</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {analysis.moves.map((move, index) => (
+                        <tr key={move.moveIndex} className={move.blunder ? 'analysis-blunder' : undefined}>
+                            <td>{index + 1}</td>
+                            <td>
+                                <FigureRenderer
+                                    figure={{ type: move.figure, cells: FIGURES[move.figure] }}
+                                    color="var(--occupied-pixel-color)"
+                                    cellSize={6}
+                                    gap="1px"
+                                    margin="0"
+                                />
+                            </td>
+                            <td>{move.points}</td>
+                            <td>{move.bestPoints}</td>
+                            <td>{move.accuracy}%</td>
+                            <td>{move.blunder ? 'Blunder: left no room for the rest of the hand' : (move.accuracy === 100 ? 'Best move' : '')}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default GameAnalysis;
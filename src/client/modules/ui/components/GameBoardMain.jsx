@@ -3,9 +3,18 @@ import { useGameState } from '../hooks/useGameState';
 import { useDrawingInteraction } from '../hooks/useDrawingInteraction';
 import { useTheme } from '../hooks/useTheme';
 import { getUserColor } from '../../../utils/colorUtils.js';
+import { getGridSize } from '../../../utils/gridUtils.js';
+import { getInviteLink } from '../../../utils/roomUtils.js';
+import { formatPlacement } from '../../../constants/room';
 import RoomManager from './RoomManager';
 import GameOverOverlay from './GameOverOverlay';
 import SettingsModal from './SettingsModal';
+import HostControls from './HostControls';
+import RoundLobby from './RoundLobby';
+import GameTimer from './GameTimer';
+import PlayerPanels from './PlayerPanels';
+import FiguresPanel from './FiguresPanel';
+import SocketManager from '../../network/SocketManager';
 
 const GameBoardMain = () => {
     const {
@@ -13,10 +22,50 @@ const GameBoardMain = () => {
         roomId,
         rooms,
         myFigures,
+        myQueue,
+        myHold,
+        canHold,
+        holdEnabled,
         score,
         gameOver,
+        rotateable,
+        replaySessionId,
+        analysisSessionId,
+        isSpectator,
+        reconnectingPlayers,
+        invite,
+        players,
+        roomSettings,
+        isHost,
+        phase,
+        countdownEndsAt,
+        modeRules,
+        timers,
+        currentTurnPlayerId,
+        gameResult,
+        team,
+        teams,
+        hint,
+        hintsLeft,
+        isEliminated,
+        setReady,
+        setMyTeam,
+        startGame,
+        addBot,
+        requestHint,
+        undoMove,
         createRoom,
+        startDailyChallenge,
+        dailyChallenge,
         joinRoom,
+        joinByInviteCode,
+        holdFigure,
+        spectateRoom,
+        restartGame,
+        kickPlayer,
+        transferHost,
+        lockRoom,
+        updateRoomSettings,
         gridRef,
         roomIdRef
     } = useGameState();
@@ -26,11 +75,15 @@ const GameBoardMain = () => {
 
     const playerColor = React.useMemo(() => getUserColor(), []);
 
+    // Turn-based games: the board only takes input on our turn
+    const isWaitingForTurn = Boolean(currentTurnPlayerId) && currentTurnPlayerId !== SocketManager.getPlayerId();
+    const isReadOnly = isSpectator || isEliminated || isWaitingForTurn || phase !== 'playing';
+
     const {
         handleMouseDown,
         handleMouseEnter,
         handleInteraction
-    } = useDrawingInteraction(gridRef, roomIdRef, gameOver, myFigures);
+    } = useDrawingInteraction(gridRef, roomIdRef, gameOver, myFigures, rotateable, isReadOnly);
 
     const [previewKey, setPreviewKey] = React.useState(0);
 
@@ -56,6 +109,32 @@ const GameBoardMain = () => {
         // This will trigger the global touch end handler in useDrawingInteraction
     };
 
+    const { width: gridWidth, height: gridHeight } = getGridSize(grid);
+
+    // Cells of the hinted moves: the best one stands out, the runners-up are marked lightly
+    const hintCells = React.useMemo(() => {
+        const cells = new Map();
+        (hint || []).slice().reverse().forEach((move, index, moves) => {
+            const className = index === moves.length - 1 ? 'grid-cell-hint' : 'grid-cell-hint-alt';
+            move.pixels.forEach(({ x, y }) => cells.set(`${x},${y}`, className));
+        });
+        return cells;
+    }, [hint]);
+
+    // Convert a pointer position to board cell coordinates
+    const getCellFromPoint = (clientX, clientY) => {
+        const rect = gridRef.current.getBoundingClientRect();
+        return {
+            x: Math.floor((clientX - rect.left) * gridWidth / rect.width),
+            y: Math.floor((clientY - rect.top) * gridHeight / rect.height)
+        };
+    };
+
+    const handleCopyInviteLink = () => {
+        navigator.clipboard.writeText(getInviteLink(roomId, invite))
+            .catch(() => alert('Could not copy the invite link'));
+    };
+
     const handleSettingsToggle = () => {
         setIsSettingsOpen(!isSettingsOpen);
     };
@@ -75,48 +154,153 @@ const GameBoardMain = () => {
                 onThemeChange={handleThemeChange}
             />
 
-            {gameOver && <GameOverOverlay />}
+            {gameOver && (
+                <GameOverOverlay
+                    replaySessionId={replaySessionId}
+                    analysisSessionId={analysisSessionId}
+                    onRestart={restartGame}
+                    canRestart={isHost}
+                    endReason={gameResult ? gameResult.reason : undefined}
+                    placements={gameResult ? gameResult.placements : undefined}
+                    team={gameResult ? gameResult.team : undefined}
+                    teams={gameResult ? gameResult.teams : undefined}
+                    players={players}
+                    myPlayerId={SocketManager.getPlayerId()}
+                    dailyChallenge={dailyChallenge}
+                />
+            )}
 
             {!roomId && (
                 <RoomManager
                     rooms={rooms}
                     onCreateRoom={createRoom}
                     onJoinRoom={joinRoom}
+                    onJoinByInviteCode={joinByInviteCode}
+                    onSpectateRoom={spectateRoom}
                     onCreateRoomTouch={(e) => e.preventDefault()}
                     onJoinRoomTouch={(e, roomId) => e.preventDefault()}
+                    onStartDaily={startDailyChallenge}
+                    myPlayerId={SocketManager.getPlayerId()}
+                    offline={SocketManager.isOffline()}
                 />
             )}
             
 
 
             <div className="game-content">
+                {isSpectator && <div className="spectator-badge">Spectating</div>}
+                {isEliminated && !gameOver && (
+                    <div className="spectator-badge">
+                        You're out ({formatPlacement(players.find(player => player.id === SocketManager.getPlayerId()).placement)}) - watching until the round ends
+                    </div>
+                )}
+                {roomId && (phase === 'lobby' || phase === 'countdown') && (
+                    <RoundLobby
+                        phase={phase}
+                        players={players}
+                        myPlayerId={SocketManager.getPlayerId()}
+                        isHost={isHost}
+                        isSpectator={isSpectator}
+                        countdownEndsAt={countdownEndsAt}
+                        teams={teams}
+                        maxPlayers={roomSettings ? roomSettings.maxPlayers : players.length}
+                        canAddBots={!SocketManager.isOffline()}
+                        onSetReady={setReady}
+                        onSetTeam={setMyTeam}
+                        onStart={startGame}
+                        onAddBot={addBot}
+                    />
+                )}
+                {roomId && phase === 'playing' && (
+                    <GameTimer
+                        modeRules={modeRules}
+                        timers={timers}
+                        players={players}
+                        myPlayerId={SocketManager.getPlayerId()}
+                        currentTurnPlayerId={currentTurnPlayerId}
+                        team={team}
+                        teams={teams}
+                    />
+                )}
+                {roomId && phase === 'playing' && !isReadOnly && roomSettings && roomSettings.hintLimit > 0 && (
+                    <button onClick={requestHint} disabled={hintsLeft <= 0} className="join-btn hint-btn">
+                        Hint ({hintsLeft} left)
+                    </button>
+                )}
+                {roomId && phase === 'playing' && !isReadOnly && roomSettings && roomSettings.undoAllowed && (
+                    <button onClick={undoMove} disabled={!roomSettings.canUndo} className="join-btn undo-btn">
+                        Undo
+                    </button>
+                )}
+                {roomId && roomSettings && roomSettings.usedUndo && (
+                    <p className="undo-note">Undo was used, so this game won't count towards your statistics or the leaderboards</p>
+                )}
+                {roomId && isHost && roomSettings && roomSettings.mode !== 'daily' && (
+                    <HostControls
+                        players={players}
+                        myPlayerId={SocketManager.getPlayerId()}
+                        roomSettings={roomSettings}
+                        onKick={kickPlayer}
+                        onTransferHost={transferHost}
+                        onLock={lockRoom}
+                        onUpdateSettings={updateRoomSettings}
+                        offline={SocketManager.isOffline()}
+                    />
+                )}
+                {roomId && invite && (
+                    <div className="room-invite">
+                        Invite code: <span className="room-invite-code">{invite.code}</span>
+                        {invite.hasPassword && ' 🔒'}
+                        <button onClick={handleCopyInviteLink} className="join-btn">
+                            Copy link
+                        </button>
+                    </div>
+                )}
+                {reconnectingPlayers.map(player => (
+                    <div key={player.id} className="player-reconnecting">
+                        <span className="player-color-dot" style={{ backgroundColor: player.color }}></span>
+                        Reconnecting…
+                    </div>
+                ))}
+                {/* Our hand, with the preview queue and hold slot when the room has them */}
+                {roomId && !isSpectator && phase !== 'lobby' && phase !== 'countdown' && (
+                    <FiguresPanel
+                        score={score}
+                        figures={myFigures}
+                        playerColor={playerColor}
+                        queue={myQueue}
+                        hold={myHold}
+                        holdEnabled={holdEnabled}
+                        canHold={canHold && phase === 'playing'}
+                        onHold={holdFigure}
+                    />
+                )}
 
+                <div className="game-board-wrapper">
+                {/* Versus games: opponents' boards in the corners; team games: the other players' teams and teammates' hands */}
+                {modeRules && (modeRules.separateBoards || modeRules.teamCount) && (
+                    <PlayerPanels playersList={players} currentSocketId={SocketManager.getPlayerId()} teams={teams} />
+                )}
                 <div
                   key={previewKey}
                   ref={gridRef}
-                  className="game-board"
+                  className={isReadOnly ? 'game-board game-board-readonly' : 'game-board'}
                   onMouseDown={(e) => {
                     if (!gridRef.current) return;
                     e.preventDefault();
-                    const rect = gridRef.current.getBoundingClientRect();
-                    const x = Math.floor((e.clientX - rect.left) * 10 / rect.width);
-                    const y = Math.floor((e.clientY - rect.top) * 10 / rect.height);
+                    const { x, y } = getCellFromPoint(e.clientX, e.clientY);
                     handleMouseDown(x, y, setGridPreview, e);
                   }}
                   onMouseEnter={(e) => {
                     if (!gridRef.current) return;
-                    const rect = gridRef.current.getBoundingClientRect();
-                    const x = Math.floor((e.clientX - rect.left) * 10 / rect.width);
-                    const y = Math.floor((e.clientY - rect.top) * 10 / rect.height);
+                    const { x, y } = getCellFromPoint(e.clientX, e.clientY);
                     handleMouseEnter(x, y, setGridPreview);
                   }}
                   onTouchStart={(e) => {
                     if (!gridRef.current || e.touches.length === 0) return;
                     e.preventDefault();
                     const touch = e.touches[0];
-                    const rect = gridRef.current.getBoundingClientRect();
-                    const x = Math.floor((touch.clientX - rect.left) * 10 / rect.width);
-                    const y = Math.floor((touch.clientY - rect.top) * 10 / rect.height);
+                    const { x, y } = getCellFromPoint(touch.clientX, touch.clientY);
                     const fakeEvent = { button: 0, preventDefault: () => {} };
                     handleMouseDown(x, y, setGridPreview, fakeEvent);
                   }}
@@ -124,28 +308,27 @@ const GameBoardMain = () => {
                     if (!gridRef.current || e.touches.length === 0) return;
                     e.preventDefault();
                     const touch = e.touches[0];
-                    const rect = gridRef.current.getBoundingClientRect();
-                    const x = Math.floor((touch.clientX - rect.left) * 10 / rect.width);
-                    const y = Math.floor((touch.clientY - rect.top) * 10 / rect.height);
+                    const { x, y } = getCellFromPoint(touch.clientX, touch.clientY);
                     handleMouseEnter(x, y, setGridPreview);
                   }}
                   onTouchEnd={handleTouchEnd}
-                  style={{ touchAction: 'none' }}
+                  style={{ touchAction: 'none', '--grid-columns': gridWidth, '--grid-rows': gridHeight }}
                 >
                   {grid.map((row, rowIndex) =>
                     row.map((cell, colIndex) => (
                       <div
                         key={`${colIndex}-${rowIndex}`}
-                        className="grid-cell"
+                        className={hintCells.has(`${colIndex},${rowIndex}`) ? `grid-cell ${hintCells.get(`${colIndex},${rowIndex}`)}` : 'grid-cell'}
                         style={{
                           backgroundColor: cell
-                            ? (cell.state === 'drawing' ? (cell.color || 'red') : 'var(--occupied-pixel-color)')
+                            ? (cell.state === 'drawing' || cell.garbage ? (cell.color || 'red') : 'var(--occupied-pixel-color)')
                             : 'var(--cell-bg)',
                         }}
                       />
                     ))
                   )}
                 </div>
+                </div>
             </div>
         </div>
     );
@@ -8,17 +8,19 @@ const GameGrid = ({
     onPointerDown,
     onPointerMove,
     onPointerUp,
-    onPointerCancel
+    onPointerCancel,
+    readOnly = false
 }) => {
     return (
         <div style={{ display: 'flex', flexDirection: 'column' }}>
             <div
                 ref={boardRef}
-                className="game-board"
-                onPointerDown={onPointerDown}
-                onPointerMove={onPointerMove}
-                onPointerUp={onPointerUp}
-                onPointerCancel={onPointerCancel}
+                className={readOnly ? 'game-board game-board-readonly' : 'game-board'}
+                style={{ '--grid-columns': grid[0]?.length, '--grid-rows': grid.length }}
+                onPointerDown={readOnly ? undefined : onPointerDown}
+                onPointerMove={readOnly ? undefined : onPointerMove}
+                onPointerUp={readOnly ? undefined : onPointerUp}
+                onPointerCancel={readOnly ? undefined : onPointerCancel}
             >
                 {grid.map((row, y) =>
                     row.map((cell, x) => (
@@ -1,16 +1,114 @@
 import React from 'react';
+import { END_REASON_LABELS, formatPlacement, getTeamName, getPlayerName } from '../../../constants/room';
+import { getTeamColor } from '../../../utils/colorUtils';
+import DailyChallenge from './DailyChallenge';
+
+// Whether a daily challenge attempt made the leaderboard
+const getDailyStatus = ({ ranked, signedIn, recorded }) => {
+    if (!signedIn) return 'Sign in to put your daily challenge results on the leaderboard; this one was for practice.';
+    if (!ranked) return 'Only your first attempt of the day ranks; this one was for practice.';
+    if (recorded === null) return 'Saving your result…';
+    return recorded ? "Your result is on today's leaderboard." : "This attempt doesn't rank: it used undo, or you already have a result today.";
+};
+
+// Only the host can start a new round; without onRestart the button reloads the page
+// A daily challenge room plays one game, so it links back to the rooms instead
+const GameOverOverlay = ({
+    replaySessionId = null,
+    analysisSessionId = null,
+    onRestart = null,
+    canRestart = true,
+    endReason = 'no_moves',
+    placements = [],
+    players = [],
+    myPlayerId = null,
+    team = null,
+    teams = null,
+    dailyChallenge = null
+}) => {
+    const myPlacement = placements.find(entry => entry.playerId === myPlayerId);
+    const myTeam = teams ? teams.find(entry => entry.playerIds.includes(myPlayerId)) : null;
+    const teamOutcomeLabels = { win: 'Your team wins!', loss: 'Your team lost.', draw: "It's a draw." };
+    const getPlayer = (playerId) => players.find(player => player.id === playerId) || { id: playerId };
+    const getColor = (playerId) => getPlayer(playerId).color;
 
-const GameOverOverlay = () => {
     return (
         <div className="game-over-overlay">
             <h2>Game Over!</h2>
-            <p>No more moves possible.</p>
-            <button 
-                onClick={() => window.location.reload()}
-                className="restart-btn"
-            >
-                Play Again
-            </button>
+            <p>{END_REASON_LABELS[endReason] || END_REASON_LABELS.no_moves}</p>
+            {team && (
+                <p>
+                    {team.outcome === 'win' ? 'Your team wins!' : 'Your team fell short.'}
+                    {' '}Lines {team.linesCleared}/{team.targetLines}, team score {team.score}.
+                </p>
+            )}
+            {teams && (
+                <>
+                    {myTeam && <p>{teamOutcomeLabels[myTeam.outcome]}</p>}
+                    <ol className="game-over-placements">
+                        {teams.map(entry => (
+                            <li key={entry.team}>
+                                <span
+                                    className="player-color-dot"
+                                    style={{ backgroundColor: getTeamColor(entry.playerIds.map(getColor)) }}
+                                ></span>
+                                {getTeamName(entry.team)}
+                                <span className="game-over-placement">{entry.outcome}</span>
+                                <span className="game-over-score">{entry.score}</span>
+                            </li>
+                        ))}
+                    </ol>
+                </>
+            )}
+            {!team && !teams && myPlacement && (
+                <p>{myPlacement.placement === 1 ? 'You win!' : `You finished ${formatPlacement(myPlacement.placement)}.`}</p>
+            )}
+            {!team && !teams && placements.length > 1 && (
+                <ol className="game-over-placements">
+                    {placements.map(entry => (
+                        <li key={entry.playerId}>
+                            <span className="game-over-placement">{formatPlacement(entry.placement)}</span>
+                            <span className="player-color-dot" style={{ backgroundColor: getColor(entry.playerId) }}></span>
+                            {getPlayerName(getPlayer(entry.playerId), myPlayerId)}
+                            <span className="game-over-score">{entry.score}</span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+            {dailyChallenge && (
+                <>
+                    <p>{getDailyStatus(dailyChallenge)}</p>
+                    <DailyChallenge
+                        challengeId={dailyChallenge.challengeId}
+                        myPlayerId={myPlayerId}
+                        refreshKey={String(dailyChallenge.recorded)}
+                    />
+                </>
+            )}
+            {dailyChallenge ? (
+                <a href={window.location.pathname} className="replay-link">
+                    Back to rooms
+                </a>
+            ) : canRestart ? (
+                <button 
+                    onClick={() => (onRestart ? onRestart() : window.location.reload())}
+                    className="restart-btn"
+                >
+                    Play Again
+                </button>
+            ) : (
+                <p>Waiting for the host to start a new round…</p>
+            )}
+            {replaySessionId && (
+                <a href={`?replay=${replaySessionId}`} className="replay-link">
+                    Watch Replay
+                </a>
+            )}
+            {analysisSessionId && (
+                <a href={`?analysis=${analysisSessionId}`} className="replay-link">
+                    Move Analysis
+                </a>
+            )}
         </div>
     );
 };
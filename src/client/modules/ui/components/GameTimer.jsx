@@ -0,0 +1,66 @@
+import React from 'react';
+import { getTeamName } from '../../../constants/room';
+
+// Format a duration as m:ss, rounded up so the clock reads 0:00 only at the end
+const formatClock = (milliseconds) => {
+  const totalSeconds = Math.ceil(milliseconds / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Time left, shot clock, turn, sprint and team progress for the game modes with limits
+const GameTimer = ({ modeRules, timers, players, myPlayerId, currentTurnPlayerId = null, team = null, teams = null }) => {
+  if (!modeRules || modeRules.mode === 'classic') {
+    return null;
+  }
+
+  const me = players.find(player => player.id === myPlayerId);
+  const myShotClock = timers && timers.shotClocks ? timers.shotClocks[myPlayerId] : undefined;
+  const turnPlayer = players.find(player => player.id === currentTurnPlayerId);
+  const turnRemainingMs = timers && timers.turnRemainingMs !== null && timers.turnRemainingMs !== undefined
+    ? timers.turnRemainingMs
+    : modeRules.turnTimeMs;
+
+  return (
+    <div className="game-timer">
+      {modeRules.timeLimitMs && (
+        <span className="game-timer-clock">
+          {formatClock(timers && timers.remainingMs !== null ? timers.remainingMs : modeRules.timeLimitMs)}
+        </span>
+      )}
+      {modeRules.targetLines && (
+        <span className="game-timer-lines">
+          Lines {me ? me.linesCleared : 0}/{modeRules.targetLines}
+        </span>
+      )}
+      {modeRules.teamTargetLines && (
+        <span className="game-timer-lines">
+          Team lines {team ? team.linesCleared : 0}/{modeRules.teamTargetLines}
+          {' · '}Score {team ? team.score : 0}
+        </span>
+      )}
+      {modeRules.teamCount && teams && teams.map(entry => (
+        <span key={entry.team} className="game-timer-lines">
+          <span className="player-color-dot" style={{ backgroundColor: entry.color }}></span>
+          {getTeamName(entry.team)}{me && me.team === entry.team && ' (you)'} {entry.score}
+        </span>
+      ))}
+      {modeRules.shotClockMs && myShotClock !== undefined && (
+        <span className={myShotClock < 3000 ? 'game-timer-clock game-timer-urgent' : 'game-timer-clock'}>
+          Move: {formatClock(myShotClock)}
+        </span>
+      )}
+      {modeRules.turnTimeMs && turnPlayer && (
+        <span className="game-timer-turn">
+          <span className="player-color-dot" style={{ backgroundColor: turnPlayer.color }}></span>
+          {turnPlayer.id === myPlayerId ? 'Your turn' : 'Waiting for turn'}
+          {' '}
+          <span className={turnPlayer.id === myPlayerId && turnRemainingMs < 5000 ? 'game-timer-clock game-timer-urgent' : 'game-timer-clock'}>
+            {formatClock(turnRemainingMs)}
+          </span>
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default GameTimer;
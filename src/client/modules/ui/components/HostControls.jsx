@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { GRID_SIZE_OPTIONS } from '../../../constants/grid';
+import { MAX_PLAYERS_OPTIONS, DEFAULT_GAME_MODE, GAME_MODES, OFFLINE_GAME_MODES, HINT_LIMIT_OPTIONS, getPlayerName } from '../../../constants/room';
+
+const HostControls = ({
+  players,
+  myPlayerId,
+  roomSettings,
+  onKick,
+  onTransferHost,
+  onLock,
+  onUpdateSettings,
+  offline = false
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [gridSize, setGridSize] = useState(roomSettings.gridWidth);
+  const [maxPlayers, setMaxPlayers] = useState(roomSettings.maxPlayers);
+  const [rotateable, setRotateable] = useState(roomSettings.rotateable);
+  const [mode, setMode] = useState(roomSettings.mode || DEFAULT_GAME_MODE);
+  const [hints, setHints] = useState(roomSettings.hintLimit || 0);
+  const [practice, setPractice] = useState(Boolean(roomSettings.practice));
+
+  // Rules can only change before the first figure or after the game ends
+  const betweenRounds = roomSettings.status !== 'playing';
+  const otherPlayers = players.filter(player => player.id !== myPlayerId);
+  // Offline games are solo, in the modes the browser can run
+  const modeOptions = offline ? GAME_MODES.filter(option => OFFLINE_GAME_MODES.includes(option.name)) : GAME_MODES;
+
+  const handleApply = () => {
+    onUpdateSettings({ width: gridSize, height: gridSize, maxPlayers, rotateable, mode, hints, practice });
+  };
+
+  if (!isOpen) {
+    return (
+      <button onClick={() => setIsOpen(true)} className="join-btn host-controls-toggle">
+        Host controls
+      </button>
+    );
+  }
+
+  return (
+    <div className="host-controls">
+      <div className="host-controls-header">
+        <strong>Host controls</strong>
+        <button onClick={() => setIsOpen(false)} className="join-btn">Close</button>
+      </div>
+
+      {!offline && (
+        <label className="room-option-select">
+          <input
+            type="checkbox"
+            checked={roomSettings.locked}
+            onChange={(e) => onLock(e.target.checked)}
+          />
+          Lock room
+        </label>
+      )}
+
+      {otherPlayers.length > 0 && (
+        <ul className="host-controls-players">
+          {otherPlayers.map(player => (
+            <li key={player.id}>
+              <span className="player-color-dot" style={{ backgroundColor: player.color }}></span>
+              {player.bot && `${getPlayerName(player, myPlayerId)} `}
+              {player.score}
+              {!player.bot && (
+                <button onClick={() => onTransferHost(player.id)} className="join-btn">
+                  Make host
+                </button>
+              )}
+              <button onClick={() => onKick(player.id)} className="join-btn">
+                Kick
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="host-controls-settings">
+        <select
+          value={gridSize}
+          onChange={(e) => setGridSize(parseInt(e.target.value, 10))}
+          className="room-option-select"
+          aria-label="Board size"
+        >
+          {GRID_SIZE_OPTIONS.map(size => (
+            <option key={size} value={size}>{size}×{size}</option>
+          ))}
+        </select>
+        {!offline && (
+          <select
+            value={maxPlayers}
+            onChange={(e) => setMaxPlayers(parseInt(e.target.value, 10))}
+            className="room-option-select"
+            aria-label="Players"
+          >
+            {MAX_PLAYERS_OPTIONS.map(count => (
+              <option key={count} value={count} disabled={count < players.length}>
+                {count} {count === 1 ? 'player' : 'players'}
+              </option>
+            ))}
+          </select>
+        )}
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          className="room-option-select"
+          aria-label="Game mode"
+        >
+          {modeOptions.map(option => (
+            <option key={option.name} value={option.name}>{option.label}</option>
+          ))}
+        </select>
+        <label className="room-option-select">
+          <input
+            type="checkbox"
+            checked={rotateable}
+            onChange={(e) => setRotateable(e.target.checked)}
+          />
+          Rotation
+        </label>
+        {!offline && (
+          <label className="room-option-select">
+            <input
+              type="checkbox"
+              checked={practice}
+              onChange={(e) => setPractice(e.target.checked)}
+            />
+            Practice (undo allowed)
+          </label>
+        )}
+        <select
+          value={hints}
+          onChange={(e) => setHints(parseInt(e.target.value, 10))}
+          className="room-option-select"
+          aria-label="Hints"
+        >
+          {HINT_LIMIT_OPTIONS.map(count => (
+            <option key={count} value={count}>{count === 0 ? 'No hints' : `${count} hints`}</option>
+          ))}
+        </select>
+        <button onClick={handleApply} disabled={!betweenRounds} className="join-btn">
+          Apply and restart
+        </button>
+        {!betweenRounds && <p className="host-controls-note">Settings can be changed between rounds.</p>}
+      </div>
+    </div>
+  );
+};
+
+export default HostControls;
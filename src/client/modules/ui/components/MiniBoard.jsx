@@ -0,0 +1,30 @@
+import React from 'react';
+
+// Small read-only view of an opponent's board in versus games
+const MiniBoard = ({ board, cellSize = 6 }) => {
+  if (!board || board.length === 0) return null;
+
+  return (
+    <div
+      className="mini-board"
+      style={{ gridTemplateColumns: `repeat(${board[0].length}, ${cellSize}px)` }}
+    >
+      {board.map((row, y) =>
+        row.map((cell, x) => (
+          <div
+            key={`${x}-${y}`}
+            style={{
+              width: `${cellSize}px`,
+              height: `${cellSize}px`,
+              backgroundColor: cell
+                ? (cell.state === 'drawing' ? cell.color : (cell.garbage ? cell.color : 'var(--occupied-pixel-color)'))
+                : 'var(--cell-bg)'
+            }}
+          />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default MiniBoard;
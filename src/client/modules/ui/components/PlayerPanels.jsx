@@ -1,8 +1,14 @@
 import React from 'react';
 import Panel from './Panel';
 import FigureRenderer from './FigureRenderer';
+import MiniBoard from './MiniBoard';
+import { getTeamName } from '../../../constants/room';
+
+// In team games only teammates' hands are shown (a spectator, with no team, sees everyone's)
+const PlayerPanels = ({ playersList, currentSocketId, teams = null }) => {
+    const me = playersList.find(player => player.id === currentSocketId);
+    const myTeam = me ? me.team : null;
 
-const PlayerPanels = ({ playersList, currentSocketId }) => {
     // Filter out current player and take up to 3 other players
     const otherPlayers = playersList
         .filter(player => player.id !== currentSocketId)
@@ -14,18 +20,35 @@ const PlayerPanels = ({ playersList, currentSocketId }) => {
         <>
             {otherPlayers.map((player, index) => {
                 const position = positions[index] || 'top-right';
+                const team = teams ? teams.find(entry => entry.team === player.team) : null;
+                const showHand = !teams || myTeam === null || myTeam === undefined || player.team === myTeam;
 
                 return (
-                    <Panel key={player.id} position={position}>
+                    <Panel key={player.id} position={position} className={team && player.team === myTeam ? 'panel-teammate' : ''}>
                         <div className="panel-content">
+                            {team && (
+                                <div className="player-team">
+                                    <span className="player-color-dot" style={{ backgroundColor: team.color }}></span>
+                                    {getTeamName(team.team)}{player.team === myTeam && ' (teammate)'}
+                                </div>
+                            )}
                             <div className="player-info">
                                 <div
                                     className="player-color"
                                     style={{ backgroundColor: player.color }}
                                 ></div>
                                 <div className="player-score">{player.score || 0}</div>
+                                {player.isHost && <span className="player-host" title="Host">★</span>}
+                                {player.isTurn && <span className="player-turn" title="Their turn">▶</span>}
                             </div>
-                            {player.figures && player.figures.length > 0 && (
+                            {player.board && <MiniBoard board={player.board} />}
+                            {player.eliminated && (
+                                <div className="player-eliminated">Out</div>
+                            )}
+                            {player.connected === false && (
+                                <div className="player-reconnecting">Reconnecting…</div>
+                            )}
+                            {showHand && player.figures && player.figures.length > 0 && (
                                 <div style={{ display: 'flex', marginTop: '5px' }}>
                                     {player.figures.map((figure, i) => (
                                         <div key={i} style={{ marginRight: '5px' }}>
@@ -40,6 +63,32 @@ const PlayerPanels = ({ playersList, currentSocketId }) => {
                                     ))}
                                 </div>
                             )}
+                            {showHand && (player.hold || player.queue?.length > 0) && (
+                                <div style={{ display: 'flex', alignItems: 'flex-start', marginTop: '5px', opacity: 0.7 }}>
+                                    {player.hold && (
+                                        <div style={{ marginRight: '8px' }} title="Hold">
+                                            <FigureRenderer
+                                                figure={player.hold}
+                                                color={player.color}
+                                                cellSize={5}
+                                                gap="1px"
+                                                margin="1px"
+                                            />
+                                        </div>
+                                    )}
+                                    {player.queue?.map((figure, i) => (
+                                        <div key={i} style={{ marginRight: '3px' }} title="Next">
+                                            <FigureRenderer
+                                                figure={figure}
+                                                color={player.color}
+                                                cellSize={5}
+                                                gap="1px"
+                                                margin="1px"
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
                         </div>
                     </Panel>
                 );
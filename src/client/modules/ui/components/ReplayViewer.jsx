@@ -0,0 +1,119 @@
+import React from 'react';
+import GameGrid from './GameGrid';
+import FigureRenderer from './FigureRenderer';
+import MiniBoard from './MiniBoard';
+import { useReplayPlayer, REPLAY_SPEEDS } from '../hooks/useReplayPlayer';
+import './GameBoard.css';
+
+// Format elapsed replay time as m:ss
+const formatReplayTime = (milliseconds) => {
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+const ReplayViewer = ({ sessionId }) => {
+    const {
+        replayData,
+        error,
+        frame,
+        frameIndex,
+        lastFrameIndex,
+        isPlaying,
+        speed,
+        setSpeed,
+        togglePlay,
+        seek
+    } = useReplayPlayer(sessionId);
+
+    if (error) {
+        return (
+            <div className="replay-viewer">
+                <p>{error}</p>
+                <a href={window.location.pathname}>Back to rooms</a>
+            </div>
+        );
+    }
+
+    if (!replayData || !frame) {
+        return <div className="replay-viewer">Loading replay...</div>;
+    }
+
+    // Versus games: follow the board of the player who made the move
+    const mainGrid = frame.boards
+        ? frame.boards[frame.playerId] || frame.boards[frame.players[0]?.id] || frame.grid
+        : frame.grid;
+
+    return (
+        <div className="replay-viewer">
+            <div className="replay-header">
+                <a href={window.location.pathname}>Back to rooms</a>
+                <span>{formatReplayTime(frame.time)}</span>
+            </div>
+
+            {replayData.desynced_at !== null && (
+                <p className="replay-warning">
+                    This replay diverges from the recorded game at move {replayData.desynced_at + 1}.
+                </p>
+            )}
+
+            <div className="replay-content">
+                <GameGrid grid={mainGrid} readOnly />
+
+                <div className="replay-players">
+                    {frame.players.map(player => (
+                        <div
+                            key={player.id}
+                            className={`replay-player${player.id === frame.playerId ? ' replay-player-active' : ''}`}
+                        >
+                            <div className="player-info">
+                                <div className="player-color" style={{ backgroundColor: player.color }}></div>
+                                <div className="player-score">{player.score}</div>
+                            </div>
+                            {frame.boards && <MiniBoard board={frame.boards[player.id]} cellSize={4} />}
+                            <div style={{ display: 'flex', marginTop: '5px' }}>
+                                {player.figures.map((figure, i) => (
+                                    <div key={i} style={{ marginRight: '5px' }}>
+                                        <FigureRenderer
+                                            figure={figure}
+                                            color={player.color}
+                                            cellSize={8}
+                                            gap="1px"
+                                            margin="2px"
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div className="replay-controls">
+                <button onClick={togglePlay} className="restart-btn">
+                    {isPlaying ? 'Pause' : 'Play'}
+                </button>
+                <input
+                    type="range"
+                    min={0}
+                    max={lastFrameIndex}
+                    value={frameIndex}
+                    onChange={(e) => seek(parseInt(e.target.value, 10))}
+                    aria-label="Seek"
+                />
+                <span>{frameIndex}/{lastFrameIndex}</span>
+                <select
+                    value={speed}
+                    onChange={(e) => setSpeed(parseFloat(e.target.value))}
+                    className="room-option-select"
+                    aria-label="Playback speed"
+                >
+                    {REPLAY_SPEEDS.map(value => (
+                        <option key={value} value={value}>{value}×</option>
+                    ))}
+                </select>
+            </div>
+        </div>
+    );
+};
+
+export default ReplayViewer;
@@ -1,42 +1,423 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { DEFAULT_GRID_SIZE, GRID_SIZE_OPTIONS } from '../../../constants/grid';
+import { DEFAULT_FIGURE_SET, FIGURE_SETS, DEFAULT_RANDOMIZER, RANDOMIZERS, PREVIEW_SIZE_OPTIONS } from '../../../constants/figures';
+import {
+  DEFAULT_MAX_PLAYERS,
+  MAX_PLAYERS_OPTIONS,
+  DEFAULT_GAME_MODE,
+  GAME_MODES,
+  DEFAULT_SPRINT_LINES,
+  SPRINT_LINE_OPTIONS,
+  DEFAULT_SHOT_CLOCK_SECONDS,
+  SHOT_CLOCK_OPTIONS,
+  DEFAULT_TURN_SECONDS,
+  TURN_SECONDS_OPTIONS,
+  DEFAULT_COOP_LINES,
+  COOP_LINE_OPTIONS,
+  OFFLINE_GAME_MODES,
+  HINT_LIMIT_OPTIONS
+} from '../../../constants/room';
+import DailyChallenge from './DailyChallenge';
+
+const VISIBILITY_OPTIONS = [
+  { name: 'public', label: 'Public' },
+  { name: 'unlisted', label: 'Unlisted' },
+  { name: 'private', label: 'Private' }
+];
+
+const STATUS_LABELS = {
+  waiting: 'Waiting',
+  playing: 'In progress',
+  over: 'Finished'
+};
+
+const ROOM_SORTS = {
+  newest: (a, b) => b.createdAt - a.createdAt,
+  oldest: (a, b) => a.createdAt - b.createdAt,
+  most_players: (a, b) => b.players - a.players,
+  fewest_players: (a, b) => a.players - b.players
+};
+
+const getModeLabel = (mode) => (GAME_MODES.find(option => option.name === mode) || GAME_MODES[0]).label;
+
+// How long ago a room was created, e.g. "just now", "5m ago", "2h ago"
+const formatRoomAge = (createdAt) => {
+  const minutes = Math.floor((Date.now() - createdAt) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  return `${Math.floor(minutes / 60)}h ago`;
+};
 
 const RoomManager = ({ 
   rooms, 
   onCreateRoom, 
   onJoinRoom, 
+  onJoinByInviteCode,
+  onSpectateRoom,
   onCreateRoomTouch, 
-  onJoinRoomTouch 
+  onJoinRoomTouch,
+  onStartDaily = null,
+  myPlayerId = null,
+  offline = false
 }) => {
+  const [gridSize, setGridSize] = useState(DEFAULT_GRID_SIZE);
+  const [figureSet, setFigureSet] = useState(DEFAULT_FIGURE_SET);
+  const [randomizer, setRandomizer] = useState(DEFAULT_RANDOMIZER);
+  const [previewSize, setPreviewSize] = useState(0);
+  const [hold, setHold] = useState(false);
+  const [hints, setHints] = useState(0);
+  const [practice, setPractice] = useState(false);
+  const [seed, setSeed] = useState('');
+  const [maxPlayers, setMaxPlayers] = useState(DEFAULT_MAX_PLAYERS);
+  const [mode, setMode] = useState(DEFAULT_GAME_MODE);
+  const [sprintLines, setSprintLines] = useState(DEFAULT_SPRINT_LINES);
+  const [shotClockSeconds, setShotClockSeconds] = useState(DEFAULT_SHOT_CLOCK_SECONDS);
+  const [turnSeconds, setTurnSeconds] = useState(DEFAULT_TURN_SECONDS);
+  const [coopLines, setCoopLines] = useState(DEFAULT_COOP_LINES);
+  const [visibility, setVisibility] = useState('public');
+  const [password, setPassword] = useState('');
+  const [inviteCode, setInviteCode] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [sizeFilter, setSizeFilter] = useState('all');
+  const [rotateableOnly, setRotateableOnly] = useState(false);
+  const [hideFull, setHideFull] = useState(false);
+  const [sortBy, setSortBy] = useState('newest');
+
+  // Offline: solo games in the browser, in the modes that need no server clock
+  const modeOptions = offline ? GAME_MODES.filter(option => OFFLINE_GAME_MODES.includes(option.name)) : GAME_MODES;
+
+  const visibleRooms = rooms
+    .filter(room => statusFilter === 'all' || room.status === statusFilter)
+    .filter(room => sizeFilter === 'all' || room.gridWidth === sizeFilter)
+    .filter(room => !rotateableOnly || room.rotateable)
+    .filter(room => !hideFull || (room.players < room.capacity && !room.locked))
+    .sort(ROOM_SORTS[sortBy]);
+
+  const handleCreate = () => {
+    const settings = offline
+      ? { width: gridSize, height: gridSize, figureSet, randomizer, previewSize, hold, hints, mode }
+      : { width: gridSize, height: gridSize, figureSet, randomizer, previewSize, hold, hints, practice, maxPlayers, mode, visibility, password };
+    if (mode === 'sprint') {
+      settings.sprintLines = sprintLines;
+    } else if (mode === 'shot_clock') {
+      settings.shotClockSeconds = shotClockSeconds;
+    } else if (mode === 'turn_based') {
+      settings.turnSeconds = turnSeconds;
+    } else if (mode === 'coop') {
+      settings.coopLines = coopLines;
+    }
+    // An empty seed lets the server pick a random one
+    if (seed.trim()) {
+      settings.seed = seed.trim();
+    }
+    onCreateRoom(settings);
+  };
+
+  const handleJoinByCode = () => {
+    if (inviteCode.trim()) {
+      onJoinByInviteCode(inviteCode.trim());
+    }
+  };
+
   return (
     <div className="room-controls">
+      <select
+        value={gridSize}
+        onChange={(e) => setGridSize(parseInt(e.target.value, 10))}
+        className="room-option-select"
+        aria-label="Board size"
+      >
+        {GRID_SIZE_OPTIONS.map(size => (
+          <option key={size} value={size}>{size}×{size}</option>
+        ))}
+      </select>
+      <select
+        value={figureSet}
+        onChange={(e) => setFigureSet(e.target.value)}
+        className="room-option-select"
+        aria-label="Figure set"
+      >
+        {FIGURE_SETS.map(set => (
+          <option key={set.name} value={set.name}>{set.label}</option>
+        ))}
+      </select>
+      <select
+        value={randomizer}
+        onChange={(e) => setRandomizer(e.target.value)}
+        className="room-option-select"
+        aria-label="Figure randomizer"
+      >
+        {RANDOMIZERS.map(option => (
+          <option key={option.name} value={option.name}>{option.label}</option>
+        ))}
+      </select>
+      <select
+        value={previewSize}
+        onChange={(e) => setPreviewSize(parseInt(e.target.value, 10))}
+        className="room-option-select"
+        aria-label="Preview queue"
+      >
+        {PREVIEW_SIZE_OPTIONS.map(size => (
+          <option key={size} value={size}>{size === 0 ? 'No preview' : `Preview ${size}`}</option>
+        ))}
+      </select>
+      <label className="room-option-select">
+        <input
+          type="checkbox"
+          checked={hold}
+          onChange={(e) => setHold(e.target.checked)}
+        />
+        Hold slot
+      </label>
+      <select
+        value={hints}
+        onChange={(e) => setHints(parseInt(e.target.value, 10))}
+        className="room-option-select"
+        aria-label="Hints"
+      >
+        {HINT_LIMIT_OPTIONS.map(count => (
+          <option key={count} value={count}>{count === 0 ? 'No hints' : `${count} hints`}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={seed}
+        onChange={(e) => setSeed(e.target.value)}
+        placeholder="Seed (optional)"
+        maxLength={64}
+        className="room-option-select"
+        aria-label="Seed"
+      />
+      {!offline && (
+        <select
+          value={maxPlayers}
+          onChange={(e) => setMaxPlayers(parseInt(e.target.value, 10))}
+          className="room-option-select"
+          aria-label="Players"
+        >
+          {MAX_PLAYERS_OPTIONS.map(count => (
+            <option key={count} value={count}>{count} {count === 1 ? 'player' : 'players'}</option>
+          ))}
+        </select>
+      )}
+      {!offline && (
+        <label className="room-option-select" title="Everyone may undo placements; games with an undo don't rank on leaderboards">
+          <input
+            type="checkbox"
+            checked={practice}
+            onChange={(e) => setPractice(e.target.checked)}
+          />
+          Practice
+        </label>
+      )}
+      <select
+        value={mode}
+        onChange={(e) => setMode(e.target.value)}
+        className="room-option-select"
+        aria-label="Game mode"
+      >
+        {modeOptions.map(option => (
+          <option key={option.name} value={option.name}>{option.label}</option>
+        ))}
+      </select>
+      {mode === 'sprint' && (
+        <select
+          value={sprintLines}
+          onChange={(e) => setSprintLines(parseInt(e.target.value, 10))}
+          className="room-option-select"
+          aria-label="Sprint lines"
+        >
+          {SPRINT_LINE_OPTIONS.map(lines => (
+            <option key={lines} value={lines}>{lines} lines</option>
+          ))}
+        </select>
+      )}
+      {mode === 'shot_clock' && (
+        <select
+          value={shotClockSeconds}
+          onChange={(e) => setShotClockSeconds(parseInt(e.target.value, 10))}
+          className="room-option-select"
+          aria-label="Seconds per move"
+        >
+          {SHOT_CLOCK_OPTIONS.map(seconds => (
+            <option key={seconds} value={seconds}>{seconds}s per move</option>
+          ))}
+        </select>
+      )}
+      {mode === 'turn_based' && (
+        <select
+          value={turnSeconds}
+          onChange={(e) => setTurnSeconds(parseInt(e.target.value, 10))}
+          className="room-option-select"
+          aria-label="Seconds per turn"
+        >
+          {TURN_SECONDS_OPTIONS.map(seconds => (
+            <option key={seconds} value={seconds}>{seconds}s per turn</option>
+          ))}
+        </select>
+      )}
+      {mode === 'coop' && (
+        <select
+          value={coopLines}
+          onChange={(e) => setCoopLines(parseInt(e.target.value, 10))}
+          className="room-option-select"
+          aria-label="Team line target"
+        >
+          {COOP_LINE_OPTIONS.map(lines => (
+            <option key={lines} value={lines}>{lines} lines as a team</option>
+          ))}
+        </select>
+      )}
+      {!offline && (
+        <>
+          <select
+            value={visibility}
+            onChange={(e) => setVisibility(e.target.value)}
+            className="room-option-select"
+            aria-label="Visibility"
+          >
+            {VISIBILITY_OPTIONS.map(option => (
+              <option key={option.name} value={option.name}>{option.label}</option>
+            ))}
+          </select>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password (optional)"
+            maxLength={64}
+            className="room-option-select"
+            aria-label="Room password"
+          />
+        </>
+      )}
       <button
-        onClick={onCreateRoom}
+        onClick={handleCreate}
         onTouchStart={onCreateRoomTouch}
         className="create-room-btn"
       >
-        New Room
+        {offline ? 'New Game' : 'New Room'}
       </button>
-      <div className="rooms-list">
-        <h3>Available Rooms:</h3>
-        {rooms.length === 0 ? (
-          <p>No rooms available</p>
-        ) : (
-          <ul>
-            {rooms.map(room => (
-              <li key={room.id}>
-                {room.id}
-                <button 
-                  onClick={() => onJoinRoom(room.id)} 
-                  onTouchStart={(e) => onJoinRoomTouch(e, room.id)} 
-                  className="join-btn"
-                >
-                  Join
-                </button>
-              </li>
-            ))}
-          </ul>
-        )}
-      </div>
+      {offline ? (
+        <p className="offline-note">
+          Playing offline. Finished games count towards your statistics once you are back online.{' '}
+          <a href={window.location.pathname}>Play online</a>
+        </p>
+      ) : (
+        <>
+          <a href="?offline" className="offline-link">Play offline</a>
+          {onStartDaily && <DailyChallenge myPlayerId={myPlayerId} onPlay={onStartDaily} />}
+          {onJoinByInviteCode && (
+            <div className="invite-join">
+              <input
+                type="text"
+                value={inviteCode}
+                onChange={(e) => setInviteCode(e.target.value)}
+                placeholder="Invite code"
+                maxLength={16}
+                className="room-option-select"
+                aria-label="Invite code"
+              />
+              <button onClick={handleJoinByCode} className="join-btn">
+                Join by code
+              </button>
+            </div>
+          )}
+          <div className="rooms-list">
+            <h3>Available Rooms:</h3>
+            <div className="room-filters">
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="room-option-select"
+                aria-label="Filter by status"
+              >
+                <option value="all">Any status</option>
+                {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                  <option key={status} value={status}>{label}</option>
+                ))}
+              </select>
+              <select
+                value={sizeFilter}
+                onChange={(e) => setSizeFilter(e.target.value === 'all' ? 'all' : parseInt(e.target.value, 10))}
+                className="room-option-select"
+                aria-label="Filter by board size"
+              >
+                <option value="all">Any size</option>
+                {GRID_SIZE_OPTIONS.map(size => (
+                  <option key={size} value={size}>{size}×{size}</option>
+                ))}
+              </select>
+              <label className="room-option-select">
+                <input
+                  type="checkbox"
+                  checked={rotateableOnly}
+                  onChange={(e) => setRotateableOnly(e.target.checked)}
+                />
+                Rotation
+              </label>
+              <label className="room-option-select">
+                <input
+                  type="checkbox"
+                  checked={hideFull}
+                  onChange={(e) => setHideFull(e.target.checked)}
+                />
+                Hide full
+              </label>
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="room-option-select"
+                aria-label="Sort rooms"
+              >
+                <option value="newest">Newest</option>
+                <option value="oldest">Oldest</option>
+                <option value="most_players">Most players</option>
+                <option value="fewest_players">Fewest players</option>
+              </select>
+            </div>
+            {visibleRooms.length === 0 ? (
+              <p>No rooms available</p>
+            ) : (
+              <ul>
+                {visibleRooms.map(room => (
+                  <li key={room.id}>
+                    {room.id}
+                    {room.hasPassword && <span className="room-locked" title="Password required">🔒</span>}
+                    {room.locked && <span className="room-details">(locked)</span>}
+                    <span className="room-counts">
+                      {room.players}/{room.capacity} playing · {room.spectators} watching
+                    </span>
+                    <span className="room-details">
+                      {room.gridWidth}×{room.gridHeight}
+                      {room.mode && room.mode !== DEFAULT_GAME_MODE && ` · ${getModeLabel(room.mode)}`}
+                      {room.rotateable && ' · rotation'}
+                      {' · '}{STATUS_LABELS[room.status]}
+                      {' · '}{room.creatorName}, {formatRoomAge(room.createdAt)}
+                    </span>
+                    <button 
+                      onClick={() => onJoinRoom(room.id)} 
+                      onTouchStart={(e) => onJoinRoomTouch(e, room.id)} 
+                      disabled={room.locked || room.players >= room.capacity}
+                      className="join-btn"
+                    >
+                      Join
+                    </button>
+                    {onSpectateRoom && (
+                      <button
+                        onClick={() => onSpectateRoom(room.id)}
+                        className="join-btn"
+                      >
+                        Watch
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
     </div>
   );
 };
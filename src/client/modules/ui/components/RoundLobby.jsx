@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { getTeamName, getPlayerName, BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY } from '../../../constants/room';
+
+// Seconds left until a local time, rounded up so the countdown ends on 1
+const getSecondsLeft = (endsAt) => Math.max(Math.ceil((endsAt - Date.now()) / 1000), 0);
+
+const RoundLobby = ({
+  phase,
+  players,
+  myPlayerId,
+  isHost,
+  isSpectator,
+  countdownEndsAt,
+  teams = null,
+  maxPlayers = players.length,
+  canAddBots = true,
+  onSetReady,
+  onSetTeam,
+  onStart,
+  onAddBot
+}) => {
+  const [secondsLeft, setSecondsLeft] = useState(() => (countdownEndsAt ? getSecondsLeft(countdownEndsAt) : null));
+  const [botDifficulty, setBotDifficulty] = useState(DEFAULT_BOT_DIFFICULTY);
+
+  useEffect(() => {
+    if (!countdownEndsAt) {
+      setSecondsLeft(null);
+      return;
+    }
+    setSecondsLeft(getSecondsLeft(countdownEndsAt));
+    const intervalId = setInterval(() => setSecondsLeft(getSecondsLeft(countdownEndsAt)), 200);
+    return () => clearInterval(intervalId);
+  }, [countdownEndsAt]);
+
+  if (phase === 'countdown') {
+    return (
+      <div className="round-lobby">
+        <div className="round-countdown">{secondsLeft || 'Go!'}</div>
+      </div>
+    );
+  }
+
+  const me = players.find(player => player.id === myPlayerId);
+  // The host starts the round once everyone else still connected is ready
+  const everyoneReady = players.every(player => player.isHost || player.id === myPlayerId || !player.connected || player.ready);
+
+  const renderPlayer = (player) => (
+    <li key={player.id}>
+      <span className="player-color-dot" style={{ backgroundColor: player.color }}></span>
+      {getPlayerName(player, myPlayerId)}
+      {player.isHost && ' (host)'}
+      <span className="round-lobby-status">
+        {player.isHost ? '' : (player.ready ? 'Ready' : 'Not ready')}
+      </span>
+    </li>
+  );
+
+  return (
+    <div className="round-lobby">
+      <h3>Waiting for players</h3>
+      {teams ? (
+        <div className="round-lobby-teams">
+          {teams.map(entry => (
+            <div key={entry.team} className="round-lobby-team" style={{ borderColor: entry.color || undefined }}>
+              <strong>{getTeamName(entry.team)}</strong>
+              <ul className="round-lobby-players">
+                {players.filter(player => player.team === entry.team).map(renderPlayer)}
+              </ul>
+              {!isSpectator && me && me.team !== entry.team && (
+                <button onClick={() => onSetTeam(entry.team)} className="join-btn">
+                  Join {getTeamName(entry.team)}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <ul className="round-lobby-players">
+          {players.map(renderPlayer)}
+        </ul>
+      )}
+      {!isSpectator && isHost && canAddBots && players.length < maxPlayers && (
+        <div className="round-lobby-bots">
+          <select
+            value={botDifficulty}
+            onChange={(e) => setBotDifficulty(e.target.value)}
+            className="room-option-select"
+            aria-label="Bot difficulty"
+          >
+            {BOT_DIFFICULTIES.map(option => (
+              <option key={option.name} value={option.name}>{option.label}</option>
+            ))}
+          </select>
+          <button onClick={() => onAddBot(botDifficulty)} className="join-btn">
+            Add bot
+          </button>
+        </div>
+      )}
+      {isSpectator && <p>Waiting for the host to start the round…</p>}
+      {!isSpectator && isHost && (
+        <button onClick={onStart} disabled={!everyoneReady} className="restart-btn">
+          Start
+        </button>
+      )}
+      {!isSpectator && !isHost && me && (
+        <button onClick={() => onSetReady(!me.ready)} className="restart-btn">
+          {me.ready ? 'Not ready' : 'Ready'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default RoundLobby;
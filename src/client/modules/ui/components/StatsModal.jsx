@@ -27,6 +27,10 @@ const StatsModal = ({ isOpen, onClose, statsData }) => {
          total_figures_placed: 0,
          total_play_time_seconds: 0,
          average_lines_per_game: 0,
+         coop_games: 0,
+         coop_wins: 0,
+         coop_best_team_score: 0,
+         coop_best_team_lines: 0,
          rating: 1000
      };
      
@@ -85,6 +89,18 @@ const StatsModal = ({ isOpen, onClose, statsData }) => {
                             <span className="stat-label">Avg Lines/Game</span>
                             <span className="stat-value">{safeFormatNumber(stats.average_lines_per_game, 0, 2)}</span>
                         </div>
+                        <div className="stat-item">
+                            <span className="stat-label">Co-op Games</span>
+                            <span className="stat-value">{safeFormatNumber(stats.coop_games, 0)}</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-label">Co-op Wins</span>
+                            <span className="stat-value">{safeFormatNumber(stats.coop_wins, 0)}</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-label">Best Team Score</span>
+                            <span className="stat-value">{safeFormatNumber(stats.coop_best_team_score, 0)}</span>
+                        </div>
                         <div className="stat-item">
                             <span className="stat-label">Rating</span>
                             <span className="stat-value">{safeFormatNumber(stats.rating, 1000)}</span>
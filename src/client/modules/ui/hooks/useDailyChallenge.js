@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+
+// Today's challenge, or an earlier day's (YYYY-MM-DD); change refreshKey to load the leaderboard again
+export const useDailyChallenge = (challengeId = null, refreshKey = 0) => {
+    const [challenge, setChallenge] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setError(null);
+
+        fetch(challengeId ? `/api/daily/${encodeURIComponent(challengeId)}` : '/api/daily')
+            .then(async (response) => {
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to load the daily challenge');
+                }
+                return data;
+            })
+            .then((data) => {
+                if (!cancelled) setChallenge(data);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.message);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [challengeId, refreshKey]);
+
+    return { challenge, error };
+};
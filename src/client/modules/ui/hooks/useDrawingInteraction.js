@@ -1,45 +1,16 @@
 import { useState, useRef, useEffect } from 'react';
 import SocketManager from '../../network/SocketManager';
-import { FIGURES } from '../../../constants/figures.js';
-import { normalizePixels, rotateShape } from '../../../utils/figureUtils.js';
+import { checkMatch, isPartialMatch } from '../../../../shared/engine/figureUtils.js';
 
-export const useDrawingInteraction = (gridRef, roomIdRef, gameOver, myFigures) => {
+export const useDrawingInteraction = (gridRef, roomIdRef, gameOver, myFigures, rotateable = false, readOnly = false) => {
     const selectedPixels = useRef([]);
     const isDrawing = useRef(false);
     const drawMode = useRef(1); // 1 for placing, 0 for removing
 
-    // Helper to check if pixels match any of the allowed figures (subset check)
-    const checkMatch = (pixels, allowedTypes) => {
-        if (pixels.length === 0) return true;
-
-        // Normalize pixels to (0,0)
-        const normalized = normalizePixels(pixels);
-
-        for (const type of allowedTypes) {
-            const figure = FIGURES[type];
-            if (!figure) continue;
-
-            // Check all 4 rotations
-            let currentShape = figure;
-            for (let r = 0; r < 4; r++) {
-                // Check if normalized pixels are a subset of currentShape
-                const isSubset = normalized.every(p =>
-                    currentShape.some(fp => fp[0] === p.x && fp[1] === p.y)
-                );
-
-                if (isSubset) return true;
-
-                // Rotate shape 90 degrees
-                currentShape = rotateShape(currentShape);
-            }
-        }
-        return false;
-    };
-
     const handleInteraction = (x, y, setGrid) => {
         if (!roomIdRef.current || gameOver) return;
 
-        const socketId = SocketManager.getSocket().id;
+        const socketId = SocketManager.getPlayerId();
         let newGrid = [...gridRef.current];
 
         const ensureRow = (rowIndex) => {
@@ -56,7 +27,7 @@ export const useDrawingInteraction = (gridRef, roomIdRef, gameOver, myFigures) =
             const nextPixels = [...selectedPixels.current, newPixel];
 
             // Check validity
-            if (!checkMatch(nextPixels, myFigures)) {
+            if (!isPartialMatch(nextPixels, myFigures, rotateable)) {
                 // Remove earliest
                 const removed = selectedPixels.current.shift(); // Remove from tracking
                 if (removed) {
@@ -96,7 +67,8 @@ export const useDrawingInteraction = (gridRef, roomIdRef, gameOver, myFigures) =
         if (e.button !== 0) return;
         e.preventDefault();
 
-        if (!roomIdRef.current || gameOver) return;
+        // Spectators only watch the board
+        if (!roomIdRef.current || gameOver || readOnly) return;
 
         isDrawing.current = true;
 
@@ -123,7 +95,7 @@ export const useDrawingInteraction = (gridRef, roomIdRef, gameOver, myFigures) =
     useEffect(() => {
         const handleGlobalMouseUp = () => {
             if (isDrawing.current && drawMode.current === 1) {
-                if (selectedPixels.current.length >= 4) {
+                if (checkMatch(selectedPixels.current, myFigures, rotateable) !== -1) {
                     // Send the figure to the server
                     if (roomIdRef.current && !gameOver) {
                         SocketManager.placeFigure(roomIdRef.current, selectedPixels.current);
@@ -137,7 +109,7 @@ export const useDrawingInteraction = (gridRef, roomIdRef, gameOver, myFigures) =
         const handleGlobalTouchEnd = (e) => {
             e.preventDefault();
             if (isDrawing.current && drawMode.current === 1) {
-                if (selectedPixels.current.length >= 4) {
+                if (checkMatch(selectedPixels.current, myFigures, rotateable) !== -1) {
                     // Send the figure to the server
                     if (roomIdRef.current && !gameOver) {
                         SocketManager.placeFigure(roomIdRef.current, selectedPixels.current);
@@ -155,7 +127,20 @@ export const useDrawingInteraction = (gridRef, roomIdRef, gameOver, myFigures) =
             window.removeEventListener('mouseup', handleGlobalMouseUp);
             window.removeEventListener('touchend', handleGlobalTouchEnd);
         };
-    }, [gameOver]);
+    }, [gameOver, myFigures, rotateable]);
+
+    // After a rejoin, resume the figure we were drawing when the connection dropped
+    useEffect(() => {
+        const socket = SocketManager.connect();
+        const handleRejoined = ({ drawingPixels }) => {
+            selectedPixels.current = drawingPixels || [];
+        };
+
+        socket.on('room_rejoined', handleRejoined);
+        return () => {
+            socket.off('room_rejoined', handleRejoined);
+        };
+    }, []);
 
     // Touch event handlers for buttons
     const handleCreateRoomTouch = (e) => {
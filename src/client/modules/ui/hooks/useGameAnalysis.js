@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+
+export const useGameAnalysis = (sessionId) => {
+    const [analysisData, setAnalysisData] = useState(null);
+    const [error, setError] = useState(null);
+
+    // Load the analysis the server stored when the game finished
+    useEffect(() => {
+        let cancelled = false;
+        setAnalysisData(null);
+        setError(null);
+
+        fetch(`/api/replays/${encodeURIComponent(sessionId)}/analysis`)
+            .then(async (response) => {
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to load analysis');
+                }
+                return data;
+            })
+            .then((data) => {
+                if (!cancelled) setAnalysisData(data);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.message);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [sessionId]);
+
+    return { analysisData, error };
+};
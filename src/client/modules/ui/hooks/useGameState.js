@@ -1,15 +1,59 @@
 import { useState, useEffect, useRef } from 'react';
 import SocketManager from '../../network/SocketManager';
+import { DEFAULT_GRID_SIZE } from '../../../constants/grid';
+import { createEmptyGrid, getPlayerGrid } from '../../../utils/gridUtils';
+import { getRoomQuery } from '../../../utils/roomUtils';
+import { getTeamColor } from '../../../utils/colorUtils';
+
+// Finishing positions from a game state, best first (same shape as game_over's placements)
+const getPlacements = (players = {}) => Object.values(players)
+    .filter(player => player.placement !== null && player.placement !== undefined)
+    .sort((a, b) => a.placement - b.placement)
+    .map(player => ({ playerId: player.id, placement: player.placement, score: player.score, eliminated: player.eliminated }));
+
+// How long a hint stays on the board
+const HINT_DISPLAY_MS = 5000;
+
+// Team standings from a game state, each with a color derived from its players' colors
+const getTeams = (teams, players = {}) => teams && teams.map(entry => ({
+    ...entry,
+    color: getTeamColor(entry.playerIds.map(playerId => players[playerId] && players[playerId].color))
+}));
 
 export const useGameState = () => {
-    const [grid, setGrid] = useState(() => Array(10).fill(null).map(() => Array(10).fill(null)));
+    const [grid, setGrid] = useState(() => createEmptyGrid(DEFAULT_GRID_SIZE, DEFAULT_GRID_SIZE));
     const gridRef = useRef(grid);
     const [roomId, setRoomId] = useState(null);
     const roomIdRef = useRef(null);
     const [rooms, setRooms] = useState([]);
     const [myFigures, setMyFigures] = useState([]);
+    const [myQueue, setMyQueue] = useState([]); // Upcoming figures (empty unless the room has a preview)
+    const [myHold, setMyHold] = useState(null); // Figure kept in the hold slot
+    const [canHold, setCanHold] = useState(false); // Whether the hold slot can be used before the next placement
+    const [holdEnabled, setHoldEnabled] = useState(false); // Whether the room has a hold slot
     const [score, setScore] = useState(0);
     const [gameOver, setGameOver] = useState(false);
+    const [rotateable, setRotateable] = useState(false);
+    const [isSpectator, setIsSpectator] = useState(false); // Watching the room without a seat
+    const isSpectatorRef = useRef(false);
+    const [reconnectingPlayers, setReconnectingPlayers] = useState([]); // Other players whose seat is held
+    const [replaySessionId, setReplaySessionId] = useState(null); // Session of the last finished game
+    const [analysisSessionId, setAnalysisSessionId] = useState(null); // Session of the last finished game, once its analysis is stored
+    const [invite, setInvite] = useState(null); // Invite code and visibility of the current room
+    const [players, setPlayers] = useState([]); // Seated players of the current room
+    const [roomSettings, setRoomSettings] = useState(null); // Host, lock, status and rules of the current room
+    const [phase, setPhase] = useState('lobby'); // 'lobby', 'countdown', 'playing' or 'over'
+    const [countdownEndsAt, setCountdownEndsAt] = useState(null); // Local time the countdown ends
+    const [modeRules, setModeRules] = useState(null); // Game mode and its time, line and move limits
+    const [timers, setTimers] = useState(null); // { remainingMs, shotClocks, turnRemainingMs } while a timed round runs
+    const [currentTurnPlayerId, setCurrentTurnPlayerId] = useState(null); // Whose turn it is in turn-based games
+    const [gameResult, setGameResult] = useState(null); // { reason, winnerId, placements, team } once the round is over
+    const [team, setTeam] = useState(null); // { score, linesCleared, targetLines, outcome } in co-op games
+    const [teams, setTeams] = useState(null); // [{ team, playerIds, score, outcome, color }] in team games
+    const [hint, setHint] = useState(null); // Best moves from the last hint, best first, while they're shown
+    const [hintsLeft, setHintsLeft] = useState(0); // Hints we may still ask for this round
+    const hintTimerRef = useRef(null);
+    const [dailyChallenge, setDailyChallenge] = useState(null); // { challengeId, ranked, signedIn, recorded } in a daily challenge room
 
     // Update gridRef whenever grid changes
     useEffect(() => {
@@ -25,48 +69,246 @@ export const useGameState = () => {
         const socket = SocketManager.connect();
 
         const updateGameState = (state) => {
-            setGrid(state.grid);
-            gridRef.current = state.grid;
-            const myPlayer = state.players && state.players[socket.id];
+            const myPlayerId = SocketManager.getPlayerId();
+            const viewedGrid = getPlayerGrid(state, myPlayerId);
+            setGrid(viewedGrid);
+            gridRef.current = viewedGrid;
+            const myPlayer = state.players && state.players[myPlayerId];
             if (myPlayer) {
                 if (myPlayer.figures) setMyFigures(myPlayer.figures);
                 if (myPlayer.score !== undefined) setScore(myPlayer.score);
+                if (state.hintLimit !== undefined) setHintsLeft(state.hintLimit - (myPlayer.hintsUsed || 0));
+                setMyQueue(myPlayer.queue || []);
+                setMyHold(myPlayer.hold || null);
+                setCanHold(Boolean(state.holdEnabled) && !myPlayer.holdUsed);
+            }
+            if (state.holdEnabled !== undefined) {
+                setHoldEnabled(state.holdEnabled);
+            }
+            if (state.players) {
+                setReconnectingPlayers(Object.values(state.players).filter(
+                    player => player.connected === false && player.id !== myPlayerId
+                ));
             }
             if (state.gameOver !== undefined) {
                 setGameOver(state.gameOver);
             }
+            if (state.rotateable !== undefined) {
+                setRotateable(state.rotateable);
+            }
+            if (state.players) {
+                setPlayers(Object.values(state.players)
+                    .sort((a, b) => a.seat - b.seat)
+                    .map(player => ({
+                        ...player,
+                        isHost: player.id === state.hostId,
+                        isTurn: player.id === state.currentTurnPlayerId,
+                        board: state.boards ? state.boards[player.id] : null // Versus games only
+                    })));
+            }
+            if (state.phase !== undefined) {
+                setPhase(state.phase);
+            }
+            if (state.modeRules !== undefined) {
+                setModeRules(state.modeRules);
+            }
+            if (state.timers !== undefined) {
+                setTimers(state.timers);
+            }
+            if (state.currentTurnPlayerId !== undefined) {
+                setCurrentTurnPlayerId(state.currentTurnPlayerId);
+            }
+            if (state.team !== undefined) {
+                setTeam(state.team);
+            }
+            if (state.teams !== undefined) {
+                setTeams(getTeams(state.teams, state.players));
+            }
+            if (state.endReason !== undefined) {
+                setGameResult(state.endReason ? { reason: state.endReason, winnerId: state.winnerId, placements: getPlacements(state.players), team: state.team, teams: getTeams(state.teams, state.players) } : null);
+            }
+            setRoomSettings({
+                hostId: state.hostId,
+                locked: state.locked,
+                status: state.status,
+                maxPlayers: state.maxPlayers,
+                gridWidth: state.gridWidth,
+                rotateable: state.rotateable,
+                hintLimit: state.hintLimit,
+                practice: state.practice,
+                undoAllowed: state.undoAllowed,
+                canUndo: state.undoPlayerId === myPlayerId,
+                usedUndo: state.usedUndo,
+                mode: state.modeRules ? state.modeRules.mode : undefined
+            });
+        };
+
+        const clearHint = () => {
+            clearTimeout(hintTimerRef.current);
+            setHint(null);
         };
 
-        socket.on('room_created', ({ roomId, state }) => {
+        // Back to the room list
+        const leaveRoomView = () => {
+            clearHint();
+            setDailyChallenge(null);
+            setRoomId(null);
+            roomIdRef.current = null;
+            setInvite(null);
+            setIsSpectator(false);
+            isSpectatorRef.current = false;
+            setGameOver(false);
+            window.history.pushState({}, '', window.location.pathname);
+            SocketManager.getRooms();
+        };
+
+        socket.on('room_created', ({ roomId, invite, state, daily = null }) => {
             setRoomId(roomId);
             roomIdRef.current = roomId;
+            setInvite(invite);
+            setDailyChallenge(daily && { ...daily, recorded: null });
             updateGameState(state);
             setGameOver(false);
-            window.history.pushState({}, '', `?room=${roomId}`);
+            window.history.pushState({}, '', getRoomQuery(roomId, invite));
         });
 
-        socket.on('room_joined', ({ roomId, state }) => {
+        socket.on('room_joined', ({ roomId, invite, state }) => {
             setRoomId(roomId);
             roomIdRef.current = roomId;
+            setInvite(invite);
+            setIsSpectator(false);
+            isSpectatorRef.current = false;
             updateGameState(state);
             setGameOver(false);
-            window.history.pushState({}, '', `?room=${roomId}`);
+            window.history.pushState({}, '', getRoomQuery(roomId, invite));
+        });
+
+        // Back in our held seat after a reconnect or reload
+        socket.on('room_rejoined', ({ roomId, invite, state }) => {
+            setRoomId(roomId);
+            roomIdRef.current = roomId;
+            setInvite(invite);
+            setIsSpectator(false);
+            isSpectatorRef.current = false;
+            updateGameState(state);
+            window.history.replaceState({}, '', getRoomQuery(roomId, invite));
+        });
+
+        // socket.io reconnects on its own after a network drop; ask for our seat back
+        socket.on('connect', () => {
+            if (!roomIdRef.current) return;
+            if (isSpectatorRef.current) {
+                SocketManager.spectateRoom(roomIdRef.current);
+            } else {
+                SocketManager.rejoinRoom(roomIdRef.current);
+            }
+        });
+
+        socket.on('room_spectating', ({ roomId, invite, state }) => {
+            setRoomId(roomId);
+            roomIdRef.current = roomId;
+            setInvite(invite);
+            setIsSpectator(true);
+            isSpectatorRef.current = true;
+            updateGameState(state);
+            window.history.pushState({}, '', `?spectate=${roomId}`);
         });
 
         socket.on('game_update', (state) => {
             updateGameState(state);
         });
 
-        socket.on('game_over', () => {
+        socket.on('game_over', ({ reason, winnerId, placements = [], team = null, teams = null } = {}) => {
             setGameOver(true);
+            clearHint();
+            setGameResult({ reason, winnerId, placements, team, teams });
+        });
+
+        // Timed modes: the server sends the time left every tick
+        socket.on('timer_update', ({ roomId, remainingMs, shotClocks, turnRemainingMs }) => {
+            if (roomIdRef.current !== roomId) return;
+            setTimers({ remainingMs, shotClocks, turnRemainingMs });
+        });
+
+        socket.on('turn_changed', ({ roomId, playerId, turnRemainingMs }) => {
+            if (roomIdRef.current !== roomId) return;
+            setCurrentTurnPlayerId(playerId);
+            setTimers(prev => ({ ...prev, turnRemainingMs }));
+        });
+
+        // The server starts the round when its countdown ends; count down locally to avoid clock skew
+        socket.on('countdown_started', ({ durationMs }) => {
+            setCountdownEndsAt(Date.now() + durationMs);
+        });
+
+        socket.on('round_started', () => {
+            setCountdownEndsAt(null);
+            clearHint();
+        });
+
+        socket.on('hint', ({ roomId, moves, hintsLeft }) => {
+            if (roomIdRef.current !== roomId) return;
+            clearTimeout(hintTimerRef.current);
+            setHint(moves);
+            setHintsLeft(hintsLeft);
+            hintTimerRef.current = setTimeout(() => setHint(null), HINT_DISPLAY_MS);
+        });
+
+        // The server closed the room (idle, finished or empty): back to the room list
+        socket.on('room_closed', ({ roomId }) => {
+            if (roomIdRef.current !== roomId) return;
+            leaveRoomView();
+        });
+
+        // The host removed us from the room
+        socket.on('kicked', ({ roomId }) => {
+            if (roomIdRef.current !== roomId) return;
+            leaveRoomView();
+            alert('You were removed from the room by the host');
+        });
+
+        socket.on('replay_available', ({ sessionId }) => {
+            setReplaySessionId(sessionId);
+        });
+
+        socket.on('analysis_available', ({ sessionId }) => {
+            setAnalysisSessionId(sessionId);
+        });
+
+        // Our daily challenge game is over: recorded tells whether it went on the leaderboard
+        socket.on('daily_result', ({ challengeId, ranked }) => {
+            setDailyChallenge(current => (
+                current && current.challengeId === challengeId ? { ...current, recorded: ranked } : current
+            ));
         });
 
         socket.on('rooms_list', (roomList) => {
             setRooms(roomList);
         });
 
+        // Incremental lobby updates after the initial list
+        socket.on('room_added', (room) => {
+            setRooms(prev => [...prev.filter(r => r.id !== room.id), room]);
+        });
+
+        socket.on('room_updated', (room) => {
+            setRooms(prev => prev.map(r => (r.id === room.id ? room : r)));
+        });
+
+        socket.on('room_removed', ({ roomId }) => {
+            setRooms(prev => prev.filter(r => r.id !== roomId));
+        });
+
         socket.on('error', (message) => {
             if (message === 'Invalid move') return;
+            // Password-protected room: ask for the password and try again
+            if (message === 'Room password required' || message === 'Wrong room password') {
+                const password = window.prompt(message === 'Wrong room password' ? 'Wrong password, try again:' : 'Room password:');
+                if (password !== null) {
+                    SocketManager.retryRoomRequest(password);
+                }
+                return;
+            }
             alert(message);
             if (message === 'Room not found') {
                 window.history.pushState({}, '', window.location.pathname);
@@ -79,17 +321,38 @@ export const useGameState = () => {
         // Check for room in URL
         const urlParams = new URLSearchParams(window.location.search);
         const initialRoomId = urlParams.get('room');
-        if (initialRoomId) {
-            SocketManager.joinRoom(initialRoomId);
+        const spectateRoomId = urlParams.get('spectate');
+        const inviteCode = urlParams.get('invite') || undefined; // Invite links carry the room's code
+        if (initialRoomId || (inviteCode && !spectateRoomId)) {
+            SocketManager.joinRoom(initialRoomId || undefined, undefined, { inviteCode });
+        } else if (spectateRoomId) {
+            SocketManager.spectateRoom(spectateRoomId, { inviteCode });
         }
 
         return () => {
             socket.off('room_created');
             socket.off('room_joined');
+            socket.off('room_spectating');
+            socket.off('room_rejoined');
+            socket.off('connect');
             socket.off('game_update');
             socket.off('game_over');
+            socket.off('timer_update');
+            socket.off('turn_changed');
+            socket.off('countdown_started');
+            socket.off('round_started');
+            socket.off('hint');
+            socket.off('replay_available');
+            socket.off('analysis_available');
+            socket.off('daily_result');
+            socket.off('room_closed');
+            socket.off('kicked');
             socket.off('rooms_list');
+            socket.off('room_added');
+            socket.off('room_updated');
+            socket.off('room_removed');
             socket.off('error');
+            clearTimeout(hintTimerRef.current);
             // Cleanup styles
             document.body.style.margin = '';
             document.body.style.overflow = '';
@@ -97,23 +360,125 @@ export const useGameState = () => {
         };
     }, []);
 
-    const createRoom = () => {
-        SocketManager.createRoom();
+    const createRoom = (settings = {}) => {
+        SocketManager.createRoom(undefined, false, settings);
+    };
+
+    const startDailyChallenge = () => {
+        SocketManager.startDailyChallenge();
     };
 
     const joinRoom = (id) => {
         SocketManager.joinRoom(id);
     };
 
+    const holdFigure = (figureIndex) => {
+        if (roomIdRef.current && canHold && !gameOver) {
+            SocketManager.holdFigure(roomIdRef.current, figureIndex);
+        }
+    };
+
+    const spectateRoom = (id) => {
+        SocketManager.spectateRoom(id);
+    };
+
+    const joinByInviteCode = (inviteCode) => {
+        SocketManager.joinRoom(undefined, undefined, { inviteCode });
+    };
+
+    const setReady = (ready) => {
+        SocketManager.setReady(roomIdRef.current, ready);
+    };
+
+    const setMyTeam = (teamIndex) => {
+        SocketManager.setTeam(roomIdRef.current, teamIndex);
+    };
+
+    const startGame = () => {
+        SocketManager.startGame(roomIdRef.current);
+    };
+
+    const addBot = (difficulty) => {
+        SocketManager.addBot(roomIdRef.current, difficulty);
+    };
+
+    const requestHint = () => {
+        SocketManager.requestHint(roomIdRef.current);
+    };
+
+    const undoMove = () => {
+        SocketManager.undoMove(roomIdRef.current);
+    };
+
+    const restartGame = () => {
+        SocketManager.restartGame(roomIdRef.current);
+    };
+
+    const kickPlayer = (playerId) => {
+        SocketManager.kickPlayer(roomIdRef.current, playerId);
+    };
+
+    const transferHost = (playerId) => {
+        SocketManager.transferHost(roomIdRef.current, playerId);
+    };
+
+    const lockRoom = (locked) => {
+        SocketManager.lockRoom(roomIdRef.current, locked);
+    };
+
+    const updateRoomSettings = (settings) => {
+        SocketManager.updateRoomSettings(roomIdRef.current, settings);
+    };
+
     return {
         grid,
         roomId,
         rooms,
         myFigures,
+        myQueue,
+        myHold,
+        canHold,
+        holdEnabled,
         score,
         gameOver,
+        rotateable,
+        replaySessionId,
+        analysisSessionId,
+        dailyChallenge,
+        isSpectator,
+        reconnectingPlayers,
+        invite,
+        players,
+        roomSettings,
+        isHost: Boolean(roomSettings) && roomSettings.hostId === SocketManager.getPlayerId(),
+        isEliminated: players.some(player => player.id === SocketManager.getPlayerId() && player.eliminated),
+        phase,
+        countdownEndsAt,
+        modeRules,
+        timers,
+        currentTurnPlayerId,
+        team,
+        teams,
+        gameResult,
+        hint,
+        hintsLeft,
+        setReady,
+        setMyTeam,
+        startGame,
+        addBot,
+        requestHint,
+        undoMove,
         createRoom,
+        startDailyChallenge,
         joinRoom,
+        joinByInviteCode,
+        holdFigure,
+        spectateRoom,
+        restartGame,
+        kickPlayer,
+        transferHost,
+        lockRoom,
+        updateRoomSettings,
         gridRef,
         roomIdRef
     };
@@ -0,0 +1,89 @@
+import { useState, useEffect } from 'react';
+import { simulateReplay } from '../../../../shared/engine/replay.js';
+
+// Playback speeds offered by the replay viewer
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+// Bounds for the pause between two frames, so idle stretches don't stall playback
+const MIN_FRAME_DELAY = 30;
+const MAX_FRAME_DELAY = 1500;
+
+export const useReplayPlayer = (sessionId) => {
+    const [replayData, setReplayData] = useState(null);
+    const [error, setError] = useState(null);
+    const [frameIndex, setFrameIndex] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+
+    // Load the replay and re-simulate it into one frame per move with the shared engine
+    useEffect(() => {
+        let cancelled = false;
+        setReplayData(null);
+        setError(null);
+        setFrameIndex(0);
+        setIsPlaying(false);
+
+        fetch(`/api/replays/${encodeURIComponent(sessionId)}`)
+            .then(async (response) => {
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to load replay');
+                }
+                const { frames, desyncedAt } = simulateReplay(data.replay);
+                return { ...data, frames, desynced_at: desyncedAt };
+            })
+            .then((data) => {
+                if (!cancelled) setReplayData(data);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.message);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [sessionId]);
+
+    const frames = replayData ? replayData.frames : [];
+    const lastFrameIndex = Math.max(frames.length - 1, 0);
+
+    // Advance one frame at a time, keeping the recorded pace scaled by the speed
+    useEffect(() => {
+        if (!isPlaying) return;
+        if (frameIndex >= lastFrameIndex) {
+            setIsPlaying(false);
+            return;
+        }
+
+        const elapsed = frames[frameIndex + 1].time - frames[frameIndex].time;
+        const delay = Math.min(Math.max(elapsed / speed, MIN_FRAME_DELAY), MAX_FRAME_DELAY);
+        const timeoutId = setTimeout(() => setFrameIndex(index => index + 1), delay);
+
+        return () => clearTimeout(timeoutId);
+    }, [isPlaying, frameIndex, lastFrameIndex, speed, frames]);
+
+    const togglePlay = () => {
+        // Playing from the last frame starts over
+        if (!isPlaying && frameIndex >= lastFrameIndex) {
+            setFrameIndex(0);
+        }
+        setIsPlaying(playing => !playing);
+    };
+
+    const seek = (index) => {
+        setFrameIndex(Math.min(Math.max(index, 0), lastFrameIndex));
+    };
+
+    return {
+        replayData,
+        error,
+        frame: frames[frameIndex] || null,
+        frameIndex,
+        lastFrameIndex,
+        isPlaying,
+        speed,
+        setSpeed,
+        togglePlay,
+        seek
+    };
+};
@@ -58,6 +58,51 @@ export function hsvToRgb(h, s, v) {
     return `rgb(${r}, ${g}, ${b})`;
 }
 
+/**
+ * Get the hue of an "rgb(r, g, b)" color string
+ * @param {string} color - RGB color string
+ * @returns {number|null} Hue (0-360), or null if the color isn't in that format
+ */
+export function rgbToHue(color) {
+    const match = /^rgb\((\d+),\s*(\d+),\s*(\d+)\)$/.exec(color || '');
+    if (!match) {
+        return null;
+    }
+    const [r, g, b] = match.slice(1).map(value => parseInt(value, 10) / 255);
+    const max = Math.max(r, g, b);
+    const delta = max - Math.min(r, g, b);
+    if (delta === 0) {
+        return 0;
+    }
+
+    let hue;
+    if (max === r) {
+        hue = ((g - b) / delta) % 6;
+    } else if (max === g) {
+        hue = (b - r) / delta + 2;
+    } else {
+        hue = (r - g) / delta + 4;
+    }
+    return Math.round((hue * 60 + 360) % 360);
+}
+
+/**
+ * Get a team's color: the average hue of its players' colors
+ * @param {string[]} colors - RGB color strings of the team's players
+ * @returns {string|null} RGB color string, or null if none of the colors has a hue
+ */
+export function getTeamColor(colors) {
+    const hues = colors.map(rgbToHue).filter(hue => hue !== null);
+    if (hues.length === 0) {
+        return null;
+    }
+    // Average on the color wheel, so 350° and 10° give 0° rather than 180°
+    const x = hues.reduce((sum, hue) => sum + Math.cos(hue * Math.PI / 180), 0);
+    const y = hues.reduce((sum, hue) => sum + Math.sin(hue * Math.PI / 180), 0);
+    const hue = Math.round((Math.atan2(y, x) * 180 / Math.PI + 360) % 360);
+    return hsvToRgb(hue, SATURATION, VALUE);
+}
+
 /**
  * Get user's hue from localStorage or generate a new one
  * @returns {number} Hue value (0-360)
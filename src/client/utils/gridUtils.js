@@ -0,0 +1,37 @@
+/**
+ * Create an empty grid of the given dimensions
+ * @param {number} width - Number of columns
+ * @param {number} height - Number of rows
+ * @returns {Array} Grid filled with null cells
+ */
+export const createEmptyGrid = (width, height) => {
+    return Array(height).fill(null).map(() => Array(width).fill(null));
+};
+
+/**
+ * Get the dimensions of a grid
+ * @param {Array} grid - Grid rows
+ * @returns {{width: number, height: number}} Column and row count
+ */
+export const getGridSize = (grid) => ({
+    width: grid[0]?.length || 0,
+    height: grid.length
+});
+
+/**
+ * Get the board to show for a player: their own in versus games, the shared grid otherwise
+ * Spectators of a versus game watch the board of the player in the lowest seat
+ * @param {Object} state - Game state from the server
+ * @param {string} playerId - Player to show the board of
+ * @returns {Array} Grid rows
+ */
+export const getPlayerGrid = (state, playerId) => {
+    if (!state.boards) {
+        return state.grid;
+    }
+    if (state.boards[playerId]) {
+        return state.boards[playerId];
+    }
+    const firstPlayer = Object.values(state.players || {}).sort((a, b) => a.seat - b.seat)[0];
+    return (firstPlayer && state.boards[firstPlayer.id]) || state.grid;
+};
@@ -0,0 +1,23 @@
+/**
+ * Build the query string of a room page
+ * Private rooms can only be found by invite code, so their links carry it
+ * @param {string} roomId - Room ID
+ * @param {Object} invite - Invite details from the server ({code, visibility, hasPassword}), optional
+ * @returns {string} Query string starting with '?'
+ */
+export const getRoomQuery = (roomId, invite) => {
+    if (invite && invite.visibility === 'private') {
+        return `?room=${roomId}&invite=${invite.code}`;
+    }
+    return `?room=${roomId}`;
+};
+
+/**
+ * Build a link that lets someone else join a room
+ * @param {string} roomId - Room ID
+ * @param {Object} invite - Invite details from the server ({code, visibility, hasPassword})
+ * @returns {string} Absolute URL
+ */
+export const getInviteLink = (roomId, invite) => {
+    return `${window.location.origin}${window.location.pathname}?room=${roomId}&invite=${invite.code}`;
+};
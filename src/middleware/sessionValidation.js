@@ -8,6 +8,10 @@ const userRepository = new UserRepository(db);
 const sessionRepository = new SessionRepository(db);
 const authService = new AuthService(userRepository, sessionRepository);
 
+// Anonymous players upload their offline games with their anonymous token, which has no session row;
+// no other request may use it in place of a session
+const isAnonymousTokenRequest = (req) => req.method === 'POST' && req.path === '/api/user/sessions/offline';
+
 /**
  * Session validation middleware
  * Checks for a valid session token in the request and attaches user data to req
@@ -35,6 +39,13 @@ const sessionValidation = async (req, res, next) => {
       // Invalid or expired session
       req.user = null;
       req.session = null;
+
+      const anonymousUser = isAnonymousTokenRequest(req) && await userRepository.findByAnonymousToken(sessionToken);
+      if (anonymousUser) {
+        req.user = anonymousUser;
+        req.isAnonymous = true;
+        return next();
+      }
       
       // For API routes, return 401; for other routes, continue without authentication
       if (req.path.startsWith('/api/')) {
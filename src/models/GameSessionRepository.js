@@ -26,23 +26,24 @@ class GameSessionRepository {
       figures_placed,
       score,
       game_result,
-      session_data
+      session_data,
+      used_undo = false
     } = sessionData;
 
     const query = `
       INSERT INTO game_sessions (
         player_id, game_mode, grid_width, grid_height,
         initial_grid, final_grid, duration_seconds, lines_cleared,
-        figures_placed, score, game_result, session_data
+        figures_placed, score, game_result, session_data, used_undo
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *;
     `;
 
     const values = [
       player_id, game_mode, grid_width, grid_height,
       initial_grid, final_grid, duration_seconds, lines_cleared,
-      figures_placed, score, game_result, session_data
+      figures_placed, score, game_result, session_data, used_undo
     ];
 
     try {
@@ -94,10 +95,37 @@ class GameSessionRepository {
     }
   }
 
+  /**
+   * Finds a user's game session played with a given seed
+   * Offline games are uploaded by the client, which may send the same game more than once;
+   * daily challenges are played with the day's seed, and only the first attempt ranks
+   * @param {string} playerId - User ID to find the session for
+   * @param {number|string} seed - Seed the game was played with
+   * @param {string|null} gameMode - Game mode the session must have been played in (any if null)
+   * @returns {Promise<Object|null>} The found game session or null
+   */
+  async findByPlayerIdAndSeed(playerId, seed, gameMode = null) {
+    const query = `
+      SELECT * FROM game_sessions
+      WHERE player_id = $1 AND session_data->>'seed' = $2
+        AND ($3::text IS NULL OR game_mode = $3)
+      ORDER BY started_at ASC
+      LIMIT 1;
+    `;
+    const values = [playerId, String(seed), gameMode];
+
+    try {
+      const result = await this.db.query(query, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding game session by seed: ${error.message}`);
+    }
+  }
+
   /**
    * Finds game sessions for a specific user with a specific game result
    * @param {string} userId - User ID to find sessions for
-   * @param {string} gameResult - Game result to filter by (e.g., 'win', 'loss', 'draw')
+   * @param {string} gameResult - Game result to filter by (a finishing position such as '1st', or 'win', 'loss', 'draw' for older sessions)
    * @param {number} limit - Maximum number of sessions to return (default: 10)
    * @param {number} offset - Number of sessions to skip (default: 0)
    * @returns {Promise<Array>} Array of game sessions
@@ -129,7 +157,7 @@ class GameSessionRepository {
     const allowedFields = [
       'game_mode', 'grid_width', 'grid_height',
       'initial_grid', 'final_grid', 'duration_seconds', 'lines_cleared',
-      'figures_placed', 'score', 'game_result', 'session_data'
+      'figures_placed', 'score', 'game_result', 'session_data', 'ending_reason', 'analysis', 'used_undo'
     ];
     
     const updateFields = [];
@@ -305,11 +305,21 @@ class GameStatisticsRepository {
 
   /**
    * Updates user statistics based on a completed game session using transactions
+   * Games in which a placement was undone are left out, so they never reach the totals, best scores or leaderboards
    * @param {string} userId - User ID to update statistics for
    * @param {Object} gameSession - Completed game session data
-   * @returns {Promise<Object>} The updated statistics
+   * @returns {Promise<Object|null>} The updated statistics (unchanged for a game that used undo, null if the user has none)
    */
   async updateFromGameSessionWithTransaction(userId, gameSession) {
+    if (gameSession.used_undo) {
+      return await this.findByUserId(userId);
+    }
+
+    // Co-op games are tracked apart from the competitive totals
+    if (gameSession.game_mode === 'coop') {
+      return await this.updateCoopStatsFromGameSession(userId, gameSession);
+    }
+
     return await TransactionManager.executeWithRetry(this.db, async (client) => {
       // Get the current statistics for the user with row locking to prevent concurrent updates
       const lockQuery = 'SELECT * FROM game_statistics WHERE user_id = $1 FOR UPDATE;';
@@ -378,6 +388,45 @@ class GameStatisticsRepository {
       return updateStatsResult.rows[0];
     });
   }
+
+  /**
+   * Updates a user's co-op statistics from a completed co-op game session
+   * @param {string} userId - User ID to update statistics for
+   * @param {Object} gameSession - Completed game session data (game_result is the team's 'win' or 'loss')
+   * @returns {Promise<Object>} The updated statistics
+   */
+  async updateCoopStatsFromGameSession(userId, gameSession) {
+    const team = gameSession.team_result || {};
+    const query = `
+      INSERT INTO game_statistics (
+        user_id, coop_games, coop_wins, coop_best_team_score, coop_best_team_lines, coop_total_play_time_seconds
+      )
+      VALUES ($1, 1, $2, $3, $4, $5)
+      ON CONFLICT (user_id) DO UPDATE
+      SET coop_games = game_statistics.coop_games + 1,
+          coop_wins = game_statistics.coop_wins + EXCLUDED.coop_wins,
+          coop_best_team_score = GREATEST(game_statistics.coop_best_team_score, EXCLUDED.coop_best_team_score),
+          coop_best_team_lines = GREATEST(game_statistics.coop_best_team_lines, EXCLUDED.coop_best_team_lines),
+          coop_total_play_time_seconds = game_statistics.coop_total_play_time_seconds + EXCLUDED.coop_total_play_time_seconds,
+          updated_at = NOW()
+      RETURNING *;
+    `;
+
+    const values = [
+      userId,
+      gameSession.game_result === 'win' ? 1 : 0,
+      team.score || gameSession.score || 0,
+      team.linesCleared || 0,
+      gameSession.duration_seconds || 0
+    ];
+
+    try {
+      const result = await this.db.query(query, values);
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Error updating co-op statistics: ${error.message}`);
+    }
+  }
 }
 
 module.exports = GameStatisticsRepository;
\ No newline at end of file
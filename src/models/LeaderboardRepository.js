@@ -17,18 +17,22 @@ class LeaderboardRepository {
       score,
       lines_cleared,
       game_mode,
-      season_id
+      season_id,
+      game_session_id = null,
+      period_start = null,
+      period_end = null
     } = entryData;
 
     const query = `
       INSERT INTO leaderboard_entries (
-        user_id, score, lines_cleared, game_mode, season_id
+        user_id, score, lines_cleared, game_mode, season_id,
+        game_session_id, period_start, period_end
       )
-      VALUES ($1, $2, $3, $4, $5)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *;
     `;
 
-    const values = [user_id, score, lines_cleared, game_mode, season_id];
+    const values = [user_id, score, lines_cleared, game_mode, season_id, game_session_id, period_start, period_end];
 
     try {
       const result = await this.db.query(query, values);
@@ -322,7 +326,16 @@ class LeaderboardRepository {
    * @returns {Promise<Object>} The updated or created leaderboard entry
    */
   async upsertEntry(userData) {
-    const { user_id, score, lines_cleared, game_mode, season_id = 'all_time' } = userData;
+    const {
+      user_id,
+      score,
+      lines_cleared,
+      game_mode,
+      season_id = 'all_time',
+      game_session_id = null,
+      period_start = null,
+      period_end = null
+    } = userData;
     
     // First, try to find an existing entry
     const existingEntry = await this.findByUserAndMode(user_id, game_mode, season_id);
@@ -354,11 +367,88 @@ class LeaderboardRepository {
         score,
         lines_cleared,
         game_mode,
-        season_id
+        season_id,
+        game_session_id,
+        period_start,
+        period_end
       });
     }
   }
 
+  /**
+   * Records a player's result in a daily challenge
+   * Only the first attempt ranks: a player who already has an entry for the day keeps it
+   * @param {Object} entryData - {user_id, score, lines_cleared, game_session_id, challenge_id, period_start, period_end, used_undo}
+   * @returns {Promise<Object|null>} The created entry, or null if the player already had one or the game used undo
+   */
+  async addDailyEntry(entryData) {
+    const {
+      user_id,
+      score,
+      lines_cleared,
+      game_session_id,
+      challenge_id,
+      period_start,
+      period_end,
+      used_undo = false
+    } = entryData;
+    if (used_undo) {
+      return null;
+    }
+
+    const query = `
+      INSERT INTO leaderboard_entries (
+        user_id, score, lines_cleared, game_mode, season_id,
+        game_session_id, period_start, period_end
+      )
+      VALUES ($1, $2, $3, 'daily', $4, $5, $6, $7)
+      ON CONFLICT (user_id, game_mode, season_id) DO NOTHING
+      RETURNING *;
+    `;
+    const values = [user_id, score, lines_cleared, challenge_id, game_session_id, period_start, period_end];
+
+    try {
+      const result = await this.db.query(query, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error adding daily challenge entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets the leaderboard of a daily challenge
+   * Higher scores rank first, then more lines cleared; equal results share a rank
+   * @param {string} challengeId - Day of the challenge (YYYY-MM-DD)
+   * @param {number} limit - Number of entries to return (default: 50)
+   * @returns {Promise<Array>} Array of leaderboard entries with their rank
+   */
+  async getDailyLeaderboard(challengeId, limit = 50) {
+    const query = `
+      SELECT 
+        RANK() OVER (ORDER BY le.score DESC, le.lines_cleared DESC) as rank,
+        le.user_id,
+        le.score,
+        le.lines_cleared,
+        le.game_session_id,
+        le.created_at,
+        COALESCE(u.display_name, u.username) as username,
+        u.avatar_url
+      FROM leaderboard_entries le
+      JOIN users u ON le.user_id = u.id
+      WHERE le.game_mode = 'daily' AND le.season_id = $1
+      ORDER BY le.score DESC, le.lines_cleared DESC, le.created_at ASC
+      LIMIT $2;
+    `;
+    const values = [challengeId, limit];
+
+    try {
+      const result = await this.db.query(query, values);
+      return result.rows.map(row => ({ ...row, rank: parseInt(row.rank, 10) }));
+    } catch (error) {
+      throw new Error(`Error getting daily challenge leaderboard: ${error.message}`);
+    }
+  }
+
   /**
    * Gets personal best records for a user
    * @param {string} userId - User ID to get personal bests for
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { repositoryManager } = require('../config/db');
+const { getDailyChallengeId, isValidDailyChallengeId, getDailyPeriod } = require('../shared/engine/dailyChallenge.js');
+
+const DEFAULT_LEADERBOARD_LIMIT = 50;
+const MAX_LEADERBOARD_LIMIT = 100;
+
+// Reply with a day's challenge and its leaderboard
+const sendChallenge = async (req, res, challengeId) => {
+  const limit = req.query.limit === undefined ? DEFAULT_LEADERBOARD_LIMIT : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_LIMIT) {
+    return res.status(400).json({ error: `Limit must be between 1 and ${MAX_LEADERBOARD_LIMIT}` });
+  }
+
+  const period = getDailyPeriod(challengeId);
+  const leaderboard = await repositoryManager.leaderboard.getDailyLeaderboard(challengeId, limit);
+  res.status(200).json({
+    challengeId,
+    startsAt: period.start,
+    endsAt: period.end,
+    leaderboard: leaderboard.map(entry => ({
+      rank: entry.rank,
+      userId: entry.user_id,
+      username: entry.username,
+      score: entry.score,
+      linesCleared: entry.lines_cleared,
+      sessionId: entry.game_session_id
+    }))
+  });
+};
+
+// GET /api/daily - Get today's challenge (UTC) and its leaderboard
+router.get('/', async (req, res) => {
+  try {
+    await sendChallenge(req, res, getDailyChallengeId());
+  } catch (error) {
+    console.error('Error fetching daily challenge:', error);
+    res.status(500).json({ error: 'Failed to fetch daily challenge' });
+  }
+});
+
+// GET /api/daily/:challengeId - Get the leaderboard of an earlier day's challenge (YYYY-MM-DD)
+router.get('/:challengeId', async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    if (!isValidDailyChallengeId(challengeId) || challengeId > getDailyChallengeId()) {
+      return res.status(404).json({ error: 'Daily challenge not found' });
+    }
+    await sendChallenge(req, res, challengeId);
+  } catch (error) {
+    console.error('Error fetching daily challenge:', error);
+    res.status(500).json({ error: 'Failed to fetch daily challenge' });
+  }
+});
+
+module.exports = router;
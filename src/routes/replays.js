@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const { repositoryManager } = require('../config/db');
+const { getSessionReplay } = require('../utils/replay');
+const { isRunningDailySession } = require('../utils/dailySeed');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// GET /api/replays/:sessionId - Get the replay of a game session: seed, rules and moves, which the viewer re-simulates
+router.get('/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!UUID_PATTERN.test(sessionId)) {
+      return res.status(404).json({ error: 'Game session not found' });
+    }
+
+    const gameSession = await repositoryManager.gameSessions.findById(sessionId);
+    if (!gameSession) {
+      return res.status(404).json({ error: 'Game session not found' });
+    }
+    if (isRunningDailySession(gameSession)) {
+      return res.status(403).json({ error: 'Daily challenge replays are shown once the day is over' });
+    }
+
+    const replay = getSessionReplay(gameSession);
+    if (!replay) {
+      return res.status(422).json({ error: 'Replay not available for this game session' });
+    }
+
+    res.status(200).json({
+      session: {
+        id: gameSession.id,
+        player_id: gameSession.player_id,
+        score: gameSession.score,
+        game_result: gameSession.game_result,
+        duration_seconds: gameSession.duration_seconds,
+        created_at: gameSession.created_at
+      },
+      replay
+    });
+  } catch (error) {
+    console.error('Error fetching game replay:', error);
+    res.status(500).json({ error: 'Failed to fetch game replay' });
+  }
+});
+
+// GET /api/replays/:sessionId/analysis - Get the move analysis stored when the game finished
+router.get('/:sessionId/analysis', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!UUID_PATTERN.test(sessionId)) {
+      return res.status(404).json({ error: 'Game session not found' });
+    }
+
+    const gameSession = await repositoryManager.gameSessions.findById(sessionId);
+    if (!gameSession) {
+      return res.status(404).json({ error: 'Game session not found' });
+    }
+    if (isRunningDailySession(gameSession)) {
+      return res.status(403).json({ error: 'Daily challenge analyses are shown once the day is over' });
+    }
+    if (!gameSession.analysis) {
+      return res.status(404).json({ error: 'Analysis not available for this game session' });
+    }
+
+    res.status(200).json({
+      session: {
+        id: gameSession.id,
+        player_id: gameSession.player_id,
+        score: gameSession.score,
+        game_result: gameSession.game_result,
+        game_mode: gameSession.game_mode,
+        created_at: gameSession.created_at
+      },
+      analysis: gameSession.analysis
+    });
+  } catch (error) {
+    console.error('Error fetching game analysis:', error);
+    res.status(500).json({ error: 'Failed to fetch game analysis' });
+  }
+});
+
+module.exports = router;
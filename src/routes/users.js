@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const AuthService = require('../services/AuthService');
 const { repositoryManager } = require('../config/db');
+const { checkOfflineReplay } = require('../utils/replay');
+const { analyzeGameInWorker } = require('../utils/analysis');
 
 // Middleware to handle user identification for both authenticated and anonymous users
 const identifyUser = async (req, res, next) => {
@@ -86,6 +88,10 @@ router.get('/stats', async (req, res) => {
         total_lines_cleared: 0,
         average_lines_cleared: 0,
         best_lines_cleared: 0,
+        coop_games: 0,
+        coop_wins: 0,
+        coop_best_team_score: 0,
+        coop_best_team_lines: 0,
         rating: 1000
       });
     }
@@ -105,6 +111,10 @@ router.get('/stats', async (req, res) => {
       total_lines_cleared: stats.total_lines_cleared,
       average_lines_cleared: stats.average_lines_cleared || 0,
       best_lines_cleared: stats.best_lines_cleared,
+      coop_games: stats.coop_games || 0,
+      coop_wins: stats.coop_wins || 0,
+      coop_best_team_score: stats.coop_best_team_score || 0,
+      coop_best_team_lines: stats.coop_best_team_lines || 0,
       rating: stats.rating || 1000
     };
     
@@ -116,4 +126,73 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// POST /api/user/sessions/offline - Store a solo game played offline in the browser
+// The body is the game's replay; it is re-played here and only stored if it holds up
+router.post('/sessions/offline', async (req, res) => {
+  try {
+    const user = req.user;
+    const replay = req.body && req.body.replay;
+
+    let checked;
+    try {
+      checked = checkOfflineReplay(replay);
+    } catch (error) {
+      return res.status(422).json({ error: error.message });
+    }
+    const { game, playerId, durationSeconds } = checked;
+
+    // The client retries uploads it isn't sure about; a game is stored once
+    const existing = await repositoryManager.gameSessions.findByPlayerIdAndSeed(user.id, replay.seed, game.modeRules.mode);
+    if (existing) {
+      return res.status(200).json({ sessionId: existing.id });
+    }
+
+    const gameSessionData = {
+      player_id: user.id,
+      game_mode: game.modeRules.mode,
+      grid_width: game.gridWidth,
+      grid_height: game.gridHeight,
+      initial_grid: JSON.stringify(game.getInitialGrid()),
+      final_grid: JSON.stringify(game.getBoard(playerId)),
+      duration_seconds: durationSeconds,
+      lines_cleared: game.getLinesCleared(),
+      figures_placed: game.getFiguresPlaced(),
+      score: game.getScore(playerId),
+      game_result: game.getGameResult(playerId),
+      used_undo: game.usedUndo,
+      session_data: JSON.stringify({
+        players: Array.from(game.players.entries()),
+        moves: replay.moves,
+        figure_set: game.figureSet.name,
+        seed: game.seed,
+        randomizer: game.randomizer,
+        preview_size: game.previewSize,
+        hold_enabled: game.holdEnabled,
+        rules: game.getRules(),
+        replay_version: replay.version,
+        offline: true,
+        is_anonymous: req.isAnonymous
+      })
+    };
+
+    const session = await repositoryManager.gameSessions.create(gameSessionData);
+    await repositoryManager.gameStatistics.updateFromGameSessionWithTransaction(user.id, gameSessionData);
+
+    // The game is stored either way; without its analysis the game over screen just doesn't link one
+    try {
+      const analysis = (await analyzeGameInWorker(replay, [playerId]))[playerId];
+      if (analysis) {
+        await repositoryManager.gameSessions.update(session.id, { analysis: JSON.stringify(analysis) });
+      }
+    } catch (error) {
+      console.error('Error analysing offline game:', error);
+    }
+
+    res.status(201).json({ sessionId: session.id });
+  } catch (error) {
+    console.error('Error storing offline game session:', error);
+    res.status(500).json({ error: 'Failed to store offline game session' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -6,9 +6,19 @@ const path = require('path');
 const session = require('express-session');
 const passport = require('passport');
 const cookieParser = require('cookie-parser');
-const { Game } = require('./models/Game');
+const { Game, DEFAULT_GRID_SIZE, DEFAULT_MAX_PLAYERS, REPLAY_VERSION, PHASES, isValidGridSize, isValidPreviewSize, isValidHintLimit, isValidMaxPlayers } = require('./shared/engine/Game.js');
+const { DEFAULT_FIGURE_SET, isValidFigureSet } = require('./shared/engine/figureUtils.js');
+const { isValidSeed, generateSeed } = require('./shared/engine/seededRandom.js');
+const { DEFAULT_RANDOMIZER, isValidRandomizer } = require('./shared/engine/randomizers.js');
+const { createModeRules, DEFAULT_GAME_MODE } = require('./shared/engine/gameModes.js');
+const { HINT_MOVES, getBestMoves } = require('./shared/engine/solver.js');
+const { DAILY_GAME_MODE, getDailyChallengeId, getDailyPeriod, createDailyGame } = require('./shared/engine/dailyChallenge.js');
+const { analyzeGameInWorker } = require('./utils/analysis');
+const { getDailySeed } = require('./utils/dailySeed');
+const { DEFAULT_BOT_DIFFICULTY, BOT_MOVE_DELAY_MS, isValidBotDifficulty, pickBotColor, chooseBotMove } = require('./utils/bots');
 const { pool, query, healthCheck, closePool, repositoryManager } = require('./config/db');
 const GameSessionService = require('./services/GameSessionService');
+const RoomManager = require('./services/RoomManager');
 const crypto = require('crypto');
 const AuthService = require('./services/AuthService');
 const UserRepository = require('./models/UserRepository');
@@ -17,6 +27,8 @@ const SessionRepository = require('./models/SessionRepository');
 // Import routes and middleware
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const replayRoutes = require('./routes/replays');
+const dailyRoutes = require('./routes/daily');
 const { sessionValidation } = require('./middleware/sessionValidation');
 
 // Initialize the GameSessionService with repositories
@@ -40,6 +52,8 @@ const io = new Server(server, {
 app.set('trust proxy', 1);
 
 // Middleware setup
+// Offline games upload their whole replay in one request
+app.use('/api/user/sessions/offline', express.json({ limit: '5mb' }));
 app.use(express.json());
 app.use(cookieParser());
 app.use(session({
@@ -83,6 +97,10 @@ app.get('/api/user/stats/public', async (req, res) => {
         total_figures_placed: 0,
         total_play_time_seconds: 0,
         average_lines_per_game: 0,
+        coop_games: 0,
+        coop_wins: 0,
+        coop_best_team_score: 0,
+        coop_best_team_lines: 0,
         rating: 1000
       });
     }
@@ -105,6 +123,10 @@ app.get('/api/user/stats/public', async (req, res) => {
       total_figures_placed: stats.total_figures_placed || 0,
       total_play_time_seconds: stats.total_play_time_seconds || 0,
       average_lines_per_game: stats.average_lines_per_game || 0,
+      coop_games: stats.coop_games || 0,
+      coop_wins: stats.coop_wins || 0,
+      coop_best_team_score: stats.coop_best_team_score || 0,
+      coop_best_team_lines: stats.coop_best_team_lines || 0,
       rating: stats.rating || 1000
     };
     
@@ -121,6 +143,8 @@ app.use(sessionValidation);
 // Routes
 app.use('/auth', authRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/replays', replayRoutes);
+app.use('/api/daily', dailyRoutes);
 
 // Serve static files from the client build directory (for production)
 if (process.env.NODE_ENV === 'production') {
@@ -219,9 +243,409 @@ io.use((socket, next) => {
   }
 });
 
-const games = new Map();
+// How long a disconnected player's seat is held for a reconnect
+const RECONNECT_GRACE_PERIOD_MS = parseInt(process.env.RECONNECT_GRACE_PERIOD_MS, 10) || 30000;
+
+// Pending seat releases, keyed by `${roomId}:${playerId}`
+const reconnectTimers = new Map();
+
+// How long the countdown before a round lasts
+const ROUND_COUNTDOWN_MS = parseInt(process.env.ROUND_COUNTDOWN_MS, 10) || 3000;
+
+// Shortest time between two undos by the same player
+const UNDO_COOLDOWN_MS = parseInt(process.env.UNDO_COOLDOWN_MS, 10) || 1000;
+
+// When each player in a room last undid a placement (by player ID); rooms that close take their entry with them
+const undoTimes = new WeakMap();
+
+// Pending round starts, keyed by roomId
+const countdownTimers = new Map();
+
+// Forget a room's pending round start
+const clearCountdown = (roomId) => {
+  clearTimeout(countdownTimers.get(roomId));
+  countdownTimers.delete(roomId);
+};
+
+// Open a game session for a player's round in a room; it is completed when the round ends or the player leaves
+const createGameSession = async (game, playerId, isAnonymous) => {
+  try {
+    const gameSessionData = {
+      player_id: playerId,
+      game_mode: game.modeRules.mode,
+      grid_width: game.gridWidth,
+      grid_height: game.gridHeight,
+      initial_grid: JSON.stringify(game.getInitialGrid()),
+      final_grid: null, // Will be set when game ends
+      duration_seconds: 0, // Will be calculated when game ends
+      lines_cleared: 0, // Will be updated as game progresses
+      figures_placed: 0, // Will be updated as game progresses
+      score: 0, // Will be updated as game progresses
+      game_result: 'in_progress', // Will be updated when game ends
+      session_data: JSON.stringify({
+        players: Array.from(game.players.entries()),
+        moves: [],
+        figure_set: game.figureSet.name,
+        seed: game.seed,
+        randomizer: game.randomizer,
+        preview_size: game.previewSize,
+        hold_enabled: game.holdEnabled,
+        rules: game.getRules(),
+        replay_version: REPLAY_VERSION,
+        daily_challenge: game.dailyChallenge ? game.dailyChallenge.challengeId : null,
+        is_anonymous: isAnonymous
+      })
+    };
+
+    // Create the game session in the database
+    const createdSession = await repositoryManager.gameSessions.create(gameSessionData);
+
+    // Store the session ID in the game instance for this player
+    if (!game.playerSessions) {
+      game.playerSessions = {};
+    }
+    game.playerSessions[playerId] = createdSession.id;
+  } catch (error) {
+    console.error(`Error creating game session for player ${playerId}:`, error);
+    // Continue with the game creation even if session creation fails
+  }
+};
+
+// End the sessions of players still seated in a round that stopped before it finished (room closed or restarted)
+const closeRoomSessions = async (game) => {
+  // Finished games have already completed their sessions
+  if (!game.playerSessions || game.gameOver) {
+    return;
+  }
+  for (const playerId of game.players.keys()) {
+    const sessionId = game.playerSessions[playerId];
+    if (!sessionId) continue;
+    try {
+      await repositoryManager.gameSessions.update(sessionId, {
+        game_result: 'abandoned',
+        ending_reason: 'room_closed'
+      });
+    } catch (error) {
+      console.error(`Error closing game session for player ${playerId} in room ${game.id}:`, error);
+    }
+  }
+};
+
+const rooms = new RoomManager({
+  maxRooms: parseInt(process.env.MAX_ROOMS, 10) || 100,
+  idleTimeoutMs: parseInt(process.env.ROOM_IDLE_TIMEOUT_MS, 10) || 30 * 60 * 1000,
+  finishedRoomTtlMs: parseInt(process.env.FINISHED_ROOM_TTL_MS, 10) || 5 * 60 * 1000,
+  onRoomClosed: (game, reason, { listed }) => {
+    const roomId = game.id;
+
+    // Seats held for reconnecting players go with the room
+    for (const playerId of game.players.keys()) {
+      const timerKey = `${roomId}:${playerId}`;
+      clearTimeout(reconnectTimers.get(timerKey));
+      reconnectTimers.delete(timerKey);
+    }
+    clearCountdown(roomId);
+
+    closeRoomSessions(game);
+
+    io.to(roomId).emit('room_closed', { roomId, reason });
+    io.socketsLeave(roomId);
+    if (listed) {
+      io.emit('room_removed', { roomId });
+    }
+  }
+});
+
+// The lobby gets the full room list once (get_rooms), then one event per changed public room
+const broadcastRoomUpdated = (roomId) => {
+  if (rooms.isListed(roomId)) {
+    io.emit('room_updated', rooms.getRoomSummary(roomId));
+  }
+};
+
+// Build the finished game session of a player: the result for the statistics, and in session_data the replay of the round
+const buildGameSessionData = (game, playerId, authenticatedUserId, gameResult) => ({
+  player_id: authenticatedUserId,
+  game_mode: game.modeRules.mode,
+  grid_width: game.gridWidth,
+  grid_height: game.gridHeight,
+  initial_grid: JSON.stringify(game.getInitialGrid()),
+  final_grid: JSON.stringify(game.getBoard(playerId)),
+  duration_seconds: game.getPlayerDuration(playerId),
+  lines_cleared: game.getLinesCleared(),
+  figures_placed: game.getFiguresPlaced(),
+  score: game.getScore(playerId),
+  game_result: gameResult,
+  team_result: game.getTeamResult(),
+  used_undo: game.usedUndo,
+  session_data: JSON.stringify({
+    players: Array.from(game.players.entries()),
+    moves: game.moves,
+    figure_set: game.figureSet.name,
+    seed: game.seed,
+    randomizer: game.randomizer,
+    preview_size: game.previewSize,
+    hold_enabled: game.holdEnabled,
+    rules: game.getRules(),
+    team: game.getTeamResult(),
+    teams: game.getTeamStandings(),
+    replay_version: REPLAY_VERSION,
+    daily_challenge: game.dailyChallenge ? game.dailyChallenge.challengeId : null,
+    authenticated_user_id: authenticatedUserId
+  })
+});
+
+// Helper function to complete game sessions for all players
+const completeGameSessions = async (roomId) => {
+  const gameInstance = rooms.get(roomId);
+  if (!gameInstance || !gameInstance.playerSessions) {
+    console.warn('Game instance or player sessions not found for game completion');
+    return;
+  }
+
+  // Process each player's game session
+  for (const [playerId, sessionId] of Object.entries(gameInstance.playerSessions)) {
+    try {
+      // Get the authenticated user ID for this player (if available)
+      const authenticatedUserId = (gameInstance.authenticatedUserIds &&
+        gameInstance.authenticatedUserIds[playerId]) || playerId;
+      
+      const gameSessionData = buildGameSessionData(gameInstance, playerId, authenticatedUserId, gameInstance.getGameResult(playerId));
+      
+      // Log the data that will be written to the database for debugging
+      console.log(`Game completion data for player ${playerId}:`, {
+        player_id: authenticatedUserId,
+        game_mode: gameSessionData.game_mode,
+        grid_width: gameSessionData.grid_width,
+        grid_height: gameSessionData.grid_height,
+        initial_grid: gameSessionData.initial_grid,
+        final_grid: gameSessionData.final_grid,
+        duration_seconds: gameSessionData.duration_seconds,
+        lines_cleared: gameSessionData.lines_cleared,
+        figures_placed: gameSessionData.figures_placed,
+        score: gameSessionData.score,
+        game_result: gameSessionData.game_result,
+        session_data: gameSessionData.session_data
+      });
+      
+      // Use the service to complete the game session with proper transactions
+      const result = await gameSessionService.completeGameSessionWithRepositoryMethods(
+        sessionId,
+        {
+          final_grid: gameSessionData.final_grid,
+          duration_seconds: gameSessionData.duration_seconds,
+          lines_cleared: gameSessionData.lines_cleared,
+          figures_placed: gameSessionData.figures_placed,
+          score: gameSessionData.score,
+          game_result: gameSessionData.game_result,
+          session_data: gameSessionData.session_data,
+          game_mode: gameSessionData.game_mode,
+          used_undo: gameSessionData.used_undo,
+          ending_reason: 'game_over'
+        },
+        authenticatedUserId,
+        gameSessionData
+      );
+      
+      // Log the updated session and statistics
+      console.log(`Updated session and statistics for player ${playerId}:`, {
+        session: result.session,
+        statistics: result.statistics
+      });
+
+      // Let the player know where to watch this game again; a daily challenge's replay waits until the day is over
+      if (!gameInstance.dailyChallenge) {
+        io.to(playerId).emit('replay_available', { sessionId });
+      }
+
+      // The player's first attempt at a daily challenge goes on the day's leaderboard
+      if (gameInstance.dailyChallenge && gameInstance.dailyChallenge.ranked) {
+        const { challengeId } = gameInstance.dailyChallenge;
+        const period = getDailyPeriod(challengeId);
+        const entry = await repositoryManager.leaderboard.addDailyEntry({
+          user_id: authenticatedUserId,
+          score: gameSessionData.score,
+          lines_cleared: gameInstance.players.get(playerId).linesCleared,
+          game_session_id: sessionId,
+          challenge_id: challengeId,
+          period_start: period.start,
+          period_end: period.end,
+          used_undo: gameInstance.usedUndo
+        });
+        io.to(playerId).emit('daily_result', { challengeId, ranked: Boolean(entry) });
+      }
+    } catch (error) {
+      console.error(`Error completing game session for player ${playerId}:`, error);
+      // Continue processing other players' sessions
+    }
+  }
+};
+
+// Analyse a finished game's placements and store each player's analysis with their session
+// Runs after game_over is sent, so nobody waits on it to see the result
+const saveGameAnalyses = async (replay, playerSessions) => {
+  // Like the replay, a daily challenge's analysis is only shown once the day is over
+  const announce = replay.rules.modeRules.mode !== DAILY_GAME_MODE;
+  let analyses;
+  try {
+    analyses = await analyzeGameInWorker(replay, Object.keys(playerSessions));
+  } catch (error) {
+    console.error('Error analysing game:', error);
+    return;
+  }
+
+  for (const [playerId, sessionId] of Object.entries(playerSessions)) {
+    if (!analyses[playerId]) continue;
+    try {
+      await repositoryManager.gameSessions.update(sessionId, { analysis: JSON.stringify(analyses[playerId]) });
+      if (announce) {
+        io.to(playerId).emit('analysis_available', { sessionId });
+      }
+    } catch (error) {
+      console.error(`Error saving game analysis for player ${playerId}:`, error);
+    }
+  }
+};
+
+// End a room's round: complete every session and tell the room and the lobby
+const finishGame = async (roomId) => {
+  const game = rooms.get(roomId);
+  if (!game) {
+    return;
+  }
+  // The round's moves and sessions, before a restart replaces them
+  const replay = game.getReplay();
+  const playerSessions = { ...game.playerSessions };
+  await completeGameSessions(roomId);
+  io.to(roomId).emit('game_over', {
+    reason: game.endReason,
+    winnerId: game.winnerId,
+    placements: game.getPlacements(),
+    team: game.getTeamResult(),
+    teams: game.getTeamStandings()
+  });
+  rooms.markFinished(roomId);
+  broadcastRoomUpdated(roomId);
+  await saveGameAnalyses(replay, playerSessions);
+};
+
+// Tell the room which players were knocked out and where they finished
+const announceEliminations = (roomId, game, eliminatedIds) => {
+  for (const eliminatedId of eliminatedIds) {
+    io.to(roomId).emit('player_eliminated', {
+      roomId,
+      playerId: eliminatedId,
+      placement: game.players.get(eliminatedId).placement
+    });
+  }
+};
+
+// Turn-based games: tell the room whose turn it is once the turn moved on
+const announceTurn = (roomId, game, turnBefore, skippedPlayerId = null) => {
+  if (game.turnNumber === turnBefore || !game.currentTurnPlayerId) {
+    return;
+  }
+  io.to(roomId).emit('turn_changed', {
+    roomId,
+    playerId: game.currentTurnPlayerId,
+    turnNumber: game.turnNumber,
+    turnRemainingMs: game.getTimers().turnRemainingMs,
+    skippedPlayerId
+  });
+};
+
+// After a move: knock out players left without a playable figure, then finish the round once it is decided
+const checkRoundOver = async (roomId, game, turnBefore) => {
+  const eliminatedIds = game.eliminateStuckPlayers();
+  const isOver = game.checkGameOver();
+  io.to(roomId).emit('game_update', game.getState());
+  announceEliminations(roomId, game, eliminatedIds);
+  announceTurn(roomId, game, turnBefore);
+  if (isOver) {
+    await finishGame(roomId);
+  }
+};
+
+// How often timed rounds are checked and their remaining time is sent to the room
+const TIMER_TICK_MS = 500;
+
+// The server's clock decides when time runs out; clients only display it
+const tickTimedRooms = () => {
+  const now = Date.now();
+  for (const [roomId, game] of rooms.entries()) {
+    if (game.phase !== PHASES.PLAYING || !game.isTimed()) {
+      continue;
+    }
+    const turnBefore = game.turnNumber;
+    const { eliminated, skippedPlayerId, over } = game.tick(now);
+    if (eliminated.length > 0 || skippedPlayerId || over) {
+      io.to(roomId).emit('game_update', game.getState());
+      announceEliminations(roomId, game, eliminated);
+      announceTurn(roomId, game, turnBefore, skippedPlayerId);
+    }
+    if (over) {
+      finishGame(roomId).catch(error => {
+        console.error(`Error finishing timed game in room ${roomId}:`, error);
+      });
+    } else {
+      io.to(roomId).emit('timer_update', { roomId, ...game.getTimers(now) });
+    }
+  }
+};
+
+// When each bot in a room may make its next move (by bot ID); rooms that close take their entry with them
+const botMoveTimes = new WeakMap();
+
+// Make a bot's move the way a player's move is made, and tell the room
+const playBotMove = async (roomId, game, bot) => {
+  const move = chooseBotMove(game, bot.id, bot.bot);
+  if (!move) {
+    return;
+  }
+  const turnBefore = game.turnNumber;
+  const success = move.type === 'hold'
+    ? game.holdFigure(bot.id, move.figureIndex)
+    : game.placeFigure(bot.id, move.pixels);
+  if (success) {
+    await checkRoundOver(roomId, game, turnBefore);
+  }
+};
+
+// Bots take their time over a move, starting once it is their turn
+const tickBots = () => {
+  const now = Date.now();
+  for (const [roomId, game] of rooms.entries()) {
+    if (game.phase !== PHASES.PLAYING) {
+      botMoveTimes.delete(game);
+      continue;
+    }
+    if (!botMoveTimes.has(game)) {
+      botMoveTimes.set(game, new Map());
+    }
+    const moveTimes = botMoveTimes.get(game);
+    for (const bot of game.getActivePlayers().filter(player => player.bot)) {
+      if (game.phase !== PHASES.PLAYING || !game.isPlayersTurn(bot.id)) {
+        moveTimes.delete(bot.id);
+        continue;
+      }
+      if (!moveTimes.has(bot.id)) {
+        moveTimes.set(bot.id, now + BOT_MOVE_DELAY_MS[bot.bot]);
+      } else if (now >= moveTimes.get(bot.id)) {
+        moveTimes.delete(bot.id);
+        playBotMove(roomId, game, bot).catch(error => {
+          console.error(`Error playing bot ${bot.id} in room ${roomId}:`, error);
+        });
+      }
+    }
+  }
+};
 
 io.on('connection', (socket) => {
+  // Players are keyed by their persistent user ID so a new socket can take back their seat
+  const playerId = socket.userId;
+  // Every socket of a user joins a room named after the user, for messages meant for that player
+  socket.join(playerId);
+
   // Send the anonymous token and user_id to the client if they are an anonymous user
   if (socket.anonymousToken && socket.isAnonymous) {
     socket.emit('anonymous_token', { 
@@ -236,89 +660,9 @@ io.on('connection', (socket) => {
       });
   }
 
- // Helper function to complete game sessions for all players
-   const completeGameSessions = async (roomId) => {
-     const gameInstance = games.get(roomId);
-     if (!gameInstance || !gameInstance.playerSessions) {
-       console.warn('Game instance or player sessions not found for game completion');
-       return;
-     }
- 
-     // Process each player's game session
-     for (const [playerId, sessionId] of Object.entries(gameInstance.playerSessions)) {
-       try {
-         // Get the authenticated user ID for this player (if available)
-         const authenticatedUserId = gameInstance.authenticatedUserIds ?
-           gameInstance.authenticatedUserIds[playerId] : playerId;
-         
-         const opponentId = Array.from(gameInstance.players.keys()).find(id => id !== playerId) || null;
-         
-         const gameSessionData = {
-           player_id: authenticatedUserId,
-           game_mode: 'classic',
-           grid_width: gameInstance.gridWidth,
-           grid_height: gameInstance.gridHeight,
-           initial_grid: JSON.stringify(gameInstance.getInitialGrid()),
-           final_grid: JSON.stringify(gameInstance.grid),
-           duration_seconds: gameInstance.getPlayerDuration ? gameInstance.getPlayerDuration(playerId) : 0,
-           lines_cleared: gameInstance.getLinesCleared ? gameInstance.getLinesCleared() : 0,
-           figures_placed: gameInstance.getFiguresPlaced ? gameInstance.getFiguresPlaced() : 0,
-           score: gameInstance.getScore ? gameInstance.getScore(playerId) : 0,
-           game_result: gameInstance.getGameResult ? gameInstance.getGameResult(playerId) : 'completed',
-           session_data: JSON.stringify({
-             players: Array.from(gameInstance.players.entries()),
-             moves: gameInstance.moves || [],
-             authenticated_user_id: authenticatedUserId
-           })
-         };
-         
-         // Log the data that will be written to the database for debugging
-         console.log(`Game completion data for player ${playerId}:`, {
-           player_id: authenticatedUserId,
-           game_mode: gameSessionData.game_mode,
-           grid_width: gameSessionData.grid_width,
-           grid_height: gameSessionData.grid_height,
-           initial_grid: gameSessionData.initial_grid,
-           final_grid: gameSessionData.final_grid,
-           duration_seconds: gameSessionData.duration_seconds,
-           lines_cleared: gameSessionData.lines_cleared,
-           figures_placed: gameSessionData.figures_placed,
-           score: gameSessionData.score,
-           game_result: gameSessionData.game_result,
-           session_data: gameSessionData.session_data
-         });
-         
-         // Use the service to complete the game session with proper transactions
-         const result = await gameSessionService.completeGameSessionWithRepositoryMethods(
-           sessionId,
-           {
-             final_grid: JSON.stringify(gameInstance.grid),
-             duration_seconds: gameSessionData.duration_seconds,
-             lines_cleared: gameSessionData.lines_cleared,
-             figures_placed: gameSessionData.figures_placed,
-             score: gameSessionData.score,
-             game_result: gameSessionData.game_result,
-             session_data: gameSessionData.session_data
-           },
-           authenticatedUserId,
-           gameSessionData
-         );
-         
-         // Log the updated session and statistics
-         console.log(`Updated session and statistics for player ${playerId}:`, {
-           session: result.session,
-           statistics: result.statistics
-         });
-       } catch (error) {
-         console.error(`Error completing game session for player ${playerId}:`, error);
-         // Continue processing other players' sessions
-       }
-     }
-   };
- 
    // Helper function to complete a single player's game session when they leave a room
-   const completePlayerSessionOnLeave = async (roomId, playerId) => {
-     const gameInstance = games.get(roomId);
+   const completePlayerSessionOnLeave = async (roomId, playerId, endingReason = 'disconnected') => {
+     const gameInstance = rooms.get(roomId);
      if (!gameInstance || !gameInstance.playerSessions || !gameInstance.playerSessions[playerId]) {
        console.warn(`Game instance or player session not found for player ${playerId} in room ${roomId}`);
        return;
@@ -328,40 +672,27 @@ io.on('connection', (socket) => {
        const sessionId = gameInstance.playerSessions[playerId];
        
        // Get the authenticated user ID for this player (if available)
-       const authenticatedUserId = gameInstance.authenticatedUserIds ?
-         gameInstance.authenticatedUserIds[playerId] : playerId;
+       const authenticatedUserId = (gameInstance.authenticatedUserIds &&
+         gameInstance.authenticatedUserIds[playerId]) || playerId;
        
-       // Prepare game session data for statistics calculation
-       const gameSessionData = {
-         player_id: authenticatedUserId,
-         game_mode: 'classic',
-         grid_width: gameInstance.gridWidth,
-         grid_height: gameInstance.gridHeight,
-         initial_grid: JSON.stringify(gameInstance.getInitialGrid()),
-         final_grid: JSON.stringify(gameInstance.grid),
-         duration_seconds: gameInstance.getPlayerDuration ? gameInstance.getPlayerDuration(playerId) : 0,
-         lines_cleared: gameInstance.getLinesCleared ? gameInstance.getLinesCleared() : 0,
-         figures_placed: gameInstance.getFiguresPlaced ? gameInstance.getFiguresPlaced() : 0,
-         score: gameInstance.getScore ? gameInstance.getScore(playerId) : 0,
-         game_result: gameInstance.gameOver ? gameInstance.getGameResult(playerId) : 'quit', // Use 'quit' if player left before game ended
-         session_data: JSON.stringify({
-           players: Array.from(gameInstance.players.entries()),
-           moves: gameInstance.moves || [],
-           authenticated_user_id: authenticatedUserId
-         })
-       };
+       // Prepare game session data for statistics calculation ('quit' if the player left before the game ended)
+       const gameSessionData = buildGameSessionData(gameInstance, playerId, authenticatedUserId,
+         gameInstance.gameOver ? gameInstance.getGameResult(playerId) : 'quit');
        
        // Update the game session with final data and update statistics
        const result = await gameSessionService.completeGameSessionWithRepositoryMethods(
          sessionId,
          {
-           final_grid: JSON.stringify(gameInstance.grid),
+           final_grid: gameSessionData.final_grid,
            duration_seconds: gameSessionData.duration_seconds,
            lines_cleared: gameSessionData.lines_cleared,
            figures_placed: gameSessionData.figures_placed,
            score: gameSessionData.score,
            game_result: gameSessionData.game_result, // Set result to 'quit' when player leaves
-           session_data: gameSessionData.session_data
+           session_data: gameSessionData.session_data,
+           game_mode: gameSessionData.game_mode,
+           used_undo: gameSessionData.used_undo,
+           ending_reason: gameInstance.gameOver ? 'game_over' : endingReason
          },
          authenticatedUserId,
          gameSessionData
@@ -374,119 +705,308 @@ io.on('connection', (socket) => {
      }
    };
  
-   // Helper function to create a game session record in the database
-   const createGameSession = async (game, playerId, isJoining = false) => {
-    try {
-      const gameSessionData = {
-        player_id: socket.userId, // Use the authenticated user ID from socket connection
-        game_mode: 'classic', // Default game mode
-        grid_width: game.gridWidth,
-        grid_height: game.gridHeight,
-        initial_grid: JSON.stringify(game.getInitialGrid()),
-        final_grid: null, // Will be set when game ends
-        duration_seconds: 0, // Will be calculated when game ends
-        lines_cleared: 0, // Will be updated as game progresses
-        figures_placed: 0, // Will be updated as game progresses
-        score: 0, // Will be updated as game progresses
-        game_result: 'in_progress', // Will be updated when game ends
-        session_data: JSON.stringify({
-          players: Array.from(game.players.entries()),
-          moves: [],
-          is_anonymous: socket.isAnonymous
-        })
-      };
-      
-      // Create the game session in the database
-      const createdSession = await repositoryManager.gameSessions.create(gameSessionData);
-      
-      // Store the session ID in the game instance for this player
-      if (!game.playerSessions) {
-        game.playerSessions = {};
+  socket.on('create_room', async ({
+      color,
+      rotateable = false,
+      width = DEFAULT_GRID_SIZE,
+      height = DEFAULT_GRID_SIZE,
+      figureSet = DEFAULT_FIGURE_SET,
+      seed = generateSeed(),
+      randomizer = DEFAULT_RANDOMIZER,
+      previewSize = 0,
+      hold = false,
+      hints = 0,
+      practice = false,
+      visibility = RoomManager.DEFAULT_VISIBILITY,
+      password = '',
+      maxPlayers = DEFAULT_MAX_PLAYERS,
+      mode = DEFAULT_GAME_MODE,
+      sprintLines,
+      shotClockSeconds,
+      turnSeconds,
+      coopLines
+    }) => {
+      if (!isValidGridSize(width) || !isValidGridSize(height)) {
+        socket.emit('error', 'Invalid grid size');
+        return;
       }
-      game.playerSessions[playerId] = createdSession.id;
-      
-      // If this is a joining player and we now have 2 players, update opponent IDs
-      if (isJoining && game.players.size === 2) {
-        // Find the other player in the game
-        const players = Array.from(game.players.keys());
-        const otherPlayerId = players.find(id => id !== playerId);
-        
-        // Update both players' game sessions with each other as opponents
-        if (otherPlayerId && game.playerSessions[otherPlayerId] && game.playerSessions[playerId]) {
-          // Update the existing player's session to have the new player as opponent
-          // Note: opponent_id column doesn't exist in the current schema, so this functionality is not supported
-          
-          // Update the joining player's session to have the existing player as opponent
-          // Note: opponent_id column doesn't exist in the current schema, so this functionality is not supported
-        }
+      if (!isValidFigureSet(figureSet)) {
+        socket.emit('error', 'Unknown figure set');
+        return;
+      }
+      if (!isValidSeed(seed)) {
+        socket.emit('error', 'Invalid seed');
+        return;
+      }
+      if (!isValidRandomizer(randomizer)) {
+        socket.emit('error', 'Unknown randomizer');
+        return;
+      }
+      if (!isValidPreviewSize(previewSize)) {
+        socket.emit('error', 'Invalid preview size');
+        return;
+      }
+      if (!isValidHintLimit(hints)) {
+        socket.emit('error', 'Invalid hint limit');
+        return;
+      }
+      if (!RoomManager.isValidVisibility(visibility)) {
+        socket.emit('error', 'Unknown visibility');
+        return;
+      }
+      if (!RoomManager.isValidPassword(password)) {
+        socket.emit('error', 'Invalid room password');
+        return;
+      }
+      if (!isValidMaxPlayers(maxPlayers)) {
+        socket.emit('error', 'Invalid player count');
+        return;
+      }
+      if (mode === DAILY_GAME_MODE) {
+        socket.emit('error', 'The daily challenge has rooms of its own');
+        return;
+      }
+      let modeRules;
+      try {
+        modeRules = createModeRules(mode, { sprintLines, shotClockSeconds, turnSeconds, coopLines });
+      } catch (error) {
+        socket.emit('error', 'Invalid game mode');
+        return;
+      }
+
+      if (rooms.isFull()) {
+        socket.emit('error', 'Too many rooms, try again later');
+        return;
       }
-    } catch (error) {
-      console.error(`Error creating game session for player ${playerId}:`, error);
-      // Continue with the game creation even if session creation fails
-    }
-  };
 
-  socket.on('create_room', async ({ color, rotateable = false }) => {
-      const roomId = Math.random().toString(36).substring(7);
-      const game = new Game(roomId, rotateable);
-      game.addPlayer(socket.id, color, socket.userId); // Add creator as player with their color and authenticated user ID
+      const roomId = rooms.generateRoomId();
+      const game = new Game(roomId, rotateable, {
+        gridWidth: width,
+        gridHeight: height,
+        figureSet,
+        seed,
+        randomizer,
+        previewSize,
+        holdEnabled: Boolean(hold),
+        hintLimit: hints,
+        practice: Boolean(practice),
+        maxPlayers,
+        modeRules
+      });
+      game.addPlayer(playerId, color, socket.userId); // Add creator as player with their color and authenticated user ID
       
       // Create a game session record in the database for the creator
-      await createGameSession(game, socket.id, false);
+      await createGameSession(game, playerId, socket.isAnonymous);
       
-      games.set(roomId, game);
+      const creator = await repositoryManager.users.findById(socket.userId).catch(() => null);
+      rooms.addRoom(game, {
+        creatorName: creator?.display_name || creator?.username || 'Anonymous',
+        visibility,
+        password
+      });
+      rooms.admit(roomId, playerId);
       socket.join(roomId);
       
       // Send players list to the room creator
       const playersList = game.getPlayersList();
       socket.emit('room_created', {
         roomId,
+        playerId,
+        invite: rooms.getInvite(roomId),
         state: game.getState(),
         playersList
       });
   
-      // Broadcast updated room list to all clients
-      const roomList = Array.from(games.values()).map(g => ({ id: g.id }));
-      io.emit('rooms_list', roomList);
+      // Announce the new room to all clients
+      if (rooms.isListed(roomId)) {
+        io.emit('room_added', rooms.getRoomSummary(roomId));
+      }
     });
 
-  socket.on('join_room', async ({ roomId, color }) => {
-    if (games.has(roomId)) {
+  // Play today's daily challenge in a private solo room
+  // Every attempt plays the same board and figures; only the player's first attempt of the day is ranked
+  socket.on('start_daily_challenge', async ({ color } = {}) => {
+    if (rooms.isFull()) {
+      socket.emit('error', 'Too many rooms, try again later');
+      return;
+    }
+
+    const challengeId = getDailyChallengeId();
+    const seed = getDailySeed(challengeId);
+    let previousAttempt;
+    try {
+      previousAttempt = await repositoryManager.gameSessions.findByPlayerIdAndSeed(socket.userId, seed, DAILY_GAME_MODE);
+    } catch (error) {
+      console.error('Error looking up daily challenge attempts:', error);
+      socket.emit('error', 'Could not start the daily challenge, try again later');
+      return;
+    }
+
+    const roomId = rooms.generateRoomId();
+    const game = createDailyGame(roomId, seed);
+    // Only registered players rank, so a fresh anonymous account can't buy another first attempt
+    game.dailyChallenge = { challengeId, ranked: !previousAttempt && !socket.isAnonymous, signedIn: !socket.isAnonymous };
+    game.addPlayer(playerId, color, socket.userId);
+    await createGameSession(game, playerId, socket.isAnonymous);
+
+    rooms.addRoom(game, { visibility: 'private' });
+    rooms.admit(roomId, playerId);
+    socket.join(roomId);
+    socket.emit('room_created', {
+      roomId,
+      playerId,
+      invite: rooms.getInvite(roomId),
+      state: game.getState(),
+      playersList: game.getPlayersList(),
+      daily: game.dailyChallenge
+    });
+  });
+
+  // Find the room a join or spectate request is for and check its password
+  // Emits the error and returns null if the player may not enter
+  const enterRoom = ({ roomId, inviteCode, password }) => {
+    const targetRoomId = rooms.findRoom(roomId, inviteCode, playerId);
+    if (!targetRoomId) {
+      socket.emit('error', 'Room not found');
+      return null;
+    }
+    if (rooms.isKicked(targetRoomId, playerId)) {
+      socket.emit('error', 'You were removed from this room');
+      return null;
+    }
+    if (rooms.isPasswordLocked(targetRoomId, playerId)) {
+      socket.emit('error', 'Too many wrong passwords, try again in a minute');
+      return null;
+    }
+    if (!rooms.checkPassword(targetRoomId, password, playerId)) {
+      socket.emit('error', password ? 'Wrong room password' : 'Room password required');
+      return null;
+    }
+    return targetRoomId;
+  };
+
+  socket.on('join_room', async ({ roomId: requestedRoomId, inviteCode, password, color }) => {
+    // Joining a room the player still has a seat in (e.g. after a reload) takes the seat back
+    const seatedGame = rooms.get(requestedRoomId);
+    if (seatedGame && seatedGame.players.has(playerId)) {
+      rejoinRoom(requestedRoomId);
+      return;
+    }
+
+    const roomId = enterRoom({ roomId: requestedRoomId, inviteCode, password });
+    if (roomId) {
+      const game = rooms.get(roomId);
+      if (game.players.has(playerId)) {
+        rejoinRoom(roomId);
+        return;
+      }
+      if (game.locked) {
+        socket.emit('error', 'Room is locked');
+        return;
+      }
+      if (game.isFull()) {
+        socket.emit('error', 'Room is full');
+        return;
+      }
+
+      rooms.admit(roomId, playerId);
       socket.join(roomId);
-      const game = games.get(roomId);
-      game.addPlayer(socket.id, color, socket.userId); // Add joiner as player with their color and authenticated user ID
+      game.addPlayer(playerId, color, socket.userId); // Add joiner as player with their color and authenticated user ID
       
       // Create a game session record in the database for the joining player
-      await createGameSession(game, socket.id, true);
+      await createGameSession(game, playerId, socket.isAnonymous);
       
       // Send current players list to the joining user
       const playersList = game.getPlayersList();
       socket.emit('room_joined', {
         roomId,
+        playerId,
+        invite: rooms.getInvite(roomId),
         state: game.getState(),
         playersList
       });
       
       // Notify other players in the room about new player
-      const newPlayerData = { id: socket.id, color, score: 0 };
+      const newPlayerData = { id: playerId, color, score: 0, connected: true };
       socket.to(roomId).emit('player_joined', {
-        playerId: socket.id,
+        playerId,
         player: newPlayerData
       });
-    } else {
+
+      // Player and spectator counts changed
+      broadcastRoomUpdated(roomId);
+    }
+  });
+
+  // Take back a held seat: figures, score and drawing pixels are still in the game
+  const rejoinRoom = (roomId) => {
+    const game = rooms.get(roomId);
+    if (!game) {
       socket.emit('error', 'Room not found');
+      return;
+    }
+    if (!game.players.has(playerId)) {
+      socket.emit('error', 'Seat no longer available');
+      return;
+    }
+
+    const timerKey = `${roomId}:${playerId}`;
+    clearTimeout(reconnectTimers.get(timerKey));
+    reconnectTimers.delete(timerKey);
+
+    socket.join(roomId);
+    game.setPlayerConnected(playerId, true);
+
+    const playersList = game.getPlayersList();
+    socket.emit('room_rejoined', {
+      roomId,
+      playerId,
+      invite: rooms.getInvite(roomId),
+      state: game.getState(),
+      playersList,
+      drawingPixels: game.getDrawingPixels(playerId)
+    });
+
+    // Clear the "reconnecting" marker for everyone else
+    socket.to(roomId).emit('players_list_updated', { playersList });
+    socket.to(roomId).emit('game_update', game.getState());
+  };
+
+  socket.on('rejoin_room', ({ roomId }) => {
+    rejoinRoom(roomId);
+  });
+
+  socket.on('spectate_room', ({ roomId: requestedRoomId, inviteCode, password }) => {
+    const roomId = enterRoom({ roomId: requestedRoomId, inviteCode, password });
+    if (roomId) {
+      const game = rooms.get(roomId);
+      if (!game.addSpectator(playerId)) {
+        socket.emit('error', 'Already playing in this room');
+        return;
+      }
+      rooms.admit(roomId, playerId);
+      // Spectators receive the room broadcasts (game_update, players_list_updated, game_over) but take no seat
+      socket.join(roomId);
+
+      socket.emit('room_spectating', {
+        roomId,
+        invite: rooms.getInvite(roomId),
+        state: game.getState(),
+        playersList: game.getPlayersList()
+      });
+
+      broadcastRoomUpdated(roomId);
     }
   });
 
   socket.on('get_rooms', () => {
-    const roomList = Array.from(games.values()).map(g => ({ id: g.id }));
-    socket.emit('rooms_list', roomList);
+    socket.emit('rooms_list', rooms.getRoomList());
   });
 
   socket.on('place_pixel', ({ roomId, status, position }) => {
-    const game = games.get(roomId);
+    const game = rooms.get(roomId);
     if (game) {
-      const success = game.placePixel(socket.id, status, position);
+      const success = game.placePixel(playerId, status, position);
       if (success) {
         const gameState = game.getState();
         io.to(roomId).emit('game_update', gameState);
@@ -498,16 +1018,12 @@ io.on('connection', (socket) => {
 
   
     socket.on('place_figure', async ({ roomId, pixels }) => {
-      const game = games.get(roomId);
+      const game = rooms.get(roomId);
       if (game) {
-        const success = game.placeFigure(socket.id, pixels, roomId, io);
+        const turnBefore = game.turnNumber;
+        const success = game.placeFigure(playerId, pixels, roomId, io);
         if (success) {
-          const gameState = game.getState();
-          io.to(roomId).emit('game_update', gameState);
-          if (game.checkGameOver()) {
-            await completeGameSessions(roomId);
-            io.to(roomId).emit('game_over');
-          }
+          await checkRoundOver(roomId, game, turnBefore);
         } else {
           socket.emit('error', 'Invalid move');
           // Revert client state
@@ -516,10 +1032,165 @@ io.on('connection', (socket) => {
       }
    });
 
+  socket.on('hold_figure', async ({ roomId, figureIndex }) => {
+    const game = rooms.get(roomId);
+    if (game) {
+      const turnBefore = game.turnNumber;
+      const success = game.holdFigure(playerId, figureIndex);
+      if (success) {
+        // The swapped hand may leave no playable figure
+        await checkRoundOver(roomId, game, turnBefore);
+      } else {
+        socket.emit('error', 'Cannot hold figure');
+      }
+    } else {
+      socket.emit('error', 'Room not found');
+    }
+  });
+
+  // Show the player their best moves, out of the room's hint budget; the solver plans the rest of the hand too
+  socket.on('hint', ({ roomId }) => {
+    const game = rooms.get(roomId);
+    if (!game) {
+      socket.emit('error', 'Room not found');
+      return;
+    }
+    if (game.hintLimit === 0) {
+      socket.emit('error', 'Hints are off in this room');
+      return;
+    }
+    if (!game.useHint(playerId)) {
+      socket.emit('error', 'No hints left');
+      return;
+    }
+    socket.emit('hint', {
+      roomId,
+      moves: getBestMoves(game, playerId, { count: HINT_MOVES, lookahead: true }),
+      hintsLeft: game.hintLimit - game.players.get(playerId).hintsUsed
+    });
+  });
+
+  // Take back the player's last placement (solo and practice rooms only); rate limited so undo can't be spammed.
+  // The time of each player's last undo is kept with the room, so reconnecting doesn't reset it
+  socket.on('undo_move', ({ roomId }) => {
+    const game = rooms.get(roomId);
+    if (!game) {
+      socket.emit('error', 'Room not found');
+      return;
+    }
+    if (!game.isUndoAllowed()) {
+      socket.emit('error', 'Undo is only available in solo and practice rooms');
+      return;
+    }
+    if (!undoTimes.has(game)) {
+      undoTimes.set(game, new Map());
+    }
+    const lastUndoTimes = undoTimes.get(game);
+    const now = Date.now();
+    if (now - (lastUndoTimes.get(playerId) || 0) < UNDO_COOLDOWN_MS) {
+      socket.emit('error', 'Too many undos, slow down');
+      return;
+    }
+    if (!game.undoMove(playerId)) {
+      socket.emit('error', 'Nothing to undo');
+      return;
+    }
+    lastUndoTimes.set(playerId, now);
+    io.to(roomId).emit('game_update', game.getState());
+    io.to(roomId).emit('players_list_updated', { playersList: game.getPlayersList() });
+  });
+
+  socket.on('set_ready', ({ roomId, ready }) => {
+    const game = rooms.get(roomId);
+    if (!game) {
+      socket.emit('error', 'Room not found');
+      return;
+    }
+    if (!game.setPlayerReady(playerId, ready)) {
+      socket.emit('error', 'The round has already started');
+      return;
+    }
+    io.to(roomId).emit('game_update', game.getState());
+    io.to(roomId).emit('players_list_updated', { playersList: game.getPlayersList() });
+  });
+
+  socket.on('set_team', ({ roomId, team }) => {
+    const game = rooms.get(roomId);
+    if (!game) {
+      socket.emit('error', 'Room not found');
+      return;
+    }
+    if (!game.setPlayerTeam(playerId, team)) {
+      socket.emit('error', 'Cannot join that team');
+      return;
+    }
+    io.to(roomId).emit('game_update', game.getState());
+    io.to(roomId).emit('players_list_updated', { playersList: game.getPlayersList() });
+  });
+
+  socket.on('start_game', ({ roomId }) => {
+    const game = getHostedGame(roomId);
+    if (!game) {
+      return;
+    }
+    if (game.phase !== PHASES.LOBBY) {
+      socket.emit('error', 'The round has already started');
+      return;
+    }
+    if (!game.areAllReady()) {
+      socket.emit('error', 'Not all players are ready');
+      return;
+    }
+
+    game.startCountdown(ROUND_COUNTDOWN_MS);
+    io.to(roomId).emit('countdown_started', { roomId, durationMs: ROUND_COUNTDOWN_MS });
+    io.to(roomId).emit('game_update', game.getState());
+    broadcastRoomUpdated(roomId);
+
+    // The server decides when play begins, so every client starts together
+    countdownTimers.set(roomId, setTimeout(() => {
+      countdownTimers.delete(roomId);
+      if (rooms.get(roomId) !== game || game.phase !== PHASES.COUNTDOWN) {
+        return;
+      }
+      game.startRound();
+      io.to(roomId).emit('round_started', { roomId });
+      io.to(roomId).emit('game_update', game.getState());
+      announceTurn(roomId, game, 0);
+    }, ROUND_COUNTDOWN_MS));
+  });
+
+  // Host-only: seat a bot in the lobby, to practice or fill the room
+  socket.on('add_bot', ({ roomId, difficulty = DEFAULT_BOT_DIFFICULTY }) => {
+    const game = getHostedGame(roomId);
+    if (!game) {
+      return;
+    }
+    if (game.phase !== PHASES.LOBBY) {
+      socket.emit('error', 'Bots can only be added before the round starts');
+      return;
+    }
+    if (!isValidBotDifficulty(difficulty)) {
+      socket.emit('error', 'Unknown bot difficulty');
+      return;
+    }
+    if (game.isFull()) {
+      socket.emit('error', 'Room is full');
+      return;
+    }
+
+    // Bots have no user account or game session, so their games never reach the statistics
+    const botId = `bot-${crypto.randomUUID()}`;
+    game.addPlayer(botId, pickBotColor(game), null, difficulty);
+    io.to(roomId).emit('game_update', game.getState());
+    io.to(roomId).emit('players_list_updated', { playersList: game.getPlayersList() });
+    broadcastRoomUpdated(roomId);
+  });
+
   socket.on('update_player_color', ({ roomId, color }) => {
-    const game = games.get(roomId);
+    const game = rooms.get(roomId);
     if (game) {
-      const success = game.updatePlayerColor(socket.id, color);
+      const success = game.updatePlayerColor(playerId, color);
       if (success) {
         // Send updated game state to all players in the room
         const gameState = game.getState();
@@ -534,28 +1205,36 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('restart_game', async ({ roomId }) => {
-    const game = games.get(roomId);
+  // Look up a room for a host-only action; emits the error and returns null if the player isn't the host
+  const getHostedGame = (roomId) => {
+    const game = rooms.get(roomId);
+    if (!game) {
+      socket.emit('error', 'Room not found');
+      return null;
+    }
+    if (!game.isHost(playerId)) {
+      socket.emit('error', 'Only the host can do that');
+      return null;
+    }
+    return game;
+  };
+
+  // Start a new round in a room and tell everyone in it
+  const restartRoom = async (roomId, seed) => {
+    const game = rooms.get(roomId);
     if (game) {
-      // Before restarting, we should consider creating a new game session or updating the existing one
-      // For now, we'll just restart the game instance
-      game.restart();
-      
-      // Update all player game sessions to reflect the restart (mark as in progress again)
-      if (game.playerSessions) {
-        for (const [playerId, sessionId] of Object.entries(game.playerSessions)) {
-          try {
-            await repositoryManager.gameSessions.update(sessionId, {
-              final_grid: JSON.stringify(game.getInitialGrid()), // Reset to initial grid
-              duration_seconds: 0,
-              lines_cleared: 0,
-              figures_placed: 0,
-              game_result: 'in_progress'
-            });
-          } catch (error) {
-            console.error(`Error updating game session for restart (player ${playerId}):`, error);
-          }
-        }
+      clearCountdown(roomId);
+      // A round cut short by the restart ends like one in a closed room
+      await closeRoomSessions(game);
+      game.restart(seed);
+      rooms.markRestarted(roomId);
+
+      // Every round gets sessions of its own, so the last round's result, replay and analysis stay as they were
+      game.playerSessions = {};
+      for (const player of game.players.values()) {
+        if (player.bot) continue;
+        const user = await repositoryManager.users.findById(player.id).catch(() => null);
+        await createGameSession(game, player.id, !user || user.is_anonymous);
       }
       
       // Send updated game state to all players in the room
@@ -564,57 +1243,203 @@ io.on('connection', (socket) => {
       io.to(roomId).emit('game_update', gameState);
       io.to(roomId).emit('players_list_updated', { playersList });
       io.to(roomId).emit('game_restarted');
-    } else {
-      socket.emit('error', 'Room not found');
+      broadcastRoomUpdated(roomId);
+    }
+  };
+
+  socket.on('restart_game', async ({ roomId, seed = generateSeed() }) => {
+    const game = getHostedGame(roomId);
+    if (!game) {
+      return;
+    }
+    if (game.dailyChallenge) {
+      socket.emit('error', 'A daily challenge room plays one game; start the challenge again from the lobby');
+      return;
+    }
+    if (!isValidSeed(seed)) {
+      socket.emit('error', 'Invalid seed');
+      return;
+    }
+    await restartRoom(roomId, seed);
+  });
+
+  socket.on('update_room_settings', async ({ roomId, settings = {}, seed = generateSeed() }) => {
+    const game = getHostedGame(roomId);
+    if (!game) {
+      return;
+    }
+    if (game.dailyChallenge || settings.mode === DAILY_GAME_MODE) {
+      socket.emit('error', 'The daily challenge rules cannot be changed');
+      return;
+    }
+    if (game.getStatus() === 'playing') {
+      socket.emit('error', 'Settings can only be changed between rounds');
+      return;
+    }
+    if (!isValidSeed(seed)) {
+      socket.emit('error', 'Invalid seed');
+      return;
+    }
+
+    const { rotateable, width, height, figureSet, randomizer, previewSize, hold, hints, practice, maxPlayers, mode, sprintLines, shotClockSeconds, turnSeconds, coopLines } = settings;
+    try {
+      game.updateSettings(Object.fromEntries(Object.entries({
+        rotateable,
+        gridWidth: width,
+        gridHeight: height,
+        figureSet,
+        randomizer,
+        previewSize,
+        holdEnabled: hold,
+        hintLimit: hints,
+        practice,
+        maxPlayers,
+        modeRules: mode === undefined ? undefined : createModeRules(mode, { sprintLines, shotClockSeconds, turnSeconds, coopLines })
+      }).filter(([, value]) => value !== undefined)));
+    } catch (error) {
+      socket.emit('error', 'Invalid room settings');
+      return;
+    }
+
+    // New rules start a new round
+    await restartRoom(roomId, seed);
+  });
+
+  socket.on('lock_room', ({ roomId, locked }) => {
+    const game = getHostedGame(roomId);
+    if (game) {
+      game.setLocked(locked);
+      io.to(roomId).emit('game_update', game.getState());
+      broadcastRoomUpdated(roomId);
+    }
+  });
+
+  socket.on('transfer_host', ({ roomId, playerId: newHostId }) => {
+    const game = getHostedGame(roomId);
+    if (game) {
+      if (!game.transferHost(newHostId)) {
+        socket.emit('error', 'Player not found in room');
+        return;
+      }
+      io.to(roomId).emit('game_update', game.getState());
+      io.to(roomId).emit('players_list_updated', { playersList: game.getPlayersList() });
     }
   });
 
-  socket.on('disconnect', async () => {
+  socket.on('kick_player', async ({ roomId, playerId: kickedPlayerId }) => {
+    const game = getHostedGame(roomId);
+    if (!game) {
+      return;
+    }
+    if (kickedPlayerId === playerId) {
+      socket.emit('error', 'Cannot kick yourself');
+      return;
+    }
+    if (!game.players.has(kickedPlayerId)) {
+      socket.emit('error', 'Player not found in room');
+      return;
+    }
+
+    rooms.kick(roomId, kickedPlayerId);
+    const timerKey = `${roomId}:${kickedPlayerId}`;
+    clearTimeout(reconnectTimers.get(timerKey));
+    reconnectTimers.delete(timerKey);
+
+    // Every socket of the kicked player leaves the room
+    io.to(kickedPlayerId).emit('kicked', { roomId });
+    io.in(kickedPlayerId).socketsLeave(roomId);
+    await releaseSeat(roomId, kickedPlayerId, 'kicked');
+  });
+
+  // Give up a player's seat for good: complete their session and remove them from the room
+  const releaseSeat = async (roomId, leavingPlayerId, endingReason = 'disconnected') => {
+     const game = rooms.get(roomId);
+     if (!game || !game.players.has(leavingPlayerId)) {
+       return;
+     }
+
+     // Update the game session and statistics for the leaving player BEFORE removing them
+     await completePlayerSessionOnLeave(roomId, leavingPlayerId, endingReason);
      
-     // Find all rooms the disconnected user was part of
-     const roomsToNotify = [];
+     // Now remove the player from the game (passing their turn on if it was theirs)
+     const turnBefore = game.turnNumber;
+     game.removePlayer(leavingPlayerId);
      
-     for (const [roomId, game] of games.entries()) {
-       if (game.players.has(socket.id)) {
-         roomsToNotify.push(roomId);
-         
-         // Update the game session and statistics for the leaving player BEFORE removing them
-         await completePlayerSessionOnLeave(roomId, socket.id);
-         
-         // Now remove the player from the game
-         game.removePlayer(socket.id);
-         
-         // If the game was in progress and a player disconnected, we might want to update the game session
-         if (!game.gameOver && game.players.size > 0) {
-           // Consider the disconnected player as having left/forfeited
-           // For now, we'll just continue the game with remaining players
-         } else if (game.players.size === 0) {
-           // If room is empty, remove it and potentially mark game as abandoned
-           if (game.playerSessions && game.playerSessions[socket.id]) {
-             try {
-               await repositoryManager.gameSessions.update(game.playerSessions[socket.id], {
-                 game_result: 'abandoned'
-               });
-             } catch (error) {
-               console.error(`Error updating game session for abandoned game (player ${socket.id}):`, error);
-             }
-           }
+     // If the game was in progress and a player disconnected, we might want to update the game session
+     if (!game.gameOver && game.hasHumanPlayers()) {
+       // Consider the disconnected player as having left/forfeited
+       // For now, we'll just continue the game with remaining players
+     } else if (!game.hasHumanPlayers()) {
+       // If room is empty (or only bots are left), remove it and potentially mark game as abandoned
+       if (game.playerSessions && game.playerSessions[leavingPlayerId]) {
+         try {
+           await repositoryManager.gameSessions.update(game.playerSessions[leavingPlayerId], {
+             game_result: 'abandoned'
+           });
+         } catch (error) {
+           console.error(`Error updating game session for abandoned game (player ${leavingPlayerId}):`, error);
          }
-         
-         // Notify other players in the room about player leaving
-         socket.to(roomId).emit('player_left', {
-           playerId: socket.id
-         });
-         
-         // Send updated players list to remaining players
-         const playersList = game.getPlayersList();
-         io.to(roomId).emit('players_list_updated', { playersList });
        }
      }
      
+     // Notify other players in the room about player leaving
+     io.to(roomId).emit('player_left', {
+       playerId: leavingPlayerId
+     });
+     
+     // Send updated players list to remaining players
+     const playersList = game.getPlayersList();
+     io.to(roomId).emit('players_list_updated', { playersList });
+     // The leaving player's drawing is gone and the host may have changed
+     io.to(roomId).emit('game_update', game.getState());
+     announceTurn(roomId, game, turnBefore);
+
+     // Nobody left to play against the bots: close the room (this also updates the room list)
+     if (!game.hasHumanPlayers()) {
+       rooms.closeRoom(roomId, RoomManager.CLOSE_REASONS.EMPTY);
+       return;
+     }
+
      // Update room list for all clients
-     const roomList = Array.from(games.values()).map(g => ({ id: g.id }));
-     io.emit('rooms_list', roomList);
+     broadcastRoomUpdated(roomId);
+   };
+
+  socket.on('disconnect', () => {
+     // The socket has already left its rooms here, so any socket still in both rooms is another tab of this player
+     const userSocketIds = io.sockets.adapter.rooms.get(playerId) || new Set();
+
+     const changedRoomIds = [];
+
+     for (const [roomId, game] of rooms.entries()) {
+       // Seats and spectators belong to the player, not the socket: they stay while another tab is still in the room
+       const roomSocketIds = io.sockets.adapter.rooms.get(roomId) || new Set();
+       if ([...userSocketIds].some(id => roomSocketIds.has(id))) {
+         continue;
+       }
+
+       if (game.removeSpectator(playerId)) {
+         changedRoomIds.push(roomId);
+       }
+
+       if (game.players.has(playerId)) {
+         // Hold the seat for a grace period, so a network blip doesn't end the player's game
+         game.setPlayerConnected(playerId, false);
+         io.to(roomId).emit('players_list_updated', { playersList: game.getPlayersList() });
+         io.to(roomId).emit('game_update', game.getState());
+
+         const timerKey = `${roomId}:${playerId}`;
+         clearTimeout(reconnectTimers.get(timerKey));
+         reconnectTimers.set(timerKey, setTimeout(() => {
+           reconnectTimers.delete(timerKey);
+           releaseSeat(roomId, playerId).catch(error => {
+             console.error(`Error releasing seat of player ${playerId} in room ${roomId}:`, error);
+           });
+         }, RECONNECT_GRACE_PERIOD_MS));
+       }
+     }
+     
+     // Update room list for all clients
+     changedRoomIds.forEach(broadcastRoomUpdated);
    });
 });
 
@@ -675,6 +1500,11 @@ const startServer = async () => {
       console.log('Database connection pool initialized');
     });
 
+    // Close idle, finished and empty rooms
+    rooms.start();
+    setInterval(tickTimedRooms, TIMER_TICK_MS).unref();
+    setInterval(tickBots, TIMER_TICK_MS).unref();
+
     // Perform cleanup once at server startup
     setTimeout(performPeriodicCleanup, 30000); // 30 seconds after startup
   } catch (error) {
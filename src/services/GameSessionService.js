@@ -144,7 +144,7 @@ class GameSessionService {
     const updatedSession = await this.gameSessionRepository.update(sessionId, sessionUpdates);
     console.log(`⏰ [GameSessionService] completeGameSessionWithRepositoryMethods: session updated, now updating statistics`);
     const updatedStatistics = await this.gameStatisticsRepository.updateFromGameSessionWithTransaction(userId, gameSessionData);
-    console.log(`⏰ [GameSessionService] completeGameSessionWithRepositoryMethods: statistics updated, total_play_time_seconds now ${updatedStatistics.total_play_time_seconds}`);
+    console.log(`⏰ [GameSessionService] completeGameSessionWithRepositoryMethods: statistics updated, total_play_time_seconds now ${updatedStatistics?.total_play_time_seconds}`);
     
     return {
       session: updatedSession,
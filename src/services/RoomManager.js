@@ -0,0 +1,439 @@
+/**
+ * RoomManager - Keeps track of live game rooms and closes the ones nobody needs anymore
+ * Rooms close when they sit idle, when a finished game isn't restarted in time, or when the last player leaves
+ */
+
+const crypto = require('crypto');
+
+const ROOM_ID_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const ROOM_ID_LENGTH = 6;
+
+// Invite codes are read aloud and typed by hand, so they skip look-alike characters (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+
+const MAX_PASSWORD_LENGTH = 64;
+
+// Wrong passwords a player may give for one room before they have to wait out the window
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_ATTEMPT_WINDOW_MS = 60 * 1000;
+
+// Who can find a room: public rooms are listed, unlisted rooms need the room ID or invite code,
+// private rooms need the invite code
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+const DEFAULT_VISIBILITY = 'public';
+
+// Reasons passed to onRoomClosed
+const CLOSE_REASONS = {
+  IDLE: 'idle',
+  FINISHED: 'finished',
+  EMPTY: 'empty'
+};
+
+const isValidVisibility = (visibility) => VISIBILITIES.includes(visibility);
+
+const isValidPassword = (password) => typeof password === 'string' && password.length <= MAX_PASSWORD_LENGTH;
+
+const normalizeInviteCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Room passwords only live as long as their room, so a salted SHA-256 is enough and, unlike scrypt, doesn't hold up the event loop
+const hashPassword = (password, salt) => crypto.createHash('sha256').update(salt).update(password).digest();
+
+class RoomManager {
+  /**
+   * Create a room manager
+   * @param {Object} options - Limits and timeouts
+   * @param {number} options.maxRooms - Maximum number of rooms open at once
+   * @param {number} options.idleTimeoutMs - Close rooms without any move for this long
+   * @param {number} options.finishedRoomTtlMs - Close finished rooms that weren't restarted within this time
+   * @param {number} options.sweepIntervalMs - How often to look for rooms to close
+   * @param {Function} options.onRoomClosed - Called with (game, reason, {listed}) after a room is removed
+   */
+  constructor(options = {}) {
+    const {
+      maxRooms = 100,
+      idleTimeoutMs = 30 * 60 * 1000,
+      finishedRoomTtlMs = 5 * 60 * 1000,
+      sweepIntervalMs = 30 * 1000,
+      onRoomClosed = () => {}
+    } = options;
+
+    this.maxRooms = maxRooms;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.finishedRoomTtlMs = finishedRoomTtlMs;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.onRoomClosed = onRoomClosed;
+
+    this.rooms = new Map();
+    this.roomInfo = new Map(); // roomId -> { createdAt, creatorName, visibility, inviteCode, password }
+    this.inviteCodes = new Map(); // invite code -> roomId
+    this.admitted = new Map(); // roomId -> Set of user IDs that got past visibility and password checks
+    this.kicked = new Map(); // roomId -> Set of user IDs the host removed from the room
+    this.passwordAttempts = new Map(); // roomId -> Map of user ID -> { count, since } of wrong passwords
+    this.finishedAt = new Map(); // roomId -> time the game ended
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Generate a room ID that no open room uses
+   * @returns {string} New room ID
+   */
+  generateRoomId() {
+    let roomId;
+    do {
+      roomId = '';
+      for (let i = 0; i < ROOM_ID_LENGTH; i++) {
+        roomId += ROOM_ID_ALPHABET[crypto.randomInt(ROOM_ID_ALPHABET.length)];
+      }
+    } while (this.rooms.has(roomId));
+    return roomId;
+  }
+
+  /**
+   * Generate an invite code that no open room uses
+   * @returns {string} New invite code
+   */
+  generateInviteCode() {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+        code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+      }
+    } while (this.inviteCodes.has(code));
+    return code;
+  }
+
+  /**
+   * Check whether the room limit has been reached
+   * @returns {boolean} True if no more rooms can be opened
+   */
+  isFull() {
+    return this.rooms.size >= this.maxRooms;
+  }
+
+  /**
+   * Register a new room
+   * @param {Game} game - Game of the room (its id must come from generateRoomId())
+   * @param {Object} info - Lobby details
+   * @param {string} info.creatorName - Display name of the player who created the room
+   * @param {string} info.visibility - One of VISIBILITIES
+   * @param {string} info.password - Password asked on join (empty for none)
+   */
+  addRoom(game, { creatorName = 'Anonymous', visibility = DEFAULT_VISIBILITY, password = '' } = {}) {
+    if (this.rooms.has(game.id)) {
+      throw new Error(`Room already exists: ${game.id}`);
+    }
+    if (this.isFull()) {
+      throw new Error('Room limit reached');
+    }
+    if (!isValidVisibility(visibility)) {
+      throw new Error(`Unknown visibility: ${visibility}`);
+    }
+
+    const inviteCode = this.generateInviteCode();
+    let storedPassword = null;
+    if (password) {
+      const salt = crypto.randomBytes(16);
+      storedPassword = { salt, hash: hashPassword(password, salt) };
+    }
+
+    this.rooms.set(game.id, game);
+    this.roomInfo.set(game.id, { createdAt: Date.now(), creatorName, visibility, inviteCode, password: storedPassword });
+    this.inviteCodes.set(inviteCode, game.id);
+    this.admitted.set(game.id, new Set());
+    this.kicked.set(game.id, new Set());
+    this.passwordAttempts.set(game.id, new Map());
+  }
+
+  /**
+   * Invite details shared with the members of a room
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} {code, visibility, hasPassword} or null if the room is not open
+   */
+  getInvite(roomId) {
+    const info = this.roomInfo.get(roomId);
+    if (!info) {
+      return null;
+    }
+    return { code: info.inviteCode, visibility: info.visibility, hasPassword: info.password !== null };
+  }
+
+  /**
+   * Check whether a room shows up in the lobby
+   * @param {string} roomId - Room ID
+   * @returns {boolean} True for open public rooms
+   */
+  isListed(roomId) {
+    const info = this.roomInfo.get(roomId);
+    return Boolean(info) && info.visibility === 'public';
+  }
+
+  /**
+   * Find the room a player asked for, respecting its visibility
+   * Players let into a room before (see admit()) always find it again by its ID
+   * @param {string} roomId - Requested room ID (optional when an invite code is given)
+   * @param {string} inviteCode - Invite code from an invite link or typed in the lobby
+   * @param {string} userId - ID of the player asking
+   * @returns {string|null} Room ID or null if no room matches
+   */
+  findRoom(roomId, inviteCode, userId) {
+    if (inviteCode) {
+      const codeRoomId = this.inviteCodes.get(normalizeInviteCode(inviteCode));
+      if (!codeRoomId || (roomId && roomId !== codeRoomId)) {
+        return null;
+      }
+      return codeRoomId;
+    }
+
+    const info = this.roomInfo.get(roomId);
+    if (!info) {
+      return null;
+    }
+    if (info.visibility === 'private' && !this.admitted.get(roomId).has(userId)) {
+      return null;
+    }
+    return roomId;
+  }
+
+  /**
+   * Check whether a player gave too many wrong passwords for a room lately
+   * @param {string} roomId - Room ID
+   * @param {string} userId - ID of the player asking
+   * @returns {boolean} True if the player has to wait before trying again
+   */
+  isPasswordLocked(roomId, userId) {
+    const attempts = this.passwordAttempts.get(roomId);
+    const entry = attempts && attempts.get(userId);
+    if (!entry) {
+      return false;
+    }
+    if (Date.now() - entry.since >= PASSWORD_ATTEMPT_WINDOW_MS) {
+      attempts.delete(userId);
+      return false;
+    }
+    return entry.count >= MAX_PASSWORD_ATTEMPTS;
+  }
+
+  /**
+   * Check a join password; players let in before don't need it again
+   * Wrong passwords count towards the player's limit (see isPasswordLocked()); asking without one doesn't
+   * @param {string} roomId - Room ID
+   * @param {string} password - Password given by the player
+   * @param {string} userId - ID of the player asking
+   * @returns {boolean} True if the player may enter
+   */
+  checkPassword(roomId, password, userId) {
+    const info = this.roomInfo.get(roomId);
+    if (!info) {
+      return false;
+    }
+    if (!info.password || this.admitted.get(roomId).has(userId)) {
+      return true;
+    }
+    if (!password) {
+      return false;
+    }
+    if (isValidPassword(password) && crypto.timingSafeEqual(hashPassword(password, info.password.salt), info.password.hash)) {
+      return true;
+    }
+
+    const attempts = this.passwordAttempts.get(roomId);
+    const entry = attempts.get(userId) || { count: 0, since: Date.now() };
+    entry.count++;
+    attempts.set(userId, entry);
+    return false;
+  }
+
+  /**
+   * Keep a player the host removed from coming back into the room
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Player ID
+   */
+  kick(roomId, userId) {
+    const kicked = this.kicked.get(roomId);
+    if (kicked) {
+      kicked.add(userId);
+      this.admitted.get(roomId).delete(userId);
+    }
+  }
+
+  /**
+   * Check whether the host removed a player from a room
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Player ID
+   * @returns {boolean} True if the player may not come back
+   */
+  isKicked(roomId, userId) {
+    const kicked = this.kicked.get(roomId);
+    return Boolean(kicked) && kicked.has(userId);
+  }
+
+  /**
+   * Remember that a player got into a room, so reloads and reconnects skip the checks
+   * @param {string} roomId - Room ID
+   * @param {string} userId - Player ID
+   */
+  admit(roomId, userId) {
+    const admitted = this.admitted.get(roomId);
+    if (admitted) {
+      admitted.add(userId);
+    }
+  }
+
+  get(roomId) {
+    return this.rooms.get(roomId);
+  }
+
+  has(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  values() {
+    return this.rooms.values();
+  }
+
+  entries() {
+    return this.rooms.entries();
+  }
+
+  get size() {
+    return this.rooms.size;
+  }
+
+  /**
+   * Note that a room's game has ended, starting its countdown to closing
+   * @param {string} roomId - Room ID
+   */
+  markFinished(roomId) {
+    if (this.rooms.has(roomId)) {
+      this.finishedAt.set(roomId, Date.now());
+    }
+  }
+
+  /**
+   * Note that a finished room was restarted, so it stays open
+   * @param {string} roomId - Room ID
+   */
+  markRestarted(roomId) {
+    this.finishedAt.delete(roomId);
+  }
+
+  /**
+   * Remove a room and notify onRoomClosed
+   * @param {string} roomId - Room ID
+   * @param {string} reason - Why the room was closed (one of CLOSE_REASONS)
+   * @returns {boolean} True if the room was open
+   */
+  closeRoom(roomId, reason) {
+    const game = this.rooms.get(roomId);
+    if (!game) {
+      return false;
+    }
+
+    const listed = this.isListed(roomId);
+    this.inviteCodes.delete(this.roomInfo.get(roomId).inviteCode);
+    this.rooms.delete(roomId);
+    this.roomInfo.delete(roomId);
+    this.admitted.delete(roomId);
+    this.kicked.delete(roomId);
+    this.passwordAttempts.delete(roomId);
+    this.finishedAt.delete(roomId);
+
+    try {
+      this.onRoomClosed(game, reason, { listed });
+    } catch (error) {
+      console.error(`Error handling closed room ${roomId}:`, error);
+    }
+    return true;
+  }
+
+  /**
+   * Close every room that is empty, idle, or finished for too long
+   * @param {number} now - Current time (for tests)
+   * @returns {number} Number of rooms closed
+   */
+  sweep(now = Date.now()) {
+    const toClose = [];
+
+    for (const [roomId, game] of this.rooms) {
+      const finishedAt = this.finishedAt.get(roomId);
+      if (game.players.size === 0) {
+        toClose.push([roomId, CLOSE_REASONS.EMPTY]);
+      } else if (finishedAt !== undefined && now - finishedAt >= this.finishedRoomTtlMs) {
+        toClose.push([roomId, CLOSE_REASONS.FINISHED]);
+      } else if (now - game.lastActivityAt >= this.idleTimeoutMs) {
+        toClose.push([roomId, CLOSE_REASONS.IDLE]);
+      }
+    }
+
+    toClose.forEach(([roomId, reason]) => this.closeRoom(roomId, reason));
+    return toClose.length;
+  }
+
+  /**
+   * Start sweeping rooms periodically
+   */
+  start() {
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+      // Don't keep the process alive just for the sweep
+      this.sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Stop sweeping rooms
+   */
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Lobby summary of a room
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} Summary or null if the room is not open
+   */
+  getRoomSummary(roomId) {
+    const game = this.rooms.get(roomId);
+    if (!game) {
+      return null;
+    }
+    const info = this.roomInfo.get(roomId);
+    return {
+      id: game.id,
+      players: game.players.size,
+      capacity: game.maxPlayers,
+      spectators: game.getSpectatorCount(),
+      rotateable: game.rotateable,
+      gridWidth: game.gridWidth,
+      gridHeight: game.gridHeight,
+      figureSet: game.figureSet.name,
+      mode: game.modeRules.mode,
+      status: game.getStatus(),
+      locked: game.locked,
+      hasPassword: info.password !== null,
+      creatorName: info.creatorName,
+      createdAt: info.createdAt
+    };
+  }
+
+  /**
+   * Lobby summary of every public room for the room list
+   * @returns {Array} Array of room summaries
+   */
+  getRoomList() {
+    return Array.from(this.rooms.keys())
+      .filter(roomId => this.isListed(roomId))
+      .map(roomId => this.getRoomSummary(roomId));
+  }
+}
+
+RoomManager.CLOSE_REASONS = CLOSE_REASONS;
+RoomManager.VISIBILITIES = VISIBILITIES;
+RoomManager.DEFAULT_VISIBILITY = DEFAULT_VISIBILITY;
+RoomManager.isValidVisibility = isValidVisibility;
+RoomManager.isValidPassword = isValidPassword;
+
+module.exports = RoomManager;
@@ -0,0 +1,1923 @@
+import { checkMatch, rotateShape, getFigureSet, DEFAULT_FIGURE_SET, FIGURES } from './figureUtils.js';
+import { SeededRandom, generateSeed, deriveSeed } from './seededRandom.js';
+import { createRandomizer, isValidRandomizer, DEFAULT_RANDOMIZER } from './randomizers.js';
+import { createModeRules } from './gameModes.js';
+
+// Supported board dimensions (cells per side)
+const DEFAULT_GRID_SIZE = 10;
+const MIN_GRID_SIZE = 8;
+const MAX_GRID_SIZE = 16;
+
+// Check that a board dimension is a whole number within the supported range
+function isValidGridSize(size) {
+    return Number.isInteger(size) && size >= MIN_GRID_SIZE && size <= MAX_GRID_SIZE;
+}
+
+// Players a room seats unless configured otherwise; the player panels show at most three opponents
+const DEFAULT_MAX_PLAYERS = 4;
+const MAX_PLAYERS = 4;
+
+// Check that a seat count is a whole number within the supported range
+function isValidMaxPlayers(count) {
+    return Number.isInteger(count) && count >= 1 && count <= MAX_PLAYERS;
+}
+
+// Version of the replay format produced by getReplay()
+// Version 6 records undone placements ('undo') and whether the room is a practice room in its rules
+// Version 5 records hints ('hint') and the room's hint limit in its rules
+// Version 4 records team changes ('change_team') and each player's team on 'join'
+// Version 3 knocks out players who can't move ('eliminate'); version 2 rounds ended only when nobody could move
+// Version 2 records the start of the round ('start_round'); version 1 rounds started on creation
+const REPLAY_VERSION = 6;
+
+// Placements that can be taken back in a row
+const UNDO_DEPTH = 20;
+
+// Phases of a round: players get ready in the lobby, the host starts a countdown, then the round is played
+const PHASES = {
+    LOBBY: 'lobby',
+    COUNTDOWN: 'countdown',
+    PLAYING: 'playing',
+    OVER: 'over'
+};
+
+// Number of figures dealt to a hand, and how many upcoming figures a room may preview
+const HAND_SIZE = 2;
+const MAX_PREVIEW_SIZE = 5;
+
+// Check that a preview queue length is a whole number within the supported range
+function isValidPreviewSize(size) {
+    return Number.isInteger(size) && size >= 0 && size <= MAX_PREVIEW_SIZE;
+}
+
+// Hints each player may ask for in a round (0 turns hints off)
+const MAX_HINT_LIMIT = 10;
+
+// Check that a hint limit is a whole number within the supported range
+function isValidHintLimit(limit) {
+    return Number.isInteger(limit) && limit >= 0 && limit <= MAX_HINT_LIMIT;
+}
+
+// Points for placing a figure: +1 per cell, +10 per cleared line, and the line points again for clearing more than one
+function getPlacementScore(cellCount, linesCleared) {
+    const linePoints = 10 * linesCleared;
+    return cellCount + linePoints + (linesCleared > 1 ? linePoints : 0);
+}
+
+// Format a finishing position as stored in game_sessions.game_result ('1st', '2nd', ...)
+function formatPlacement(placement) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    return `${placement}${suffixes[placement] || 'th'}`;
+}
+
+// Versus games: clearing several lines at once sends this many garbage lines to every opponent still in
+function getGarbageLines(linesCleared) {
+    return Math.max(linesCleared - 1, 0);
+}
+
+// Colour of garbage cells (they belong to no player)
+const GARBAGE_COLOR = '#888888';
+
+// Create an empty grid of the given dimensions
+function createEmptyGrid(width, height) {
+    return Array(height).fill(null).map(() => Array(width).fill(null));
+}
+
+// Generate new figure from a player's figure stream, excluding certain types (if the randomizer honours it)
+function generateNewFigure(figureSet, stream, excludeTypes = []) {
+    // 1. Let the room's randomizer pick the type
+    const type = stream.randomizer.nextType(excludeTypes);
+    
+    // 2. Get rotation count for that type
+    const rotationCount = figureSet.rotations[type];
+    
+    // 3. Pick random rotation (0 to count-1)
+    const randomRotation = stream.rng.nextInt(rotationCount);
+    
+    // 4. Apply rotations (rotateShape keeps the cells normalized to upper-left)
+    let cells = figureSet.figures[type].map(cell => [...cell]);
+    for (let i = 0; i < randomRotation; i++) {
+        cells = rotateShape(cells);
+    }
+    
+    // 5. Return {type, cells}
+    return { type, cells };
+}
+
+class Game {
+    constructor(id, rotateable = false, options = {}) {
+        const {
+            gridWidth = DEFAULT_GRID_SIZE,
+            gridHeight = DEFAULT_GRID_SIZE,
+            figureSet = DEFAULT_FIGURE_SET,
+            seed = generateSeed(),
+            randomizer = DEFAULT_RANDOMIZER,
+            previewSize = 0,
+            holdEnabled = false,
+            hintLimit = 0,
+            practice = false,
+            maxPlayers = DEFAULT_MAX_PLAYERS,
+            modeRules = createModeRules(),
+            elimination = true
+        } = options;
+        if (!isValidGridSize(gridWidth) || !isValidGridSize(gridHeight)) {
+            throw new Error(`Invalid grid size: ${gridWidth}x${gridHeight}`);
+        }
+        if (!isValidRandomizer(randomizer)) {
+            throw new Error(`Unknown randomizer: ${randomizer}`);
+        }
+        if (!isValidPreviewSize(previewSize)) {
+            throw new Error(`Invalid preview size: ${previewSize}`);
+        }
+        if (!isValidHintLimit(hintLimit)) {
+            throw new Error(`Invalid hint limit: ${hintLimit}`);
+        }
+        if (!isValidMaxPlayers(maxPlayers)) {
+            throw new Error(`Invalid player count: ${maxPlayers}`);
+        }
+
+        this.id = id;
+        this.gridWidth = gridWidth;
+        this.gridHeight = gridHeight;
+        this.boards = {}; // Per-player boards in versus games (the shared grid stays empty)
+        this.players = new Map();
+        this.authenticatedUserIds = {}; // Map to store authenticated user IDs for each socket ID
+        this.playerJoinTimes = {}; // Track when each player joined the game
+        this.gameOver = false;
+        this.startTime = Date.now(); // Track game start time for duration
+        this.linesCleared = 0; // Track total lines cleared
+        this.figuresPlaced = 0; // Track total figures placed
+        this.moves = []; // Track game moves for session data
+        this.lastActivityAt = Date.now(); // Time of the last recorded move, for closing idle rooms
+        this.rotateable = rotateable; // Whether players can draw figures with any rotation
+        this.figureSet = getFigureSet(figureSet); // Figures dealt to players in this room
+        this.seed = seed; // Seed for all figure streams in this room
+        this.randomizer = randomizer; // Strategy for choosing figure types ('random', 'exclude_hand', 'bag', 'history')
+        this.playerStreams = {}; // Per-player { rng, randomizer }, derived from the seed and the player's seat
+        this.previewSize = previewSize; // Number of upcoming figures shown to each player
+        this.holdEnabled = holdEnabled; // Whether players may keep one figure in reserve
+        this.hintLimit = hintLimit; // Hints each player may ask for per round
+        this.practice = Boolean(practice); // Practice rooms allow undo with several players
+        this.undoStack = []; // Snapshots taken before each placement, most recent last (at most UNDO_DEPTH)
+        this.usedUndo = false; // Whether a placement was undone this round, which keeps it off the leaderboards
+        this.spectators = new Set(); // Players (by ID) watching the room without a seat
+        this.maxPlayers = maxPlayers; // Seats in the room
+        this.hostId = null; // Player who controls the room (the first player to join)
+        this.locked = false; // Locked rooms take no new players
+        this.phase = PHASES.LOBBY; // Figures can only be placed in the 'playing' phase
+        this.countdownEndsAt = null; // When the countdown phase ends
+        this.modeRules = modeRules; // Game mode and its limits, from createModeRules()
+        this.endsAt = null; // When a timed round runs out
+        this.shotClocks = {}; // Per-player time by which the next figure must be placed
+        this.endReason = null; // Why the round ended ('no_moves', 'last_standing', 'time_up', 'target_reached' or 'shot_clock')
+        this.winnerId = null; // Player who won outright (last player standing or sprint target; never set in co-op games)
+        this.elimination = elimination; // Knock out players who can't move (off only to replay older rounds)
+        this.currentTurnPlayerId = null; // Player whose turn it is in turn-based games
+        this.turnEndsAt = null; // When the current turn is skipped
+        this.turnNumber = 0; // Turns started this round, so callers can tell when the turn moved on
+        this.turnSeat = -1; // Seat of the player whose turn it is (kept if they leave, to find the next seat)
+        this.garbageRng = new SeededRandom(deriveSeed(this.seed, 'garbage')); // Where garbage lands in versus games
+        this.initialGrid = this.createStartingGrid(); // Board the round starts on
+        this.grid = this.initialGrid.map(row => [...row]);
+    }
+
+    /**
+     * Create the board a round starts on: empty, or with the mode's starting cells scattered over it (daily challenge)
+     * The cells are picked with the room seed, so every round with the same seed starts on the same board
+     * @returns {Array} Grid
+     */
+    createStartingGrid() {
+        const grid = createEmptyGrid(this.gridWidth, this.gridHeight);
+        const cellCount = this.modeRules.startingCells || 0;
+        const rng = new SeededRandom(deriveSeed(this.seed, 'board'));
+        const rowCounts = Array(this.gridHeight).fill(0);
+        const colCounts = Array(this.gridWidth).fill(0);
+        let placed = 0;
+        for (let attempt = 0; placed < cellCount && attempt < cellCount * 20; attempt++) {
+            const x = rng.nextInt(this.gridWidth);
+            const y = rng.nextInt(this.gridHeight);
+            // Leave every line at least two cells short of full
+            if (grid[y][x] !== null || rowCounts[y] >= this.gridWidth - 2 || colCounts[x] >= this.gridHeight - 2) {
+                continue;
+            }
+            grid[y][x] = { playerId: null, color: GARBAGE_COLOR, garbage: true };
+            rowCounts[y]++;
+            colCounts[x]++;
+            placed++;
+        }
+        return grid;
+    }
+
+    addPlayer(playerId, color = 'red', authenticatedUserId = null, bot = null) {
+        if (!this.players.has(playerId)) {
+            // A spectator taking a seat stops being a spectator
+            this.spectators.delete(playerId);
+            const seat = this.getFreeSeat();
+            this.playerStreams[playerId] = this.createSeatStream(seat);
+
+            const player = {
+                id: playerId,
+                seat,
+                figures: [],
+                queue: [],
+                hold: null,
+                holdUsed: false,
+                score: 0,
+                color: color,
+                connected: true, // False while the seat is held for a reconnect
+                ready: Boolean(bot), // Marked ready in the lobby; bots are always ready
+                linesCleared: 0, // Lines cleared by this player's placements (for sprints)
+                eliminated: false, // Knocked out of the round; watches until it ends
+                eliminatedAt: null, // When the player was knocked out
+                placement: null, // Finishing position (1 = winner), set when knocked out or when the round ends
+                team: null, // Team index in team games
+                hintsUsed: 0, // Hints asked for this round
+                bot // Difficulty of a player the server plays itself, null for people
+            };
+            this.dealFigures(player);
+            if (this.isTeamGame()) {
+                player.team = this.getOpenTeam();
+            }
+            this.players.set(playerId, player);
+            if (this.isVersus()) {
+                this.boards[playerId] = createEmptyGrid(this.gridWidth, this.gridHeight);
+            }
+            if (this.hostId === null && !bot) {
+                this.hostId = playerId;
+            }
+            if (this.phase === PHASES.PLAYING) {
+                this.resetShotClock(playerId);
+            }
+            this.addMove(playerId, 'join', this.getJoinDetails(player));
+            
+            // Store the join time for this player
+            this.playerJoinTimes[playerId] = Date.now();
+            
+            // Store the authenticated user ID if provided
+            if (authenticatedUserId && authenticatedUserId !== playerId) {
+                this.authenticatedUserIds[playerId] = authenticatedUserId;
+            }
+        }
+    }
+
+    /**
+     * Get the lowest seat number not taken by a current player
+     * @returns {number} Free seat number
+     */
+    getFreeSeat() {
+        const takenSeats = new Set(Array.from(this.players.values()).map(player => player.seat));
+        let seat = 0;
+        while (takenSeats.has(seat)) {
+            seat++;
+        }
+        return seat;
+    }
+
+    /**
+     * Create the figure stream for a seat, derived from the room seed
+     * @param {number} seat - Seat number
+     * @returns {{rng: SeededRandom, randomizer: Object}} Generator and randomizer for that seat
+     */
+    createSeatStream(seat) {
+        const rng = new SeededRandom(deriveSeed(this.seed, seat));
+        return { rng, randomizer: createRandomizer(this.randomizer, this.figureSet.types, rng) };
+    }
+
+    /**
+     * Deal a fresh hand and preview queue to a player from their figure stream
+     * @param {Object} player - Player object (its stream must already exist)
+     */
+    dealFigures(player) {
+        player.figures = [];
+        player.queue = [];
+        player.hold = null;
+        player.holdUsed = false;
+        // Fill the queue first so the hand is drawn through it like any later figure
+        for (let i = 0; i < this.previewSize; i++) {
+            player.queue.push(generateNewFigure(this.figureSet, this.playerStreams[player.id]));
+        }
+        for (let i = 0; i < HAND_SIZE; i++) {
+            player.figures.push(this.drawFigure(player));
+        }
+    }
+
+    /**
+     * Draw the next figure for a player's hand, taking it from the preview queue if there is one
+     * @param {Object} player - Player object
+     * @param {string[]} excludeTypes - Types the randomizer should avoid (if it honours them)
+     * @returns {Object} Figure {type, cells}
+     */
+    drawFigure(player, excludeTypes = []) {
+        const stream = this.playerStreams[player.id];
+        if (player.queue.length === 0) {
+            return generateNewFigure(this.figureSet, stream, excludeTypes);
+        }
+        // Refill the end of the queue, avoiding types that are already coming up
+        const queuedTypes = player.queue.map(fig => fig.type);
+        player.queue.push(generateNewFigure(this.figureSet, stream, [...excludeTypes, ...queuedTypes]));
+        return player.queue.shift();
+    }
+
+    /**
+     * Get the randomizer state of a player as clients may see it
+     * The order of the rest of a bag would show more than the preview queue, so only its size is shared
+     * @param {string} playerId - The player ID
+     * @returns {Object|null} Randomizer state ({name, remaining} for a bag) or null if the player is unknown
+     */
+    getPlayerBag(playerId) {
+        const stream = this.playerStreams[playerId];
+        if (!stream) {
+            return null;
+        }
+        const { upcoming, ...state } = stream.randomizer.getState();
+        return upcoming ? { ...state, remaining: upcoming.length } : state;
+    }
+
+    getState() {
+            return {
+                id: this.id,
+                grid: this.grid,
+                boards: this.isVersus() ? this.boards : null,
+                players: Object.fromEntries(
+                    Array.from(this.players, ([id, player]) => [id, { ...player, bag: this.getPlayerBag(id) }])
+                ),
+                gameOver: this.gameOver,
+                rotateable: this.rotateable,
+                figureSet: this.figureSet.name,
+                // The seed would show every figure still to come, so it's only shared once the round is over
+                // (the day's seed stays on the server)
+                seed: this.gameOver && !this.isDailyChallenge() ? this.seed : null,
+                randomizer: this.randomizer,
+                gridWidth: this.gridWidth,
+                gridHeight: this.gridHeight,
+                previewSize: this.previewSize,
+                holdEnabled: this.holdEnabled,
+                hintLimit: this.hintLimit,
+                practice: this.practice,
+                undoAllowed: this.isUndoAllowed(),
+                undoPlayerId: this.getUndoPlayerId(),
+                usedUndo: this.usedUndo,
+                spectators: this.spectators.size,
+                hostId: this.hostId,
+                maxPlayers: this.maxPlayers,
+                locked: this.locked,
+                status: this.getStatus(),
+                phase: this.phase,
+                countdownEndsAt: this.countdownEndsAt,
+                modeRules: this.modeRules,
+                timers: this.getTimers(),
+                currentTurnPlayerId: this.currentTurnPlayerId,
+                endReason: this.endReason,
+                winnerId: this.winnerId,
+                team: this.getTeamResult(),
+                teams: this.getTeamStandings()
+            };
+        }
+
+    removePlayer(playerId) {
+        if (this.players.has(playerId)) {
+            this.addMove(playerId, 'leave', {});
+            this.players.delete(playerId);
+            // Remove the player's join time as well
+            if (this.playerJoinTimes[playerId]) {
+                delete this.playerJoinTimes[playerId];
+            }
+            delete this.playerStreams[playerId];
+            delete this.shotClocks[playerId];
+            if (this.currentTurnPlayerId === playerId) {
+                this.advanceTurn();
+            }
+            // Clear any temporary pixels placed by this player
+            this.clearTemporary(playerId);
+            delete this.boards[playerId];
+            if (this.hostId === playerId) {
+                this.hostId = this.pickNextHost();
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Choose who becomes host when the host leaves: the connected player in the lowest seat (never a bot)
+     * @returns {string|null} Player ID or null if no people are left
+     */
+    pickNextHost() {
+        const candidates = Array.from(this.players.values())
+            .filter(player => !player.bot)
+            .sort((a, b) => (b.connected - a.connected) || (a.seat - b.seat));
+        return candidates.length > 0 ? candidates[0].id : null;
+    }
+
+    /**
+     * Check whether a player is the room host
+     * @param {string} playerId - The player ID
+     * @returns {boolean} True if the player controls the room
+     */
+    isHost(playerId) {
+        return this.hostId !== null && this.hostId === playerId;
+    }
+
+    /**
+     * Hand control of the room to another player
+     * @param {string} playerId - The new host
+     * @returns {boolean} True if the player is seated in the room
+     */
+    transferHost(playerId) {
+        if (!this.players.has(playerId) || this.players.get(playerId).bot) {
+            return false;
+        }
+        this.hostId = playerId;
+        return true;
+    }
+
+    /**
+     * Lock or unlock the room for new players (seated players can still reconnect)
+     * @param {boolean} locked - Whether to lock the room
+     */
+    setLocked(locked) {
+        this.locked = Boolean(locked);
+    }
+
+    /**
+     * Change the room rules; they take effect from the next restart()
+     * Only the given settings change, and nothing changes if any of them is invalid
+     * @param {Object} settings - Any of {rotateable, gridWidth, gridHeight, figureSet, randomizer, previewSize, holdEnabled, hintLimit, maxPlayers, modeRules}
+     */
+    updateSettings(settings) {
+        const next = { ...this.getRules(), maxPlayers: this.maxPlayers, ...settings };
+        if (!isValidGridSize(next.gridWidth) || !isValidGridSize(next.gridHeight)) {
+            throw new Error(`Invalid grid size: ${next.gridWidth}x${next.gridHeight}`);
+        }
+        if (!isValidRandomizer(next.randomizer)) {
+            throw new Error(`Unknown randomizer: ${next.randomizer}`);
+        }
+        if (!isValidPreviewSize(next.previewSize)) {
+            throw new Error(`Invalid preview size: ${next.previewSize}`);
+        }
+        if (!isValidHintLimit(next.hintLimit)) {
+            throw new Error(`Invalid hint limit: ${next.hintLimit}`);
+        }
+        if (!isValidMaxPlayers(next.maxPlayers) || next.maxPlayers < this.players.size) {
+            throw new Error(`Invalid player count: ${next.maxPlayers}`);
+        }
+        const figureSet = getFigureSet(next.figureSet);
+
+        this.rotateable = Boolean(next.rotateable);
+        this.gridWidth = next.gridWidth;
+        this.gridHeight = next.gridHeight;
+        this.initialGrid = createEmptyGrid(this.gridWidth, this.gridHeight);
+        this.figureSet = figureSet;
+        this.randomizer = next.randomizer;
+        this.previewSize = next.previewSize;
+        this.holdEnabled = Boolean(next.holdEnabled);
+        this.hintLimit = next.hintLimit;
+        this.practice = Boolean(next.practice);
+        this.maxPlayers = next.maxPlayers;
+        this.modeRules = next.modeRules;
+        this.assignTeams();
+    }
+
+    /**
+     * Check whether every seat is taken
+     * @returns {boolean} True if no more players can join
+     */
+    isFull() {
+        return this.players.size >= this.maxPlayers;
+    }
+
+    /**
+     * Get the lobby status of the game
+     * @returns {string} 'waiting' while players get ready, 'playing' once the host started the round, or 'over'
+     */
+    getStatus() {
+        if (this.phase === PHASES.OVER) {
+            return 'over';
+        }
+        return this.phase === PHASES.LOBBY ? 'waiting' : 'playing';
+    }
+
+    /**
+     * Mark a player as ready (or not) for the next round
+     * @param {string} playerId - The player ID
+     * @param {boolean} ready - Whether the player is ready
+     * @returns {boolean} True if changed (only possible in the lobby)
+     */
+    setPlayerReady(playerId, ready) {
+        const player = this.players.get(playerId);
+        if (!player || this.phase !== PHASES.LOBBY) {
+            return false;
+        }
+        player.ready = Boolean(ready);
+        return true;
+    }
+
+    /**
+     * Check whether every connected player other than the host is ready
+     * @returns {boolean} True if the host may start the round
+     */
+    areAllReady() {
+        return Array.from(this.players.values())
+            .every(player => player.id === this.hostId || !player.connected || player.ready);
+    }
+
+    /**
+     * Leave the lobby and count down to the start of the round
+     * @param {number} durationMs - Length of the countdown
+     * @returns {boolean} True if the countdown started (only possible in the lobby)
+     */
+    startCountdown(durationMs) {
+        if (this.phase !== PHASES.LOBBY) {
+            return false;
+        }
+        this.phase = PHASES.COUNTDOWN;
+        this.countdownEndsAt = Date.now() + durationMs;
+        return true;
+    }
+
+    /**
+     * Start playing: durations are measured from here rather than from room creation
+     * @returns {boolean} True if the round started (only possible in the lobby or countdown)
+     */
+    startRound() {
+        if (this.phase !== PHASES.LOBBY && this.phase !== PHASES.COUNTDOWN) {
+            return false;
+        }
+        this.phase = PHASES.PLAYING;
+        this.countdownEndsAt = null;
+        this.startTime = Date.now();
+        this.endsAt = this.modeRules.timeLimitMs ? this.startTime + this.modeRules.timeLimitMs : null;
+        for (const playerId of this.players.keys()) {
+            this.playerJoinTimes[playerId] = this.startTime;
+            this.resetShotClock(playerId);
+        }
+        this.addMove(this.hostId, 'start_round', {});
+        if (this.isTurnBased()) {
+            // The lowest seat goes first
+            this.advanceTurn();
+        }
+        return true;
+    }
+
+    /**
+     * Check whether the round has a clock the server must tick
+     * @returns {boolean} True for time limits, shot clocks and turn limits
+     */
+    isTimed() {
+        return Boolean(this.modeRules.timeLimitMs || this.modeRules.shotClockMs || this.modeRules.turnTimeMs);
+    }
+
+    /**
+     * Check whether every player plays on a board of their own
+     * @returns {boolean} True in versus games
+     */
+    isVersus() {
+        return Boolean(this.modeRules.separateBoards);
+    }
+
+    /**
+     * Check whether this is a daily challenge game
+     * @returns {boolean} True in daily challenge games
+     */
+    isDailyChallenge() {
+        return this.modeRules.mode === 'daily';
+    }
+
+    /**
+     * Get the board a player draws on: their own in versus games, the shared grid otherwise
+     * @param {string} playerId - The player ID
+     * @returns {Array|null} Grid, or null for a versus game the player isn't seated in
+     */
+    getBoard(playerId) {
+        if (!this.isVersus()) {
+            return this.grid;
+        }
+        return this.boards[playerId] || null;
+    }
+
+    /**
+     * Replace the board a player draws on
+     * @param {string} playerId - The player ID
+     * @param {Array} board - New grid
+     */
+    setBoard(playerId, board) {
+        if (this.isVersus()) {
+            this.boards[playerId] = board;
+        } else {
+            this.grid = board;
+        }
+    }
+
+    /**
+     * Fill lines of a player's board with garbage, each leaving one empty cell so it can still be cleared
+     * @param {string} playerId - Player receiving the garbage
+     * @param {number} lines - Number of garbage lines
+     * @returns {number[]} Rows that received garbage
+     */
+    addGarbage(playerId, lines) {
+        const board = this.getBoard(playerId);
+        const filledRows = [];
+        for (let i = 0; i < lines; i++) {
+            // Rows with at least two empty cells can take garbage and keep a gap
+            const openRows = [];
+            board.forEach((row, y) => {
+                if (row.filter(cell => cell === null).length >= 2) {
+                    openRows.push(y);
+                }
+            });
+            if (openRows.length === 0) {
+                break;
+            }
+            const y = openRows[this.garbageRng.nextInt(openRows.length)];
+            const emptyColumns = [];
+            board[y].forEach((cell, x) => {
+                if (cell === null) {
+                    emptyColumns.push(x);
+                }
+            });
+            const gap = emptyColumns[this.garbageRng.nextInt(emptyColumns.length)];
+            board[y] = board[y].map((cell, x) => (
+                cell === null && x !== gap ? { playerId: null, color: GARBAGE_COLOR, garbage: true } : cell
+            ));
+            filledRows.push(y);
+        }
+        return filledRows;
+    }
+
+    /**
+     * Send garbage from a multi-line clear to every opponent still in the round
+     * @param {string} playerId - Player who cleared the lines
+     * @param {number} linesCleared - Lines cleared by the placement
+     * @returns {Object} Rows that received garbage, by opponent ID (empty when nothing was sent)
+     */
+    sendGarbage(playerId, linesCleared) {
+        const garbage = {};
+        const lines = getGarbageLines(linesCleared);
+        if (!this.isVersus() || lines === 0) {
+            return garbage;
+        }
+        const opponents = this.getActivePlayers()
+            .filter(player => player.id !== playerId)
+            .sort((a, b) => a.seat - b.seat);
+        for (const opponent of opponents) {
+            garbage[opponent.id] = this.addGarbage(opponent.id, lines);
+        }
+        return garbage;
+    }
+
+    /**
+     * Check whether players take turns placing figures
+     * @returns {boolean} True in turn-based games
+     */
+    isTurnBased() {
+        return Boolean(this.modeRules.turnTimeMs);
+    }
+
+    /**
+     * Check whether a player may move: always, unless it is another player's turn
+     * @param {string} playerId - The player ID
+     * @returns {boolean} True if the player may draw, place or hold
+     */
+    isPlayersTurn(playerId) {
+        return !this.isTurnBased() || this.currentTurnPlayerId === playerId;
+    }
+
+    /**
+     * Pass the turn to the next player still in the round, in seat order
+     * @returns {string|null} Player whose turn it is now, or null if nobody is left
+     */
+    advanceTurn() {
+        const activePlayers = this.getActivePlayers().sort((a, b) => a.seat - b.seat);
+        const next = activePlayers.find(player => player.seat > this.turnSeat) || activePlayers[0];
+        if (!next) {
+            this.currentTurnPlayerId = null;
+            this.turnEndsAt = null;
+            return null;
+        }
+        this.currentTurnPlayerId = next.id;
+        this.turnSeat = next.seat;
+        this.turnEndsAt = Date.now() + this.modeRules.turnTimeMs;
+        this.turnNumber++;
+        return next.id;
+    }
+
+    /**
+     * Skip the turn of a player who didn't place a figure in time
+     * @param {string} playerId - Player whose turn it is
+     * @returns {boolean} True if it was that player's turn
+     */
+    skipTurn(playerId) {
+        if (this.phase !== PHASES.PLAYING || !this.isTurnBased() || this.currentTurnPlayerId !== playerId) {
+            return false;
+        }
+        // A half-drawn figure doesn't carry over to the next turn
+        this.clearTemporary(playerId);
+        this.addMove(playerId, 'skip_turn', {});
+        this.advanceTurn();
+        return true;
+    }
+
+    /**
+     * Give a player a full shot clock (if the mode has one)
+     * @param {string} playerId - The player ID
+     */
+    resetShotClock(playerId) {
+        const player = this.players.get(playerId);
+        if (this.modeRules.shotClockMs && player && !player.eliminated) {
+            this.shotClocks[playerId] = Date.now() + this.modeRules.shotClockMs;
+        }
+    }
+
+    /**
+     * Get the time left on the round and on each player's shot clock
+     * @param {number} now - Current time (for tests)
+     * @returns {Object} {remainingMs, shotClocks, turnRemainingMs} - remainingMs and turnRemainingMs are null without such a limit
+     */
+    getTimers(now = Date.now()) {
+        const shotClocks = {};
+        for (const [playerId, endsAt] of Object.entries(this.shotClocks)) {
+            shotClocks[playerId] = Math.max(endsAt - now, 0);
+        }
+        return {
+            remainingMs: this.endsAt === null ? null : Math.max(this.endsAt - now, 0),
+            shotClocks,
+            turnRemainingMs: this.turnEndsAt === null ? null : Math.max(this.turnEndsAt - now, 0)
+        };
+    }
+
+    /**
+     * Advance the round's clocks: players whose shot clock ran out are knocked out, a turn not taken in time is skipped,
+     * and the round ends when its time is up
+     * Players whose seat is held for a reconnect don't run out of shot clock
+     * @param {number} now - Current time (for tests)
+     * @returns {Object} {eliminated, skippedPlayerId, over} - players knocked out by this tick, whose turn was skipped
+     *     (or null) and whether the round ended
+     */
+    tick(now = Date.now()) {
+        const eliminated = [];
+        let skippedPlayerId = null;
+        if (this.phase !== PHASES.PLAYING) {
+            return { eliminated, skippedPlayerId, over: false };
+        }
+        if (this.endsAt !== null && now >= this.endsAt) {
+            return { eliminated, skippedPlayerId, over: this.endGame('time_up') };
+        }
+        if (this.turnEndsAt !== null && now >= this.turnEndsAt) {
+            skippedPlayerId = this.currentTurnPlayerId;
+            this.skipTurn(skippedPlayerId);
+        }
+        // Whoever ran out first is out first
+        const expired = Object.entries(this.shotClocks)
+            .filter(([playerId, endsAt]) => now >= endsAt && this.players.get(playerId).connected)
+            .sort((a, b) => a[1] - b[1]);
+        for (const [playerId] of expired) {
+            eliminated.push(...this.eliminatePlayers([playerId], 'shot_clock'));
+        }
+        return { eliminated, skippedPlayerId, over: eliminated.length > 0 && this.endIfDecided('shot_clock') };
+    }
+
+    /**
+     * Check whether the players are split into teams
+     * @returns {boolean} True in team games
+     */
+    isTeamGame() {
+        return Boolean(this.modeRules.teamCount);
+    }
+
+    /**
+     * Get how many players a team can have
+     * @returns {number} Seats per team
+     */
+    getTeamSize() {
+        return Math.ceil(this.maxPlayers / this.modeRules.teamCount);
+    }
+
+    /**
+     * Get the team with the fewest players (the lowest such team on a tie)
+     * @returns {number} Team index
+     */
+    getOpenTeam() {
+        const sizes = Array(this.modeRules.teamCount).fill(0);
+        for (const player of this.players.values()) {
+            if (player.team !== null) {
+                sizes[player.team]++;
+            }
+        }
+        return sizes.indexOf(Math.min(...sizes));
+    }
+
+    /**
+     * Fit the players' teams to the current rules: players without a team join the smallest one,
+     * everyone is dealt out again if a team got too big, and nobody has a team outside team games
+     */
+    assignTeams() {
+        const seatedPlayers = Array.from(this.players.values()).sort((a, b) => a.seat - b.seat);
+        const teamSizes = {};
+        for (const player of seatedPlayers) {
+            teamSizes[player.team] = (teamSizes[player.team] || 0) + 1;
+        }
+        const overfull = this.isTeamGame() && Object.entries(teamSizes)
+            .some(([team, size]) => team !== 'null' && size > this.getTeamSize());
+        for (const player of seatedPlayers) {
+            if (!this.isTeamGame() || overfull) {
+                player.team = null;
+            }
+        }
+        if (!this.isTeamGame()) {
+            return;
+        }
+        for (const player of seatedPlayers) {
+            if (player.team === null) {
+                player.team = this.getOpenTeam();
+            }
+        }
+    }
+
+    /**
+     * Move a player to another team while the room is in the lobby
+     * @param {string} playerId - The player ID
+     * @param {number} team - Team index
+     * @returns {boolean} True if the player changed teams (the team must have a free place)
+     */
+    setPlayerTeam(playerId, team) {
+        const player = this.players.get(playerId);
+        if (!player || !this.isTeamGame() || this.phase !== PHASES.LOBBY) {
+            return false;
+        }
+        if (!Number.isInteger(team) || team < 0 || team >= this.modeRules.teamCount) {
+            return false;
+        }
+        if (player.team === team) {
+            return true;
+        }
+        const teamSize = Array.from(this.players.values()).filter(other => other.team === team).length;
+        if (teamSize >= this.getTeamSize()) {
+            return false;
+        }
+        player.team = team;
+        this.addMove(playerId, 'change_team', { team });
+        return true;
+    }
+
+    /**
+     * Get what a replay needs to seat a player again
+     * @param {Object} player - Player object
+     * @returns {Object} {seat, color} and, in team games, the player's team; for bots, their difficulty
+     */
+    getJoinDetails(player) {
+        const details = { seat: player.seat, color: player.color };
+        if (player.team !== null) {
+            details.team = player.team;
+        }
+        if (player.bot) {
+            details.bot = player.bot;
+        }
+        return details;
+    }
+
+    /**
+     * Check whether any people are seated, as opposed to only bots
+     * @returns {boolean} True if at least one seated player isn't a bot
+     */
+    hasHumanPlayers() {
+        return Array.from(this.players.values()).some(player => !player.bot);
+    }
+
+    /**
+     * Get each team's players, score and outcome in team games
+     * Once the round is over, the last team with players still in wins; otherwise the higher team score wins
+     * @returns {Array|null} Array of {team, playerIds, score, outcome} with outcome 'win', 'loss', 'draw' or 'in_progress'; null in other modes
+     */
+    getTeamStandings() {
+        if (!this.isTeamGame()) {
+            return null;
+        }
+        const standings = Array.from({ length: this.modeRules.teamCount }, (_, team) => {
+            const members = Array.from(this.players.values()).filter(player => player.team === team);
+            return {
+                team,
+                playerIds: members.map(player => player.id),
+                score: members.reduce((total, player) => total + player.score, 0),
+                standing: members.some(player => !player.eliminated),
+                outcome: 'in_progress'
+            };
+        });
+        if (this.gameOver) {
+            const contenders = this.endReason === 'last_standing'
+                ? standings.filter(entry => entry.standing)
+                : standings.filter(entry => entry.playerIds.length > 0);
+            const bestScore = Math.max(...contenders.map(entry => entry.score));
+            const winners = contenders.filter(entry => entry.score === bestScore);
+            for (const entry of standings) {
+                if (!winners.includes(entry)) {
+                    entry.outcome = 'loss';
+                } else {
+                    entry.outcome = winners.length > 1 ? 'draw' : 'win';
+                }
+            }
+        }
+        return standings.map(({ standing, ...entry }) => entry);
+    }
+
+    /**
+     * Get the players still in the round
+     * @returns {Object[]} Players not knocked out
+     */
+    getActivePlayers() {
+        return Array.from(this.players.values()).filter(player => !player.eliminated);
+    }
+
+    /**
+     * Knock players out of the round; they keep their seat and score but can no longer move
+     * Players knocked out together take the lowest free positions, ordered by score (equal scores share a position)
+     * @param {string[]} playerIds - Players to knock out
+     * @param {string} reason - 'no_moves' or 'shot_clock'
+     * @returns {string[]} Players that were knocked out (the others were already out or not seated)
+     */
+    eliminatePlayers(playerIds, reason) {
+        if (this.phase !== PHASES.PLAYING) {
+            return [];
+        }
+        const group = playerIds
+            .map(playerId => this.players.get(playerId))
+            .filter(player => player && !player.eliminated);
+        const lastPlacement = this.getActivePlayers().length;
+        const now = Date.now();
+        for (const player of group) {
+            const betterInGroup = group.filter(other => other.score > player.score).length;
+            player.placement = lastPlacement - group.length + 1 + betterInGroup;
+        }
+        if (group.length > 0) {
+            // Knockouts are final, so nothing placed before them can be undone
+            this.undoStack = [];
+        }
+        for (const player of group) {
+            player.eliminated = true;
+            player.eliminatedAt = now;
+            delete this.shotClocks[player.id];
+            this.clearTemporary(player.id);
+            this.addMove(player.id, 'eliminate', { reason, placement: player.placement });
+        }
+        if (group.some(player => player.id === this.currentTurnPlayerId)) {
+            this.advanceTurn();
+        }
+        return group.map(player => player.id);
+    }
+
+    /**
+     * Check whether a player has a figure (in hand, or swappable from the hold slot) that fits on the board
+     * @param {Object} player - Player object
+     * @returns {boolean} True if the player can still move
+     */
+    canPlayerMove(player) {
+        const playableFigures = this.holdEnabled && !player.holdUsed && player.hold
+            ? [...player.figures, player.hold]
+            : player.figures;
+        return playableFigures.some(figure => this.canPlaceFigure(player.id, figure));
+    }
+
+    /**
+     * Knock out every player who can no longer place a figure
+     * @returns {string[]} Players that were knocked out
+     */
+    eliminateStuckPlayers() {
+        if (!this.elimination || this.phase !== PHASES.PLAYING) {
+            return [];
+        }
+        const stuck = this.getActivePlayers().filter(player => !this.canPlayerMove(player));
+        return this.eliminatePlayers(stuck.map(player => player.id), 'no_moves');
+    }
+
+    /**
+     * End the round once it is decided: nobody is left, or one player (one team in team games) outlasted the others
+     * (co-op teams play on until nobody is left)
+     * @param {string} reason - Why the last players were knocked out, used when nobody is left
+     * @returns {boolean} True if the round ended
+     */
+    endIfDecided(reason) {
+        const activePlayers = this.getActivePlayers();
+        if (activePlayers.length === 0) {
+            return this.endGame(reason);
+        }
+        if (this.isTeamGame()) {
+            const activeTeams = new Set(activePlayers.map(player => player.team));
+            const teams = new Set(Array.from(this.players.values(), player => player.team));
+            return activeTeams.size === 1 && teams.size > 1 && this.endGame('last_standing');
+        }
+        if (activePlayers.length === 1 && this.players.size > 1 && !this.isCooperative()) {
+            return this.endGame('last_standing', activePlayers[0].id);
+        }
+        return false;
+    }
+
+    /**
+     * End the round; players still in take the top positions by score (the outright winner first)
+     * @param {string} reason - 'no_moves', 'last_standing', 'time_up', 'target_reached' or 'shot_clock'
+     * @param {string} winnerId - Player who won outright (last player standing or sprint target)
+     * @returns {boolean} True if the round was being played
+     */
+    endGame(reason, winnerId = null) {
+        if (this.phase !== PHASES.PLAYING) {
+            return false;
+        }
+        this.gameOver = true;
+        this.phase = PHASES.OVER;
+        this.endReason = reason;
+        this.winnerId = winnerId;
+        this.endsAt = null;
+        this.shotClocks = {};
+        this.currentTurnPlayerId = null;
+        this.turnEndsAt = null;
+        const activePlayers = this.getActivePlayers();
+        const ranksAhead = (a, b) => (b.id === winnerId) - (a.id === winnerId) || b.score - a.score;
+        for (const player of activePlayers) {
+            player.placement = 1 + activePlayers.filter(other => ranksAhead(player, other) > 0).length;
+        }
+        // Timed endings aren't caused by a move, so the replay needs to know about them
+        this.addMove(winnerId, 'end_round', { reason });
+        return true;
+    }
+
+    /**
+     * Let a player watch the room without a seat, figures or session
+     * @param {string} spectatorId - Player ID of the spectator
+     * @returns {boolean} True if added (players cannot also spectate)
+     */
+    addSpectator(spectatorId) {
+        if (this.players.has(spectatorId)) {
+            return false;
+        }
+        this.spectators.add(spectatorId);
+        return true;
+    }
+
+    /**
+     * Stop a player from spectating the room
+     * @param {string} spectatorId - Player ID of the spectator
+     * @returns {boolean} True if the player was spectating
+     */
+    removeSpectator(spectatorId) {
+        return this.spectators.delete(spectatorId);
+    }
+
+    /**
+     * Get the number of players spectating the room
+     * @returns {number} Spectator count
+     */
+    getSpectatorCount() {
+        return this.spectators.size;
+    }
+
+    /**
+     * Mark a player as connected or as disconnected (seat held while they reconnect)
+     * @param {string} playerId - The player ID
+     * @param {boolean} connected - Whether the player has a live connection
+     * @returns {boolean} True if the player exists
+     */
+    setPlayerConnected(playerId, connected) {
+        const player = this.players.get(playerId);
+        if (!player) {
+            return false;
+        }
+        player.connected = connected;
+        // A reconnecting player gets a fresh shot clock rather than an expired one
+        if (connected && this.phase === PHASES.PLAYING) {
+            this.resetShotClock(playerId);
+        }
+        return true;
+    }
+
+    /**
+     * Get the cells a player is currently drawing, so a reconnecting client can resume
+     * @param {string} playerId - The player ID
+     * @returns {Array} Array of {x, y}
+     */
+    getDrawingPixels(playerId) {
+        const pixels = [];
+        const board = this.getBoard(playerId);
+        if (!board) {
+            return pixels;
+        }
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                const cell = board[y][x];
+                if (cell && cell.playerId === playerId && cell.state === 'drawing') {
+                    pixels.push({ x, y });
+                }
+            }
+        }
+        return pixels;
+    }
+
+    getPlayersList() {
+        return Array.from(this.players.values()).map(player => ({
+            id: player.id,
+            color: player.color,
+            score: player.score,
+            figures: player.figures,
+            queue: player.queue,
+            hold: player.hold,
+            connected: player.connected,
+            ready: player.ready,
+            isHost: player.id === this.hostId,
+            eliminated: player.eliminated,
+            placement: player.placement,
+            team: player.team,
+            bot: player.bot
+        }));
+    }
+
+    updatePlayerColor(playerId, newColor) {
+        const player = this.players.get(playerId);
+        if (player) {
+            player.color = newColor;
+            this.addMove(playerId, 'change_color', { color: newColor });
+            return true;
+        }
+        return false;
+    }
+
+    placePixel(playerId, status, position) {
+      if (this.phase !== PHASES.PLAYING) return false;
+      const { x, y } = position;
+
+      if (!this.isInBounds(x, y)) {
+        return false; // Out of bounds
+      }
+
+      const player = this.players.get(playerId);
+      if (!player || player.eliminated || !this.isPlayersTurn(playerId)) {
+        return false; // Spectators, knocked-out players, unknown sockets and players waiting for their turn cannot draw
+      }
+      const playerColor = player.color;
+      const board = this.getBoard(playerId);
+
+      if (status === 1) {
+        // Only allow placing if empty or if it's own temporary pixel
+        const cell = board[y][x];
+        if (cell === null) {
+          board[y][x] = { playerId, color: playerColor, state: 'drawing' };
+        } else if (cell.playerId === playerId && cell.state === 'drawing') {
+          // Already own drawing pixel, do nothing or update
+          board[y][x] = { playerId, color: playerColor, state: 'drawing' };
+        } else {
+          return false; // Occupied by solid or other player
+        }
+      } else if (status === 0) {
+        // Only allow removing own temporary pixels
+        const cell = board[y][x];
+        if (cell && cell.playerId === playerId && cell.state === 'drawing') {
+          board[y][x] = null;
+        } else {
+          return false;
+        }
+      }
+
+      // Add move to game history
+      this.addMove(playerId, 'place_pixel', {
+        position: { x, y },
+        status
+      });
+
+      return true;
+    }
+
+    placeFigure(playerId, pixels, roomId = null, io = null) {
+        if (this.phase !== PHASES.PLAYING) return false;
+        const player = this.players.get(playerId);
+        if (!player || player.eliminated) {
+            this.clearTemporary(playerId);
+            return false;
+        }
+
+        // Turn-based games: only the player whose turn it is may place
+        if (!this.isPlayersTurn(playerId)) {
+            this.rejectFigure(playerId, roomId, io);
+            return false;
+        }
+
+        // 1. Validate geometry
+        const matchedFigureIndex = this.checkMatch(pixels, player.figures);
+        if (matchedFigureIndex === -1) {
+            this.rejectFigure(playerId, roomId, io);
+            return false;
+        }
+
+        // 2. Validate placement (bounds and collision)
+        const board = this.getBoard(playerId);
+        for (const p of pixels) {
+            if (!this.isInBounds(p.x, p.y)) {
+                this.rejectFigure(playerId, roomId, io);
+                return false;
+            }
+            const cell = board[p.y][p.x];
+            // Collision if cell is not null AND (not owned by player OR not drawing state)
+            if (cell !== null) {
+                if (cell.playerId !== playerId || cell.state !== 'drawing') {
+                    this.rejectFigure(playerId, roomId, io);
+                    return false;
+                }
+            }
+        }
+
+        // 3. Place pixels (Solidify)
+        // First, clear any temporary pixels that might be leftover (though usually they are part of the figure)
+        // Actually, we should just overwrite the pixels in the figure with solid ones.
+        // But we should also clean up any "stray" drawing pixels if the user drew extra stuff.
+        this.clearTemporary(playerId, roomId, io);
+        this.pushUndoSnapshot(player);
+
+        for (const p of pixels) {
+            board[p.y][p.x] = { playerId, color: player.color }; // No 'state' means solid
+        }
+
+        // 4. Replace figure at the same index (don't change order)
+        const matchedFigure = player.figures[matchedFigureIndex];
+        const placedType = matchedFigure.type;
+        const remainingTypes = player.figures
+            .filter((_, index) => index !== matchedFigureIndex)
+            .map(fig => fig.type);
+        const excludeTypes = [placedType, ...remainingTypes];
+        
+        if (matchedFigureIndex > -1) {
+            // Draw new figure excluding placed type and remaining types
+            const newFigure = this.drawFigure(player, excludeTypes);
+            player.figures[matchedFigureIndex] = newFigure;
+        }
+        // A placement allows the hold slot to be used again
+        player.holdUsed = false;
+
+        // 5. Check lines; in versus games a multi-line clear sends garbage to the opponents
+        const linesCleared = this.checkLines(playerId);
+        const garbage = this.sendGarbage(playerId, linesCleared);
+
+        // 6. Update Score
+        const scoreIncrease = getPlacementScore(matchedFigure.cells.length, linesCleared);
+        player.score += scoreIncrease;
+
+        // Increment counters for tracking game statistics
+        this.incrementFiguresPlaced();
+        if (linesCleared > 0) {
+            this.incrementLinesCleared(linesCleared);
+        }
+        player.linesCleared += linesCleared;
+        this.resetShotClock(playerId);
+
+        // Add move to game history
+        this.addMove(playerId, 'place_figure', {
+            figure: matchedFigure.type,
+            figureIndex: matchedFigureIndex,
+            pixels: pixels.map(p => ({ x: p.x, y: p.y })),
+            rngState: this.playerStreams[playerId].rng.getState(),
+            linesCleared,
+            garbage,
+            scoreIncrease
+        });
+
+        // Sprint: the first player to clear the target number of lines wins
+        if (this.modeRules.targetLines && player.linesCleared >= this.modeRules.targetLines) {
+            this.endGame('target_reached', playerId);
+        } else if (this.isCooperative() && this.getTeamLinesCleared() >= this.modeRules.teamTargetLines) {
+            // Co-op: the team wins together
+            this.endGame('target_reached');
+        } else if (this.isTurnBased()) {
+            this.advanceTurn();
+        }
+
+        return true;
+    }
+
+    /**
+     * Swap a figure from the player's hand into the hold slot (once per placement)
+     * @param {string} playerId - The player ID
+     * @param {number} figureIndex - Index of the hand figure to hold
+     * @returns {boolean} True if the figure was held
+     */
+    holdFigure(playerId, figureIndex) {
+        if (this.phase !== PHASES.PLAYING || !this.holdEnabled) return false;
+        const player = this.players.get(playerId);
+        if (!player || player.eliminated || player.holdUsed || !this.isPlayersTurn(playerId)) return false;
+        if (!Number.isInteger(figureIndex) || figureIndex < 0 || figureIndex >= player.figures.length) {
+            return false;
+        }
+
+        const heldFigure = player.figures[figureIndex];
+        if (player.hold) {
+            player.figures[figureIndex] = player.hold;
+        } else {
+            // Empty slot: the hand is refilled with the next figure
+            player.figures[figureIndex] = this.drawFigure(player, player.figures.map(fig => fig.type));
+        }
+        player.hold = heldFigure;
+        player.holdUsed = true;
+
+        // Any half-drawn figure may no longer be in hand
+        this.clearTemporary(playerId);
+
+        this.addMove(playerId, 'hold_figure', {
+            figure: heldFigure.type,
+            figureIndex,
+            rngState: this.playerStreams[playerId].rng.getState()
+        });
+
+        return true;
+    }
+
+    /**
+     * Spend one of the player's hints for this round
+     * The moves themselves come from the solver; recording the hint keeps replays honest about it
+     * @param {string} playerId - The player ID
+     * @returns {boolean} True if the player had a hint left
+     */
+    useHint(playerId) {
+        if (this.phase !== PHASES.PLAYING) return false;
+        const player = this.players.get(playerId);
+        if (!player || player.eliminated || !this.isPlayersTurn(playerId)) return false;
+        if (player.hintsUsed >= this.hintLimit) return false;
+
+        player.hintsUsed++;
+        this.addMove(playerId, 'hint', {});
+        return true;
+    }
+
+    /**
+     * Check whether the room lets players take back placements
+     * Only solo and practice rooms do, and never versus or turn-based games, where an undo would change what opponents faced,
+     * or daily challenges, which are ranked
+     * @returns {boolean} True if undo is allowed
+     */
+    isUndoAllowed() {
+        return (this.players.size === 1 || this.practice) && !this.isVersus() && !this.isTurnBased() && !this.isDailyChallenge();
+    }
+
+    /**
+     * Get the player whose placement an undo would take back
+     * @returns {string|null} Player ID of the most recent placement that can be undone, or null if there is none
+     */
+    getUndoPlayerId() {
+        const snapshot = this.undoStack[this.undoStack.length - 1];
+        return snapshot ? snapshot.playerId : null;
+    }
+
+    /**
+     * Remember what a placement is about to change: the board, the player's hand, score and figure stream, and the counters
+     * @param {Object} player - Player about to place a figure
+     */
+    pushUndoSnapshot(player) {
+        const stream = this.playerStreams[player.id];
+        this.undoStack.push({
+            playerId: player.id,
+            board: this.getBoard(player.id).map(row => [...row]),
+            figures: [...player.figures],
+            queue: [...player.queue],
+            hold: player.hold,
+            holdUsed: player.holdUsed,
+            score: player.score,
+            linesCleared: player.linesCleared,
+            rngState: stream.rng.getState(),
+            randomizerState: stream.randomizer.getState(),
+            gameLinesCleared: this.linesCleared,
+            figuresPlaced: this.figuresPlaced
+        });
+        if (this.undoStack.length > UNDO_DEPTH) {
+            this.undoStack.shift();
+        }
+    }
+
+    /**
+     * Take back a player's last placement, as long as nobody has placed a figure since
+     * The player's figure stream is rewound too, so the figures that come next are the same as before the undo
+     * @param {string} playerId - The player ID
+     * @returns {boolean} True if the placement was undone
+     */
+    undoMove(playerId) {
+        if (this.phase !== PHASES.PLAYING || !this.isUndoAllowed()) return false;
+        const player = this.players.get(playerId);
+        if (!player || player.eliminated || this.getUndoPlayerId() !== playerId) return false;
+
+        const snapshot = this.undoStack.pop();
+        // Other players keep what they are drawing on the shared board, where the restored board leaves room for it
+        const board = this.getBoard(playerId);
+        this.setBoard(playerId, snapshot.board.map((row, y) => row.map((cell, x) => {
+            const current = board[y][x];
+            if (cell !== null && cell.state !== 'drawing') {
+                return cell;
+            }
+            return current && current.state === 'drawing' && current.playerId !== playerId ? current : null;
+        })));
+
+        const stream = this.playerStreams[playerId];
+        stream.rng.setState(snapshot.rngState);
+        stream.randomizer.setState(snapshot.randomizerState);
+        player.figures = snapshot.figures;
+        player.queue = snapshot.queue;
+        player.hold = snapshot.hold;
+        player.holdUsed = snapshot.holdUsed;
+        player.score = snapshot.score;
+        player.linesCleared = snapshot.linesCleared;
+        this.linesCleared = snapshot.gameLinesCleared;
+        this.figuresPlaced = snapshot.figuresPlaced;
+        this.usedUndo = true;
+
+        this.addMove(playerId, 'undo', {});
+        return true;
+    }
+
+    /**
+     * Check whether a cell lies on the board
+     * @param {number} x - Column index
+     * @param {number} y - Row index
+     * @returns {boolean} True if the cell is inside the grid
+     */
+    isInBounds(x, y) {
+        return Number.isInteger(x) && Number.isInteger(y) &&
+            x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight;
+    }
+
+    /**
+     * Discard a player's drawing after an invalid placement, recording it so replays clear it too
+     * @param {string} playerId - The player ID
+     * @param {string|null} roomId - Room to notify (optional)
+     * @param {Object|null} io - Socket.io server used for the notification (optional)
+     */
+    rejectFigure(playerId, roomId = null, io = null) {
+        this.clearTemporary(playerId, roomId, io);
+        if (this.players.has(playerId)) {
+            this.addMove(playerId, 'reject_figure', {});
+        }
+    }
+
+    clearTemporary(playerId, roomId = null, io = null) {
+        const board = this.getBoard(playerId);
+        for (let y = 0; board && y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                const cell = board[y][x];
+                if (cell && cell.playerId === playerId && cell.state === 'drawing') {
+                    board[y][x] = null;
+                }
+            }
+        }
+        
+        // Send update to all players if roomId and io are provided
+        if (roomId && io) {
+            const gameState = this.getState();
+            io.to(roomId).emit('game_update', gameState);
+        }
+    }
+
+    checkMatch(pixels, figures) {
+                // Use the shared utility function with rotateable option
+                return checkMatch(pixels, figures, this.rotateable);
+            }
+
+    /**
+     * Clear the filled rows and columns of the board a player placed on
+     * @param {string} playerId - Player who placed the figure
+     * @returns {number} Number of lines cleared
+     */
+    checkLines(playerId) {
+        let board = this.getBoard(playerId);
+
+        // Check if a row is completely filled
+        const isRowFilled = (rowIndex) => {
+            return board[rowIndex].every(cell => cell !== null);
+        };
+
+        // Check if a column is completely filled
+        const isColFilled = (colIndex) => {
+            for (let y = 0; y < this.gridHeight; y++) {
+                if (board[y][colIndex] === null) {
+                    return false;
+                }
+            }
+            return true;
+        };
+
+        // Identify filled rows and columns
+        const fullRowIndices = [];
+        const fullColIndices = [];
+        
+        for (let y = 0; y < this.gridHeight; y++) {
+            if (isRowFilled(y)) {
+                fullRowIndices.push(y);
+            }
+        }
+        
+        for (let x = 0; x < this.gridWidth; x++) {
+            if (isColFilled(x)) {
+                fullColIndices.push(x);
+            }
+        }
+
+        // Return early if no lines are filled
+        if (fullRowIndices.length === 0 && fullColIndices.length === 0) {
+            return 0;
+        }
+
+        // Process filled rows by shifting remaining rows toward center
+        if (fullRowIndices.length > 0) {
+            board = this.clearAndShiftRows(board, fullRowIndices);
+        }
+
+        // Process filled columns by shifting remaining columns toward center
+        if (fullColIndices.length > 0) {
+            board = this.clearAndShiftColumns(board, fullColIndices);
+        }
+        this.setBoard(playerId, board);
+
+        // Calculate total lines cleared and update counter
+        const totalLinesCleared = fullRowIndices.length + fullColIndices.length;
+        if (totalLinesCleared > 0) {
+            this.incrementLinesCleared(totalLinesCleared);
+        }
+        
+        return totalLinesCleared;
+    }
+
+    /**
+     * Clear filled rows and shift remaining rows toward center
+     * @param {Array} board - Grid to clear
+     * @param {number[]} fullRowIndices - Indices of filled rows to remove
+     * @returns {Array} New grid
+     */
+    clearAndShiftRows(board, fullRowIndices) {
+        const centerRow = Math.floor(this.gridHeight / 2);
+        let topRows = board.slice(0, centerRow);
+        let bottomRows = board.slice(centerRow, this.gridHeight);
+
+        // Remove filled rows from top and bottom sections
+        topRows = topRows.filter((_, index) => !fullRowIndices.includes(index));
+        bottomRows = bottomRows.filter((_, index) => !fullRowIndices.includes(index + centerRow));
+
+        // Add empty rows to maintain grid size
+        while (topRows.length < centerRow) {
+            topRows.unshift(Array(this.gridWidth).fill(null));
+        }
+        while (bottomRows.length < (this.gridHeight - centerRow)) {
+            bottomRows.push(Array(this.gridWidth).fill(null));
+        }
+
+        // Grid with shifted rows
+        return [...topRows, ...bottomRows];
+    }
+
+    /**
+     * Clear filled columns and shift remaining columns toward center
+     * @param {Array} board - Grid to clear
+     * @param {number[]} fullColIndices - Indices of filled columns to remove
+     * @returns {Array} New grid
+     */
+    clearAndShiftColumns(board, fullColIndices) {
+        const centerCol = Math.floor(this.gridWidth / 2);
+        
+        return board.map(row => {
+            let leftHalf = row.slice(0, centerCol);
+            let rightHalf = row.slice(centerCol, this.gridWidth);
+
+            // Remove filled columns from left and right sections
+            leftHalf = leftHalf.filter((_, index) => !fullColIndices.includes(index));
+            rightHalf = rightHalf.filter((_, index) => !fullColIndices.includes(index + centerCol));
+
+            // Add empty cells to maintain row size
+            while (leftHalf.length < centerCol) {
+                leftHalf.unshift(null);
+            }
+            while (rightHalf.length < (this.gridWidth - centerCol)) {
+                rightHalf.push(null);
+            }
+
+            // Row with shifted columns
+            return [...leftHalf, ...rightHalf];
+        });
+    }
+
+    /**
+     * Knock out players who can't move and end the round once it is decided
+     * @returns {boolean} True if the round is over
+     */
+    checkGameOver() {
+        // The round may already have ended (sprint target reached, clock ran out)
+        if (this.phase === PHASES.OVER) {
+            return true;
+        }
+        if (this.phase !== PHASES.PLAYING) {
+            return false;
+        }
+        if (this.elimination) {
+            this.eliminateStuckPlayers();
+            return this.endIfDecided('no_moves');
+        }
+        // Older rounds went on until nobody could move
+        if (Array.from(this.players.values()).some(player => this.canPlayerMove(player))) {
+            return false;
+        }
+        return this.endGame('no_moves');
+    }
+
+    canPlaceFigure(playerId, figure) {
+        const board = this.getBoard(playerId);
+        if (!figure || !figure.cells || !board) return false;
+
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                let fits = true;
+                for (const [dx, dy] of figure.cells) {
+                    const targetX = x + dx;
+                    const targetY = y + dy;
+
+                    if (!this.isInBounds(targetX, targetY)) {
+                        fits = false;
+                        break;
+                    }
+
+                    const cell = board[targetY][targetX];
+                    if (cell !== null) {
+                        if (cell.playerId === playerId && cell.state === 'drawing') {
+                            // Treat as empty
+                        } else {
+                            fits = false;
+                            break;
+                        }
+                    }
+                }
+                if (fits) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Restart the game with a fresh grid and figure streams
+     * @param {number|string} seed - Seed for the new round (a random seed if omitted)
+     */
+    restart(seed = generateSeed()) {
+        this.seed = seed;
+
+        // Clear the grid (and every player's board in versus games)
+        this.initialGrid = this.createStartingGrid();
+        this.grid = this.initialGrid.map(row => [...row]);
+        this.boards = {};
+        this.garbageRng = new SeededRandom(deriveSeed(this.seed, 'garbage'));
+        
+        // Reset game over state; the new round waits in the lobby until the host starts it
+        this.gameOver = false;
+        this.phase = PHASES.LOBBY;
+        this.countdownEndsAt = null;
+        this.endsAt = null;
+        this.shotClocks = {};
+        this.endReason = null;
+        this.winnerId = null;
+        this.currentTurnPlayerId = null;
+        this.turnEndsAt = null;
+        this.turnNumber = 0;
+        this.turnSeat = -1;
+        this.undoStack = [];
+        this.usedUndo = false;
+        
+        // Reset all players' scores and figures
+        for (const player of this.players.values()) {
+            this.playerStreams[player.id] = this.createSeatStream(player.seat);
+            player.score = 0;
+            player.ready = Boolean(player.bot);
+            player.hintsUsed = 0;
+            player.linesCleared = 0;
+            player.eliminated = false;
+            player.eliminatedAt = null;
+            player.placement = null;
+            this.dealFigures(player);
+            if (this.isVersus()) {
+                this.boards[player.id] = createEmptyGrid(this.gridWidth, this.gridHeight);
+            }
+        }
+        
+        // Reset game tracking properties
+        this.startTime = Date.now();
+        // Reset player join times to the restart time
+        for (const playerId of this.players.keys()) {
+            this.playerJoinTimes[playerId] = Date.now();
+        }
+        this.linesCleared = 0;
+        this.figuresPlaced = 0;
+        this.moves = [];
+        // The new round's replay starts with everyone already seated
+        const seatedPlayers = Array.from(this.players.values()).sort((a, b) => a.seat - b.seat);
+        for (const player of seatedPlayers) {
+            this.addMove(player.id, 'join', this.getJoinDetails(player));
+        }
+    }
+
+    /**
+      * Get the duration of the game in seconds
+      * @returns {number} Duration in seconds
+      */
+     getDuration() {
+         return Math.floor((Date.now() - this.startTime) / 1000);
+     }
+     
+     /**
+      * Get the duration a specific player has been in the game in seconds
+      * @param {string} playerId - The player ID
+      * @returns {number} Duration in seconds
+      */
+     getPlayerDuration(playerId) {
+         if (!this.playerJoinTimes[playerId]) {
+             return 0;
+         }
+         // A knocked-out player stopped playing when they went out
+         const player = this.players.get(playerId);
+         const endTime = player && player.eliminatedAt ? player.eliminatedAt : Date.now();
+         return Math.floor((endTime - this.playerJoinTimes[playerId]) / 1000);
+     }
+
+    /**
+     * Get the total lines cleared in the game
+     * @returns {number} Total lines cleared
+     */
+    getLinesCleared() {
+        return this.linesCleared;
+    }
+
+    /**
+     * Get the total figures placed in the game
+     * @returns {number} Total figures placed
+     */
+    getFiguresPlaced() {
+        return this.figuresPlaced;
+    }
+
+    /**
+     * Get the score for a specific player
+     * @param {string} playerId - The player ID
+     * @returns {number} Player's score (the team score in co-op games)
+     */
+    getScore(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) {
+            return 0;
+        }
+        return this.isCooperative() ? this.getTeamScore() : player.score;
+    }
+
+    /**
+     * Check whether the players play as one team
+     * @returns {boolean} True in co-op games
+     */
+    isCooperative() {
+        return Boolean(this.modeRules.cooperative);
+    }
+
+    /**
+     * Get the score of all players together
+     * @returns {number} Sum of the players' scores
+     */
+    getTeamScore() {
+        return Array.from(this.players.values()).reduce((total, player) => total + player.score, 0);
+    }
+
+    /**
+     * Get the lines cleared by all players together
+     * @returns {number} Sum of the lines each player's placements cleared
+     */
+    getTeamLinesCleared() {
+        return Array.from(this.players.values()).reduce((total, player) => total + player.linesCleared, 0);
+    }
+
+    /**
+     * Get the team's progress and outcome in co-op games
+     * @returns {Object|null} {score, linesCleared, targetLines, outcome} with outcome 'win', 'loss' or 'in_progress'; null in other modes
+     */
+    getTeamResult() {
+        if (!this.isCooperative()) {
+            return null;
+        }
+        let outcome = 'in_progress';
+        if (this.gameOver) {
+            outcome = this.endReason === 'target_reached' ? 'win' : 'loss';
+        }
+        return {
+            score: this.getTeamScore(),
+            linesCleared: this.getTeamLinesCleared(),
+            targetLines: this.modeRules.teamTargetLines,
+            outcome
+        };
+    }
+
+    /**
+     * Get the game result for a specific player
+     * @param {string} playerId - The player ID
+     * @returns {string} Finishing position ('1st', '2nd', '3rd', '4th'; tied players share one), the team's 'win' or 'loss'
+     * in co-op games, the team's 'win', 'loss' or 'draw' in team games, 'in_progress' or 'unknown'
+     */
+    getGameResult(playerId) {
+        if (!this.gameOver) {
+            return 'in_progress';
+        }
+
+        const player = this.players.get(playerId);
+        if (!player) {
+            return 'unknown';
+        }
+        // Every member of a co-op team gets the same result
+        if (this.isCooperative()) {
+            return this.getTeamResult().outcome;
+        }
+        if (this.isTeamGame()) {
+            return this.getTeamStandings()[player.team].outcome;
+        }
+        if (player.placement === null) {
+            return 'unknown';
+        }
+        return formatPlacement(player.placement);
+    }
+
+    /**
+     * Get every player's finishing position, best first
+     * @returns {Array} Array of {playerId, placement, score, eliminated}
+     */
+    getPlacements() {
+        return Array.from(this.players.values())
+            .filter(player => player.placement !== null)
+            .sort((a, b) => a.placement - b.placement)
+            .map(player => ({
+                playerId: player.id,
+                placement: player.placement,
+                score: player.score,
+                eliminated: player.eliminated
+            }));
+    }
+
+    /**
+     * Get the rules this room was created with, enough to rebuild it for a replay
+     * @returns {Object} Room rules
+     */
+    getRules() {
+        return {
+            gridWidth: this.gridWidth,
+            gridHeight: this.gridHeight,
+            rotateable: this.rotateable,
+            figureSet: this.figureSet.name,
+            randomizer: this.randomizer,
+            previewSize: this.previewSize,
+            holdEnabled: this.holdEnabled,
+            hintLimit: this.hintLimit,
+            practice: this.practice,
+            modeRules: this.modeRules
+        };
+    }
+
+    /**
+     * Get a replay of the current round: seed, rules and every recorded move
+     * @returns {Object} Replay {version, seed, rules, startTime, moves}
+     */
+    getReplay() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            rules: this.getRules(),
+            startTime: this.startTime,
+            moves: this.moves
+        };
+    }
+
+    /**
+     * Add a move to the game history
+     * @param {string} playerId - The player ID making the move
+     * @param {string} action - The action type (e.g., 'place_figure', 'place_pixel')
+     * @param {Object} details - Additional details about the move
+     */
+    addMove(playerId, action, details) {
+        const timestamp = Date.now();
+        this.moves.push({
+            playerId,
+            action,
+            details,
+            timestamp
+        });
+        this.lastActivityAt = timestamp;
+    }
+
+    /**
+     * Increment the figures placed counter
+     */
+    incrementFiguresPlaced() {
+        this.figuresPlaced++;
+    }
+
+    /**
+     * Increment the lines cleared counter
+     * @param {number} count - Number of lines cleared
+     */
+    incrementLinesCleared(count = 1) {
+        this.linesCleared += count;
+    }
+
+    /**
+     * Get initial grid state
+     * @returns {Array} Initial grid state
+     */
+    getInitialGrid() {
+        return this.initialGrid || createEmptyGrid(this.gridWidth, this.gridHeight);
+    }
+}
+
+export { Game, FIGURES, MIN_GRID_SIZE, MAX_GRID_SIZE, DEFAULT_GRID_SIZE, MAX_PREVIEW_SIZE, MAX_HINT_LIMIT, DEFAULT_MAX_PLAYERS, MAX_PLAYERS, REPLAY_VERSION, PHASES, isValidGridSize, isValidPreviewSize, isValidHintLimit, isValidMaxPlayers, getPlacementScore };
@@ -0,0 +1,89 @@
+/**
+ * Daily challenge - One puzzle per UTC day
+ * Every player starts on the same board and is dealt the same figures: both come from the day's seed,
+ * so a challenge needs nothing stored; the server ranks each player's first attempt on the daily leaderboard.
+ * The seed itself is kept on the server (see utils/dailySeed.js), so nobody can play the day's game ahead of time
+ */
+import { Game, DEFAULT_GRID_SIZE } from './Game.js';
+import { DEFAULT_FIGURE_SET } from './figureUtils.js';
+import { createModeRules } from './gameModes.js';
+
+const DAILY_GAME_MODE = 'daily';
+
+// The same rules every day: the default board and figures, a shuffled bag so everyone sees every figure, one figure of preview
+const DAILY_RANDOMIZER = 'bag';
+const DAILY_PREVIEW_SIZE = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the challenge of a UTC day
+ * @param {Date} date - Any time of the day (now if omitted)
+ * @returns {string} Challenge ID, the day as YYYY-MM-DD
+ */
+function getDailyChallengeId(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check that a challenge ID is a real day in YYYY-MM-DD form
+ * @param {string} challengeId - Challenge ID to check
+ * @returns {boolean} True if the ID names a day
+ */
+function isValidDailyChallengeId(challengeId) {
+  if (typeof challengeId !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(challengeId)) {
+    return false;
+  }
+  const start = new Date(`${challengeId}T00:00:00Z`);
+  return !Number.isNaN(start.getTime()) && getDailyChallengeId(start) === challengeId;
+}
+
+/**
+ * Get the time a challenge runs, stored as the leaderboard period
+ * @param {string} challengeId - Challenge ID
+ * @returns {{start: Date, end: Date}} Start of the UTC day and start of the next one
+ */
+function getDailyPeriod(challengeId) {
+  const start = new Date(`${challengeId}T00:00:00Z`);
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+}
+
+/**
+ * Check whether a challenge's day has passed
+ * @param {string} challengeId - Challenge ID
+ * @param {Date} now - Current time (now if omitted)
+ * @returns {boolean} True once the next UTC day has started
+ */
+function isDailyChallengeOver(challengeId, now = new Date()) {
+  return getDailyPeriod(challengeId).end <= now;
+}
+
+/**
+ * Create the game of a day's challenge: one player, no rotation, no hold slot and no hints
+ * @param {string} id - Room ID
+ * @param {number|string} seed - The day's seed
+ * @returns {Game} Game in its lobby
+ */
+function createDailyGame(id, seed) {
+  return new Game(id, false, {
+    gridWidth: DEFAULT_GRID_SIZE,
+    gridHeight: DEFAULT_GRID_SIZE,
+    figureSet: DEFAULT_FIGURE_SET,
+    seed,
+    randomizer: DAILY_RANDOMIZER,
+    previewSize: DAILY_PREVIEW_SIZE,
+    holdEnabled: false,
+    hintLimit: 0,
+    maxPlayers: 1,
+    modeRules: createModeRules(DAILY_GAME_MODE)
+  });
+}
+
+export {
+  DAILY_GAME_MODE,
+  getDailyChallengeId,
+  isValidDailyChallengeId,
+  getDailyPeriod,
+  isDailyChallengeOver,
+  createDailyGame
+};
@@ -0,0 +1,157 @@
+import figureSetDefinitions from '../figureSets.json' with { type: 'json' };
+
+const DEFAULT_FIGURE_SET = figureSetDefinitions.defaultSet;
+
+// Cell definitions for every known figure type, keyed by type
+const FIGURES = figureSetDefinitions.figures;
+
+// Rotate figure 90 degrees clockwise: (x, y) -> (-y, x), then normalize
+const rotateShape = (shape) => {
+    const rotated = shape.map(([x, y]) => [-y, x]);
+    const minX = Math.min(...rotated.map(p => p[0]));
+    const minY = Math.min(...rotated.map(p => p[1]));
+    return rotated.map(([x, y]) => [x - minX, y - minY]);
+};
+
+// Get the distinct orientations of a shape (up to 4), starting with the shape itself
+const getUniqueRotations = (shape) => {
+    const rotations = [];
+    const seen = new Set();
+    let current = shape;
+
+    for (let r = 0; r < 4; r++) {
+        const key = current.map(([x, y]) => `${x},${y}`).sort().join(';');
+        if (!seen.has(key)) {
+            seen.add(key);
+            rotations.push(current);
+        }
+        current = rotateShape(current);
+    }
+    return rotations;
+};
+
+// Cache of resolved figure sets, keyed by set name
+const resolvedFigureSets = new Map();
+
+// Check whether a figure set with the given name is defined
+const isValidFigureSet = (name) => {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(figureSetDefinitions.sets, name);
+};
+
+// Resolve a named figure set into its figure cells and derived rotation counts
+const getFigureSet = (name = DEFAULT_FIGURE_SET) => {
+    if (!isValidFigureSet(name)) {
+        throw new Error(`Unknown figure set: ${name}`);
+    }
+
+    if (!resolvedFigureSets.has(name)) {
+        const definition = figureSetDefinitions.sets[name];
+        const figures = {};
+        const rotations = {};
+        for (const type of definition.figures) {
+            figures[type] = FIGURES[type];
+            rotations[type] = getUniqueRotations(FIGURES[type]).length;
+        }
+        resolvedFigureSets.set(name, {
+            name,
+            label: definition.label,
+            types: [...definition.figures],
+            figures,
+            rotations
+        });
+    }
+    return resolvedFigureSets.get(name);
+};
+
+// List the available figure sets for room creation
+const getFigureSetList = () => {
+    return Object.entries(figureSetDefinitions.sets).map(([name, definition]) => ({
+        name,
+        label: definition.label
+    }));
+};
+
+// Helper to normalize pixels to (0,0)
+const normalizePixels = (pixels) => {
+    if (pixels.length === 0) return [];
+    const minX = Math.min(...pixels.map(p => p.x));
+    const minY = Math.min(...pixels.map(p => p.y));
+    return pixels.map(p => ({ x: p.x - minX, y: p.y - minY }));
+};
+
+// Check if pixels match a specific figure in any rotation
+const matchFigure = (normalizedPixels, figure, rotateable = false) => {
+    if (!figure.cells || figure.cells.length !== normalizedPixels.length) return false;
+
+    // If rotateable is true, check all 4 rotations; otherwise only check original orientation
+    let currentShape = figure.cells;
+    if (rotateable) {
+        for (let r = 0; r < 4; r++) {
+            const isSubset = normalizedPixels.every(p =>
+                currentShape.some(fp => fp[0] === p.x && fp[1] === p.y)
+            );
+
+            if (isSubset) return true;
+
+            currentShape = rotateShape(currentShape);
+        }
+    } else {
+        // Only check original orientation
+        const isSubset = normalizedPixels.every(p =>
+            currentShape.some(fp => fp[0] === p.x && fp[1] === p.y)
+        );
+        if (isSubset) return true;
+    }
+    return false;
+};
+
+// Check if pixels fit inside a figure (in any allowed rotation), so drawing can still complete it
+const fitsInsideFigure = (pixels, figure, rotateable = false) => {
+    if (!figure.cells || pixels.length > figure.cells.length) return false;
+
+    const shapes = rotateable ? getUniqueRotations(figure.cells) : [figure.cells];
+    return shapes.some(shape => {
+        const cellKeys = new Set(shape.map(([x, y]) => `${x},${y}`));
+        // Try anchoring the first pixel on every cell of the shape
+        return shape.some(([ax, ay]) => {
+            const dx = ax - pixels[0].x;
+            const dy = ay - pixels[0].y;
+            return pixels.every(p => cellKeys.has(`${p.x + dx},${p.y + dy}`));
+        });
+    });
+};
+
+// Helper to check if a partially drawn figure can still become one of the allowed figures
+const isPartialMatch = (pixels, figures, rotateable = false) => {
+    if (!pixels || pixels.length === 0) return true;
+    return figures.some(figure => fitsInsideFigure(pixels, figure, rotateable));
+};
+
+// Helper to check if pixels match any of the allowed figures (subset check)
+const checkMatch = (pixels, figures, rotateable = false) => {
+    if (!pixels || pixels.length === 0) return -1;
+
+    const normalized = normalizePixels(pixels);
+
+    for (let i = 0; i < figures.length; i++) {
+        if (matchFigure(normalized, figures[i], rotateable)) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+export {
+    checkMatch,
+    isPartialMatch,
+    normalizePixels,
+    rotateShape,
+    getUniqueRotations,
+    matchFigure,
+    getFigureSet,
+    getFigureSetList,
+    isValidFigureSet,
+    DEFAULT_FIGURE_SET,
+    FIGURES
+};
+ 
@@ -0,0 +1,142 @@
+/**
+ * Game modes - How a round ends besides running out of moves
+ * The mode name is stored in game_sessions.game_mode, so leaderboards can rank each mode separately
+ */
+
+const DEFAULT_GAME_MODE = 'classic';
+
+// Score attack: highest score when the time runs out
+const SCORE_ATTACK_DURATION_MS = 2 * 60 * 1000;
+
+// Sprint: first to clear this many lines
+const DEFAULT_SPRINT_LINES = 20;
+const SPRINT_LINE_OPTIONS = [10, 20, 40];
+
+// Shot clock: each player must place a figure within this many seconds
+const DEFAULT_SHOT_CLOCK_SECONDS = 10;
+const MIN_SHOT_CLOCK_SECONDS = 3;
+const MAX_SHOT_CLOCK_SECONDS = 60;
+
+// Turn based: players take turns placing one figure each; a turn not taken in time is skipped
+const DEFAULT_TURN_SECONDS = 20;
+const MIN_TURN_SECONDS = 5;
+const MAX_TURN_SECONDS = 120;
+
+// Versus: every player has a board of their own; clearing several lines at once sends garbage to the others
+
+// Co-op: the players share one score and win together by clearing this many lines before nobody can move
+const DEFAULT_COOP_LINES = 30;
+const COOP_LINE_OPTIONS = [20, 30, 50];
+
+// Teams: two teams share the board; a team's score is the sum of its players' scores
+const TEAM_COUNT = 2;
+
+// Daily challenge: a solo classic game on a board that starts with this many cells filled (see dailyChallenge.js)
+const DAILY_STARTING_CELLS = 16;
+
+const GAME_MODES = ['classic', 'score_attack', 'sprint', 'shot_clock', 'turn_based', 'versus', 'coop', 'teams', 'daily'];
+
+// Modes a solo game can be played in offline, in the browser: no clocks, so the server can check the result from the moves alone
+const OFFLINE_GAME_MODES = ['classic', 'sprint'];
+
+/**
+ * Check that a game mode name is known
+ * @param {string} mode - Game mode name
+ * @returns {boolean} True if the mode is known
+ */
+function isValidGameMode(mode) {
+  return GAME_MODES.includes(mode);
+}
+
+// Check that a number of seconds is a whole number within a range
+function isValidSeconds(seconds, min, max) {
+  return Number.isInteger(seconds) && seconds >= min && seconds <= max;
+}
+
+/**
+ * Resolve a game mode and its options into the rules a Game enforces
+ * @param {string} mode - Game mode name
+ * @param {Object} options - Mode options
+ * @param {number} options.sprintLines - Lines to clear in a sprint (one of SPRINT_LINE_OPTIONS)
+ * @param {number} options.shotClockSeconds - Seconds per move with a shot clock
+ * @param {number} options.turnSeconds - Seconds per turn in turn-based games
+ * @param {number} options.coopLines - Lines the team has to clear in co-op games (one of COOP_LINE_OPTIONS)
+ * @returns {Object} {mode, timeLimitMs, targetLines, shotClockMs, turnTimeMs, separateBoards, teamTargetLines, cooperative, teamCount, startingCells}
+ * (null where the mode has no such limit)
+ */
+function createModeRules(mode = DEFAULT_GAME_MODE, options = {}) {
+  const {
+    sprintLines = DEFAULT_SPRINT_LINES,
+    shotClockSeconds = DEFAULT_SHOT_CLOCK_SECONDS,
+    turnSeconds = DEFAULT_TURN_SECONDS,
+    coopLines = DEFAULT_COOP_LINES
+  } = options;
+  if (!isValidGameMode(mode)) {
+    throw new Error(`Unknown game mode: ${mode}`);
+  }
+
+  const rules = {
+    mode,
+    timeLimitMs: null,
+    targetLines: null,
+    shotClockMs: null,
+    turnTimeMs: null,
+    separateBoards: false,
+    teamTargetLines: null,
+    cooperative: false,
+    teamCount: null,
+    startingCells: null
+  };
+  switch (mode) {
+    case 'score_attack':
+      rules.timeLimitMs = SCORE_ATTACK_DURATION_MS;
+      break;
+    case 'sprint':
+      if (!SPRINT_LINE_OPTIONS.includes(sprintLines)) {
+        throw new Error(`Invalid sprint lines: ${sprintLines}`);
+      }
+      rules.targetLines = sprintLines;
+      break;
+    case 'shot_clock':
+      if (!isValidSeconds(shotClockSeconds, MIN_SHOT_CLOCK_SECONDS, MAX_SHOT_CLOCK_SECONDS)) {
+        throw new Error(`Invalid shot clock: ${shotClockSeconds}`);
+      }
+      rules.shotClockMs = shotClockSeconds * 1000;
+      break;
+    case 'turn_based':
+      if (!isValidSeconds(turnSeconds, MIN_TURN_SECONDS, MAX_TURN_SECONDS)) {
+        throw new Error(`Invalid turn time: ${turnSeconds}`);
+      }
+      rules.turnTimeMs = turnSeconds * 1000;
+      break;
+    case 'versus':
+      rules.separateBoards = true;
+      break;
+    case 'coop':
+      if (!COOP_LINE_OPTIONS.includes(coopLines)) {
+        throw new Error(`Invalid co-op lines: ${coopLines}`);
+      }
+      rules.teamTargetLines = coopLines;
+      rules.cooperative = true;
+      break;
+    case 'teams':
+      rules.teamCount = TEAM_COUNT;
+      break;
+    case 'daily':
+      rules.startingCells = DAILY_STARTING_CELLS;
+      break;
+    default:
+      break;
+  }
+  return rules;
+}
+
+export {
+  createModeRules,
+  isValidGameMode,
+  GAME_MODES,
+  DEFAULT_GAME_MODE,
+  SPRINT_LINE_OPTIONS,
+  COOP_LINE_OPTIONS,
+  OFFLINE_GAME_MODES
+};
@@ -0,0 +1,159 @@
+/**
+ * Randomizers - Strategies for choosing the next figure type dealt to a player
+ * Every randomizer draws from the player's seeded generator, so dealing stays reproducible
+ */
+
+const DEFAULT_RANDOMIZER = 'exclude_hand';
+
+// Number of recent types the history randomizer tries to avoid, and how often it rerolls
+const HISTORY_SIZE = 4;
+const HISTORY_ROLLS = 6;
+
+/**
+ * Pure random - every type is equally likely on every deal
+ */
+class RandomRandomizer {
+  constructor(types, rng) {
+    this.types = types;
+    this.rng = rng;
+  }
+
+  nextType() {
+    return this.types[this.rng.nextInt(this.types.length)];
+  }
+
+  getState() {
+    return { name: 'random' };
+  }
+
+  // Nothing to restore: every deal only depends on the generator
+  setState() {}
+}
+
+/**
+ * Exclude in hand - never deal a type the player is holding or just placed
+ */
+class ExcludeHandRandomizer extends RandomRandomizer {
+  nextType(excludeTypes = []) {
+    const availableTypes = this.types.filter(type => !excludeTypes.includes(type));
+    if (availableTypes.length === 0) {
+      // If all types are excluded, fallback to any random type
+      return super.nextType();
+    }
+    return availableTypes[this.rng.nextInt(availableTypes.length)];
+  }
+
+  getState() {
+    return { name: 'exclude_hand' };
+  }
+}
+
+/**
+ * Bag - deal every type of the set once, in shuffled order, before refilling (7-bag for tetrominoes)
+ */
+class BagRandomizer {
+  constructor(types, rng) {
+    this.types = types;
+    this.rng = rng;
+    this.bag = [];
+  }
+
+  refill() {
+    // Fisher-Yates shuffle of a full set of types
+    const bag = [...this.types];
+    for (let i = bag.length - 1; i > 0; i--) {
+      const j = this.rng.nextInt(i + 1);
+      [bag[i], bag[j]] = [bag[j], bag[i]];
+    }
+    this.bag = bag;
+  }
+
+  nextType() {
+    if (this.bag.length === 0) {
+      this.refill();
+    }
+    return this.bag.shift();
+  }
+
+  getState() {
+    // Upcoming types in the order they will be dealt
+    return { name: 'bag', upcoming: [...this.bag] };
+  }
+
+  setState(state) {
+    this.bag = [...state.upcoming];
+  }
+}
+
+/**
+ * History (TGM style) - reroll a few times when the type was dealt recently
+ */
+class HistoryRandomizer {
+  constructor(types, rng) {
+    this.types = types;
+    this.rng = rng;
+    this.history = [];
+    // Always leave at least one type outside the history
+    this.historySize = Math.min(HISTORY_SIZE, types.length - 1);
+  }
+
+  nextType() {
+    let type;
+    for (let roll = 0; roll < HISTORY_ROLLS; roll++) {
+      type = this.types[this.rng.nextInt(this.types.length)];
+      if (!this.history.includes(type)) {
+        break;
+      }
+    }
+
+    this.history.push(type);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+    return type;
+  }
+
+  getState() {
+    return { name: 'history', history: [...this.history] };
+  }
+
+  setState(state) {
+    this.history = [...state.history];
+  }
+}
+
+const RANDOMIZERS = {
+  random: RandomRandomizer,
+  exclude_hand: ExcludeHandRandomizer,
+  bag: BagRandomizer,
+  history: HistoryRandomizer
+};
+
+/**
+ * Check whether a randomizer with the given name exists
+ * @param {string} name - Randomizer name
+ * @returns {boolean} True if the randomizer is known
+ */
+function isValidRandomizer(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(RANDOMIZERS, name);
+}
+
+/**
+ * Create a randomizer for a player's figure stream
+ * @param {string} name - Randomizer name ('random', 'exclude_hand', 'bag' or 'history')
+ * @param {string[]} types - Figure types of the room's figure set
+ * @param {SeededRandom} rng - The player's seeded generator
+ * @returns {Object} Randomizer with nextType(excludeTypes), getState() and setState(state) to restore a captured state
+ */
+function createRandomizer(name, types, rng) {
+  if (!isValidRandomizer(name)) {
+    throw new Error(`Unknown randomizer: ${name}`);
+  }
+  return new RANDOMIZERS[name](types, rng);
+}
+
+export {
+  createRandomizer,
+  isValidRandomizer,
+  DEFAULT_RANDOMIZER
+};
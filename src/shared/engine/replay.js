@@ -0,0 +1,193 @@
+/**
+ * Replay - Rebuild a recorded game from its seed, rules and moves
+ * Moves are re-simulated through Game, so a replay shows exactly what the server computed;
+ * the server checks and analyses games with it and the replay viewer steps through them in the browser
+ */
+import { Game, REPLAY_VERSION } from './Game.js';
+
+// Oldest replay format that can still be simulated
+const MIN_REPLAY_VERSION = 1;
+
+const isSupportedVersion = (version) => Number.isInteger(version) && version >= MIN_REPLAY_VERSION && version <= REPLAY_VERSION;
+
+/**
+ * Capture what a viewer needs to draw the game at one point in time
+ * @param {Game} game - Game being simulated
+ * @returns {Object} Snapshot {grid, boards, players, gameOver} - boards holds each player's board in versus games
+ */
+function takeSnapshot(game) {
+  return {
+    // Cells are replaced rather than mutated, so copying the rows is enough
+    grid: game.grid.map(row => [...row]),
+    boards: game.isVersus()
+      ? Object.fromEntries(Object.entries(game.boards).map(([playerId, board]) => [playerId, board.map(row => [...row])]))
+      : null,
+    players: Array.from(game.players.values()).map(player => ({
+      id: player.id,
+      seat: player.seat,
+      color: player.color,
+      score: player.score,
+      figures: [...player.figures],
+      queue: [...player.queue],
+      hold: player.hold,
+      eliminated: player.eliminated,
+      placement: player.placement,
+      team: player.team
+    })),
+    gameOver: game.gameOver
+  };
+}
+
+/**
+ * Apply one recorded move to a game
+ * @param {Game} game - Game being simulated
+ * @param {Object} move - Recorded move {playerId, action, details}
+ * @returns {boolean} True if the game accepted the move
+ */
+function applyMove(game, move) {
+  const { playerId, action, details = {} } = move;
+
+  switch (action) {
+    case 'join':
+      game.addPlayer(playerId, details.color, null, details.bot || null);
+      // Version 4 team games record the team, which may differ from the one the player would be put on
+      if (details.team !== undefined && !game.setPlayerTeam(playerId, details.team)) {
+        return false;
+      }
+      return game.players.get(playerId).seat === details.seat;
+    case 'change_team':
+      return game.setPlayerTeam(playerId, details.team);
+    case 'leave':
+      return game.removePlayer(playerId);
+    case 'start_round':
+      return game.startRound();
+    case 'eliminate': {
+      // Players who got stuck were already knocked out when the move before was simulated
+      const player = game.players.get(playerId);
+      if (player && player.eliminated) {
+        return player.placement === details.placement;
+      }
+      // Only a shot clock running out knocks a player out without a move of its own
+      if (details.reason !== 'shot_clock' || !game.modeRules.shotClockMs) {
+        return false;
+      }
+      return game.eliminatePlayers([playerId], details.reason).length === 1 &&
+        game.players.get(playerId).placement === details.placement;
+    }
+    case 'skip_turn':
+      return game.skipTurn(playerId);
+    case 'end_round':
+      // Rounds ended by a move have already ended in the simulation; the clocks end them without one,
+      // either when time is up or once shot clock knockouts have decided the round
+      if (!game.gameOver) {
+        if (details.reason === 'time_up' && game.modeRules.timeLimitMs) {
+          game.endGame(details.reason);
+        } else {
+          game.endIfDecided(details.reason);
+        }
+      }
+      return game.gameOver;
+    case 'change_color':
+      return game.updatePlayerColor(playerId, details.color);
+    case 'place_pixel':
+      return game.placePixel(playerId, details.status, details.position);
+    case 'reject_figure':
+      game.rejectFigure(playerId);
+      return true;
+    case 'place_figure': {
+      const success = game.placeFigure(playerId, details.pixels);
+      if (success) {
+        game.checkGameOver();
+      }
+      return success && game.playerStreams[playerId].rng.getState() === details.rngState;
+    }
+    case 'hold_figure': {
+      const success = game.holdFigure(playerId, details.figureIndex);
+      if (success) {
+        game.checkGameOver();
+      }
+      return success && game.playerStreams[playerId].rng.getState() === details.rngState;
+    }
+    case 'hint':
+      return game.useHint(playerId);
+    case 'undo':
+      return game.undoMove(playerId);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Rebuild the game of a replay by running its moves through Game
+ * @param {Object} replay - Replay from Game.getReplay() or getSessionReplay()
+ * @param {Function} onMove - Called with (game, move, moveIndex) before the first move (move null, index -1) and after every move
+ * @returns {Object} {game, desyncedAt} - desyncedAt is the first move the simulation disagreed with, or null
+ */
+function rebuildGame(replay, onMove = () => {}) {
+  if (!replay || !isSupportedVersion(replay.version)) {
+    throw new Error('Unsupported replay version');
+  }
+
+  const { rules } = replay;
+  const game = new Game('replay', rules.rotateable, {
+    gridWidth: rules.gridWidth,
+    gridHeight: rules.gridHeight,
+    figureSet: rules.figureSet,
+    seed: replay.seed,
+    randomizer: rules.randomizer,
+    previewSize: rules.previewSize,
+    holdEnabled: rules.holdEnabled,
+    // Version 5 added hints
+    hintLimit: rules.hintLimit ?? 0,
+    // Version 6 added practice rooms
+    practice: Boolean(rules.practice),
+    modeRules: rules.modeRules,
+    // Version 3 rounds knock out stuck players; older rounds ended only when nobody could move
+    elimination: replay.version >= 3
+  });
+  // Version 1 rounds had no lobby: play started as soon as the room existed
+  if (replay.version < 2) {
+    game.startRound();
+  }
+
+  onMove(game, null, -1);
+  let desyncedAt = null;
+  replay.moves.forEach((move, moveIndex) => {
+    const accepted = applyMove(game, move);
+    if (!accepted && desyncedAt === null) {
+      desyncedAt = moveIndex;
+    }
+    onMove(game, move, moveIndex);
+  });
+
+  return { game, desyncedAt };
+}
+
+/**
+ * Re-simulate a replay and produce one frame per move
+ * @param {Object} replay - Replay from Game.getReplay() or getSessionReplay()
+ * @returns {Object} {frames, desyncedAt} - desyncedAt is the first move the simulation disagreed with, or null
+ */
+function simulateReplay(replay) {
+  const startTime = replay && replay.moves
+    ? replay.startTime ?? (replay.moves[0] ? replay.moves[0].timestamp : 0)
+    : 0;
+  const frames = [];
+  const { desyncedAt } = rebuildGame(replay, (game, move, moveIndex) => {
+    frames.push({
+      moveIndex,
+      time: move ? move.timestamp - startTime : 0,
+      action: move ? move.action : null,
+      playerId: move ? move.playerId : null,
+      ...takeSnapshot(game)
+    });
+  });
+
+  return { frames, desyncedAt };
+}
+
+export {
+  isSupportedVersion,
+  rebuildGame,
+  simulateReplay
+};
@@ -0,0 +1,107 @@
+/**
+ * SeededRandom - Small deterministic PRNG (mulberry32) used for reproducible figure dealing
+ */
+
+const MAX_SEED_LENGTH = 64;
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} str - String to hash
+ * @returns {number} 32-bit unsigned hash
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Check whether a value can be used as a room seed
+ * @param {*} seed - Candidate seed (non-negative integer or short non-empty string)
+ * @returns {boolean} True if the seed is valid
+ */
+function isValidSeed(seed) {
+  if (typeof seed === 'number') {
+    return Number.isSafeInteger(seed) && seed >= 0;
+  }
+  if (typeof seed === 'string') {
+    return seed.length > 0 && seed.length <= MAX_SEED_LENGTH;
+  }
+  return false;
+}
+
+/**
+ * Generate a random seed for rooms created without one
+ * @returns {number} 32-bit unsigned seed
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Derive the seed of an independent stream (e.g. a player's seat) from a room seed
+ * @param {number|string} seed - Room seed
+ * @param {number|string} stream - Stream identifier
+ * @returns {number} 32-bit unsigned seed for the stream
+ */
+function deriveSeed(seed, stream) {
+  return hashString(`${seed}:${stream}`);
+}
+
+class SeededRandom {
+  /**
+   * Create a new generator
+   * @param {number} seed - 32-bit unsigned seed
+   */
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Get the next float in [0, 1)
+   * @returns {number} Pseudo-random float
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Get the next integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Pseudo-random integer
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Get the internal state so the generator can be restored later
+   * @returns {number} Current state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restore a state captured with getState()
+   * @param {number} state - State to restore
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+export {
+  SeededRandom,
+  hashString,
+  isValidSeed,
+  generateSeed,
+  deriveSeed
+};
@@ -0,0 +1,307 @@
+/**
+ * Solver - finds and rates every legal placement of a player's hand
+ * Bots play its best moves, hints show them to players, and post-game analysis measures moves against them
+ */
+import { getUniqueRotations } from './figureUtils.js';
+import { getPlacementScore } from './Game.js';
+
+// Moves a hint shows
+const HINT_MOVES = 3;
+
+// Lookahead only follows up the best few placements, which keeps big boards fast
+const LOOKAHEAD_CANDIDATES = 12;
+
+// A placement that leaves the rest of the hand nowhere to go would knock the player out
+const STUCK_PENALTY = 10000;
+
+/**
+ * Reduce a board to filled (true) and empty (null) cells
+ * Other players' unfinished drawings block a placement just like solid cells; the player's own don't
+ * @param {Array} board - Board from Game.getBoard()
+ * @param {string} playerId - Player the placement is for
+ * @returns {Array} Board of true and null
+ */
+const toOccupancy = (board, playerId) => {
+    return board.map(row => row.map(cell => (
+        cell === null || (cell.playerId === playerId && cell.state === 'drawing') ? null : true
+    )));
+};
+
+/**
+ * List every legal placement of the figures in a hand (in every orientation if the room allows rotation)
+ * @param {Game} game - Game the board belongs to
+ * @param {Array} board - Board of true and null
+ * @param {Array} figures - Figures to place
+ * @returns {Array} Placements {figureIndex, pixels}
+ */
+const listPlacements = (game, board, figures) => {
+    const placements = [];
+    figures.forEach((figure, figureIndex) => {
+        const shapes = game.rotateable ? getUniqueRotations(figure.cells) : [figure.cells];
+        for (const cells of shapes) {
+            for (let y = 0; y < game.gridHeight; y++) {
+                for (let x = 0; x < game.gridWidth; x++) {
+                    const pixels = cells.map(([dx, dy]) => ({ x: x + dx, y: y + dy }));
+                    if (pixels.every(p => game.isInBounds(p.x, p.y) && board[p.y][p.x] === null)) {
+                        placements.push({ figureIndex, pixels });
+                    }
+                }
+            }
+        }
+    });
+    return placements;
+};
+
+/**
+ * Place a figure on a copy of a board and clear the lines it fills, as Game.checkLines() does
+ * @param {Game} game - Game the board belongs to
+ * @param {Array} board - Board of true and null
+ * @param {Array} pixels - Cells of the placement
+ * @returns {Object} {board, linesCleared} - the board after the placement
+ */
+const applyPlacement = (game, board, pixels) => {
+    let next = board.map(row => [...row]);
+    pixels.forEach(p => {
+        next[p.y][p.x] = true;
+    });
+
+    const fullRows = [];
+    const fullCols = [];
+    for (let y = 0; y < game.gridHeight; y++) {
+        if (next[y].every(cell => cell !== null)) {
+            fullRows.push(y);
+        }
+    }
+    for (let x = 0; x < game.gridWidth; x++) {
+        if (next.every(row => row[x] !== null)) {
+            fullCols.push(x);
+        }
+    }
+    if (fullRows.length > 0) {
+        next = game.clearAndShiftRows(next, fullRows);
+    }
+    if (fullCols.length > 0) {
+        next = game.clearAndShiftColumns(next, fullCols);
+    }
+    return { board: next, linesCleared: fullRows.length + fullCols.length };
+};
+
+// Cells of the room's smallest figure; empty pockets smaller than that can never be filled
+const getSmallestFigureSize = (game) => {
+    return Math.min(...Object.values(game.figureSet.figures).map(cells => cells.length));
+};
+
+/**
+ * Measure the empty space of a board
+ * @param {Array} board - Board of true and null
+ * @param {number} smallestFigure - Cells of the smallest figure in play
+ * @returns {Object} {space, holes} - empty cells a figure still fits into, and cells in pockets too small for any
+ */
+const measureSpace = (board, smallestFigure) => {
+    const height = board.length;
+    const width = board[0].length;
+    const seen = board.map(row => row.map(cell => cell !== null));
+    let space = 0;
+    let holes = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (seen[y][x]) continue;
+            // Flood fill the empty region starting here
+            let size = 0;
+            const stack = [[x, y]];
+            seen[y][x] = true;
+            while (stack.length > 0) {
+                const [cx, cy] = stack.pop();
+                size++;
+                for (const [nx, ny] of [[cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]]) {
+                    if (nx >= 0 && nx < width && ny >= 0 && ny < height && !seen[ny][nx]) {
+                        seen[ny][nx] = true;
+                        stack.push([nx, ny]);
+                    }
+                }
+            }
+            if (size < smallestFigure) {
+                holes += size;
+            } else {
+                space += size;
+            }
+        }
+    }
+    return { space, holes };
+};
+
+/**
+ * Count the sides of a placement that touch filled cells or the edge of the board
+ * Snug placements leave fewer holes
+ * @param {Game} game - Game the board belongs to
+ * @param {Array} board - Board of true and null, before the placement
+ * @param {Array} pixels - Cells of the placement
+ * @returns {number} Touching sides
+ */
+const countContacts = (game, board, pixels) => {
+    const own = new Set(pixels.map(p => `${p.x},${p.y}`));
+    let contacts = 0;
+    for (const p of pixels) {
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const x = p.x + dx;
+            const y = p.y + dy;
+            if (!game.isInBounds(x, y) || (board[y][x] !== null && !own.has(`${x},${y}`))) {
+                contacts++;
+            }
+        }
+    }
+    return contacts;
+};
+
+// What ratePlacement() needs to know about the board before any placement on it
+const createContext = (board, smallestFigure) => ({
+    smallestFigure,
+    holes: measureSpace(board, smallestFigure).holes
+});
+
+/**
+ * Rate a placement by what it does right away: lines first, then holes, then how snugly it fits
+ * @param {Game} game - Game the board belongs to
+ * @param {Array} board - Board of true and null
+ * @param {Array} figures - The hand the placement was picked from
+ * @param {Object} placement - Placement {figureIndex, pixels}
+ * @param {Object} context - {smallestFigure, holes}: cells of the smallest figure in play, and holes before the placement
+ * @returns {Object} Rated placement, with the board it leaves behind
+ */
+const ratePlacement = (game, board, figures, placement, context) => {
+    const result = applyPlacement(game, board, placement.pixels);
+    const after = measureSpace(result.board, context.smallestFigure);
+    const holesCreated = after.holes - context.holes;
+    const figure = figures[placement.figureIndex];
+
+    return {
+        figureIndex: placement.figureIndex,
+        figure: figure.type,
+        pixels: placement.pixels,
+        linesCleared: result.linesCleared,
+        holesCreated,
+        space: after.space,
+        points: getPlacementScore(figure.cells.length, result.linesCleared),
+        rating: result.linesCleared * 100 - holesCreated * 10 +
+            countContacts(game, board, placement.pixels) + after.space / 100,
+        board: result.board
+    };
+};
+
+/**
+ * Add to a rating the best the rest of the hand can do after the placement
+ * @param {Game} game - Game the board belongs to
+ * @param {Object} rated - Placement rated by ratePlacement()
+ * @param {Array} figures - The hand the placement was picked from
+ * @param {number} smallestFigure - Cells of the smallest figure in play
+ * @returns {number} Rating
+ */
+const rateLookahead = (game, rated, figures, smallestFigure) => {
+    const rest = figures.filter((_, index) => index !== rated.figureIndex);
+    if (rest.length === 0) {
+        return rated.rating;
+    }
+    const followUps = listPlacements(game, rated.board, rest);
+    if (followUps.length === 0) {
+        return rated.rating - STUCK_PENALTY;
+    }
+    const context = createContext(rated.board, smallestFigure);
+    const bestFollowUp = Math.max(...followUps.map(followUp => (
+        ratePlacement(game, rated.board, rest, followUp, context).rating
+    )));
+    return rated.rating + bestFollowUp + followUps.length / 100;
+};
+
+// Drop the solver's working board so moves can be sent to clients
+const toMove = ({ board, ...move }) => move;
+
+// Best first; equally rated moves keep the order they were found in
+const byRating = (a, b) => b.rating - a.rating;
+
+/**
+ * Rate every legal placement of a player's hand, keeping the board each one leaves behind
+ * @param {Game} game - Game being played
+ * @param {string} playerId - The player ID
+ * @returns {Object} {figures, context, rated} - the hand, the board context and the rated placements, best first
+ */
+const rateHand = (game, playerId) => {
+    const player = game.players.get(playerId);
+    const board = game.getBoard(playerId);
+    if (!player || player.eliminated || !board) {
+        return { figures: [], context: null, rated: [] };
+    }
+
+    const occupancy = toOccupancy(board, playerId);
+    const context = createContext(occupancy, getSmallestFigureSize(game));
+    const rated = listPlacements(game, occupancy, player.figures)
+        .map(placement => ratePlacement(game, occupancy, player.figures, placement, context))
+        .sort(byRating);
+    return { figures: player.figures, context, rated };
+};
+
+// Whether the rest of the hand still fits somewhere after a rated placement
+const leavesRoom = (game, rated, figures) => {
+    const rest = figures.filter((_, index) => index !== rated.figureIndex);
+    return rest.length === 0 || listPlacements(game, rated.board, rest).length > 0;
+};
+
+/**
+ * Rate every legal placement of a player's hand
+ * @param {Game} game - Game being played
+ * @param {string} playerId - The player ID
+ * @returns {Array} Moves {figureIndex, figure, pixels, linesCleared, holesCreated, space, points, rating}, best first
+ */
+const findPlacements = (game, playerId) => {
+    return rateHand(game, playerId).rated.map(toMove);
+};
+
+/**
+ * Rate one placement against the alternatives, e.g. a move a player actually made
+ * @param {Game} game - Game as it was before the move
+ * @param {string} playerId - The player ID
+ * @param {Array} pixels - Cells of the placement
+ * @returns {Object|null} {move, best, safe, leavesRoom} - the rated move, the best move, the best move that leaves room
+ *   for the rest of the hand (null if none does), and whether the move itself does; null if the cells aren't a legal placement
+ */
+const evaluatePlacement = (game, playerId, pixels) => {
+    const key = (cells) => cells.map(p => `${p.x},${p.y}`).sort().join(';');
+    const target = key(pixels);
+    const { figures, rated } = rateHand(game, playerId);
+    const move = rated.find(candidate => key(candidate.pixels) === target);
+    if (!move) {
+        return null;
+    }
+    const safe = rated.find(candidate => leavesRoom(game, candidate, figures));
+    return {
+        move: toMove(move),
+        best: toMove(rated[0]),
+        safe: safe ? toMove(safe) : null,
+        leavesRoom: leavesRoom(game, move, figures)
+    };
+};
+
+/**
+ * Find a player's best moves
+ * @param {Game} game - Game being played
+ * @param {string} playerId - The player ID
+ * @param {Object} options - {count, lookahead}: how many moves to return, and whether to plan the rest of the hand too
+ * @returns {Array} Moves as findPlacements() returns them, best first (at most LOOKAHEAD_CANDIDATES with lookahead)
+ */
+const getBestMoves = (game, playerId, { count = 1, lookahead = false } = {}) => {
+    const { figures, context, rated } = rateHand(game, playerId);
+    let moves = rated;
+    if (lookahead) {
+        moves = rated.slice(0, LOOKAHEAD_CANDIDATES)
+            .map(move => ({ ...move, rating: rateLookahead(game, move, figures, context.smallestFigure) }))
+            .sort(byRating);
+    }
+    return moves.slice(0, count).map(toMove);
+};
+
+export {
+    HINT_MOVES,
+    findPlacements,
+    evaluatePlacement,
+    getBestMoves
+};
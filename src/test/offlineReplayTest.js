@@ -0,0 +1,88 @@
+/**
+ * Offline Replay Test - Check that uploaded offline games are only accepted when they replay to a finished game
+ */
+
+const { Game } = require('../shared/engine/Game.js');
+const { createModeRules } = require('../shared/engine/gameModes.js');
+const { checkOfflineReplay } = require('../utils/replay.js');
+
+function createOfflineGame() {
+  const game = new Game('offline', true, { gridWidth: 8, gridHeight: 8, maxPlayers: 1, modeRules: createModeRules('classic') });
+  game.addPlayer('player1');
+  game.startRound();
+  return game;
+}
+
+// Place the first figure that fits until nothing fits any more
+function playUntilOver(game) {
+  while (!game.gameOver) {
+    const board = game.getBoard('player1');
+    const placement = game.players.get('player1').figures.map(figure => {
+      for (let y = 0; y < game.gridHeight; y++) {
+        for (let x = 0; x < game.gridWidth; x++) {
+          const pixels = figure.cells.map(([cellX, cellY]) => ({ x: x + cellX, y: y + cellY }));
+          if (pixels.every(({ x: px, y: py }) => game.isInBounds(px, py) && !board[py][px])) {
+            return pixels;
+          }
+        }
+      }
+      return null;
+    }).find(Boolean);
+    if (!placement || !game.placeFigure('player1', placement)) {
+      break;
+    }
+    game.checkGameOver();
+  }
+}
+
+function expectRejected(name, replay) {
+  try {
+    checkOfflineReplay(replay);
+    console.log(`✗ ${name} was accepted`);
+    return false;
+  } catch (error) {
+    console.log(`✓ ${name} rejected: ${error.message}`);
+    return true;
+  }
+}
+
+function runTests() {
+  console.log('Starting Offline Replay Tests...\n');
+  let passed = true;
+
+  // Test 1: A game played to the end is accepted with the score it was played to
+  const finished = createOfflineGame();
+  playUntilOver(finished);
+  const { game } = checkOfflineReplay(JSON.parse(JSON.stringify(finished.getReplay())));
+  if (finished.gameOver && game.getScore('player1') === finished.getScore('player1')) {
+    console.log('✓ Finished game accepted with score', game.getScore('player1'));
+  } else {
+    console.log('✗ Finished game was not rebuilt to the same result');
+    passed = false;
+  }
+
+  // Test 2: A round ended by a forged end_round move right after the start
+  const started = createOfflineGame();
+  const timestamp = started.moves[started.moves.length - 1].timestamp;
+  const forgedEnd = JSON.parse(JSON.stringify(started.getReplay()));
+  forgedEnd.moves.push({ playerId: null, action: 'end_round', details: { reason: 'no_moves' }, timestamp });
+  passed = expectRejected('Forged end_round', forgedEnd) && passed;
+
+  // Test 3: A round ended by knocking the player out without a move that got them stuck
+  const forgedEliminate = JSON.parse(JSON.stringify(started.getReplay()));
+  forgedEliminate.moves.push(
+    { playerId: 'player1', action: 'eliminate', details: { reason: 'no_moves', placement: 1 }, timestamp },
+    { playerId: null, action: 'end_round', details: { reason: 'no_moves' }, timestamp }
+  );
+  passed = expectRejected('Forged eliminate', forgedEliminate) && passed;
+
+  console.log(passed ? '\n🎉 All offline replay tests passed!' : '\n❌ Some offline replay tests failed');
+  return passed;
+}
+
+// Run the tests
+if (require.main === module) {
+  process.exitCode = runTests() ? 0 : 1;
+}
+
+module.exports = { runTests };
@@ -2,7 +2,7 @@
  * Transaction Test - Test the transaction functionality with multiple concurrent game sessions
  */
 
-const { Game } = require('../models/Game');
+const { Game } = require('../shared/engine/Game.js');
 const { pool, repositoryManager } = require('../config/db');
 const GameSessionService = require('../services/GameSessionService');
 
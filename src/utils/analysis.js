@@ -0,0 +1,111 @@
+/**
+ * Analysis - How each placement of a finished game compares with the solver's best move
+ * The game is rebuilt from its replay, and every placement is rated against the alternatives the player had at the time
+ */
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { rebuildGame } = require('../shared/engine/replay.js');
+const { evaluatePlacement } = require('../shared/engine/solver.js');
+
+// A placement rated this far below the best one scores no accuracy (a cleared line rates 100)
+const ACCURACY_RANGE = 100;
+
+// Accuracy of one placement, 100 for the best move down to 0
+function getMoveAccuracy(move, best) {
+  return Math.max(0, ACCURACY_RANGE - (best.rating - move.rating)) / ACCURACY_RANGE * 100;
+}
+
+/**
+ * Sum up a player's analysed placements
+ * @param {Array} moves - Analysed placements
+ * @returns {Object} {placements, bestMoves, accuracy, points, bestPoints, blunders}
+ */
+function summarize(moves) {
+  const total = (field) => moves.reduce((sum, move) => sum + move[field], 0);
+  return {
+    placements: moves.length,
+    bestMoves: moves.filter(move => move.accuracy === 100).length,
+    accuracy: moves.length > 0 ? Math.round(total('accuracy') / moves.length) : null,
+    points: total('points'),
+    bestPoints: total('bestPoints'),
+    blunders: moves.filter(move => move.blunder).length
+  };
+}
+
+/**
+ * Analyse every placement of a finished game
+ * A placement is a blunder if it left the player without a move while another placement left room for the rest of the hand
+ * @param {Object} replay - Replay from Game.getReplay() or getSessionReplay()
+ * @param {string[]|null} playerIds - Players to analyse (every player if null)
+ * @returns {Object} Analysis per player ID: the summary from summarize() plus its moves
+ *   [{moveIndex, figure, points, bestPoints, accuracy, best, blunder}], best holding the cells of the best move
+ */
+function analyzeGame(replay, playerIds = null) {
+  const analysed = new Map();
+  // The placement about to be made, rated before the game moves on
+  let pending = null;
+
+  rebuildGame(replay, (game, move, moveIndex) => {
+    if (pending && moveIndex === pending.moveIndex) {
+      // Players left without a move are knocked out as soon as the placement is made
+      const player = game.players.get(move.playerId);
+      const lockedOut = player.eliminated || !game.canPlayerMove(player);
+      const { evaluation } = pending;
+      analysed.get(move.playerId).push({
+        moveIndex,
+        figure: evaluation.move.figure,
+        points: evaluation.move.points,
+        bestPoints: evaluation.best.points,
+        accuracy: getMoveAccuracy(evaluation.move, evaluation.best),
+        best: evaluation.best.pixels,
+        blunder: lockedOut && !evaluation.leavesRoom && evaluation.safe !== null
+      });
+      pending = null;
+    }
+
+    const next = replay.moves[moveIndex + 1];
+    if (!next || next.action !== 'place_figure' || (playerIds && !playerIds.includes(next.playerId))) {
+      return;
+    }
+    const evaluation = evaluatePlacement(game, next.playerId, next.details.pixels);
+    if (evaluation) {
+      pending = { moveIndex: moveIndex + 1, evaluation };
+      if (!analysed.has(next.playerId)) {
+        analysed.set(next.playerId, []);
+      }
+    }
+  });
+
+  return Object.fromEntries(Array.from(analysed, ([playerId, moves]) => [
+    playerId,
+    {
+      ...summarize(moves),
+      moves: moves.map(move => ({ ...move, accuracy: Math.round(move.accuracy) }))
+    }
+  ]));
+}
+
+/**
+ * Run analyzeGame() on a worker thread
+ * Rating every alternative of every placement takes seconds for long games on big boards, too long to block the server
+ * @param {Object} replay - Replay from Game.getReplay() or getSessionReplay()
+ * @param {string[]|null} playerIds - Players to analyse (every player if null)
+ * @returns {Promise<Object>} Analysis per player ID, as analyzeGame() returns it
+ */
+function analyzeGameInWorker(replay, playerIds = null) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'analysisWorker.js'), { workerData: { replay, playerIds } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) {
+        reject(new Error(`Analysis worker stopped with exit code ${code}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  analyzeGame,
+  analyzeGameInWorker
+};
@@ -0,0 +1,7 @@
+/**
+ * Worker thread entry for analyzeGameInWorker(): analyses one game and posts the result back
+ */
+const { parentPort, workerData } = require('worker_threads');
+const { analyzeGame } = require('./analysis');
+
+parentPort.postMessage(analyzeGame(workerData.replay, workerData.playerIds));
@@ -0,0 +1,83 @@
+/**
+ * Bots - players the server plays itself
+ * A bot looks at its board and hand the way Game sees them and picks a legal move
+ */
+const { findPlacements, getBestMoves } = require('../shared/engine/solver.js');
+
+// Easy bots place at random, medium bots play the solver's best move now, hard bots also plan the rest of their hand
+const BOT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_BOT_DIFFICULTY = 'medium';
+
+// How long a bot takes over a move, so people can follow what it does
+const BOT_MOVE_DELAY_MS = {
+  easy: 2500,
+  medium: 2000,
+  hard: 1500
+};
+
+// Bot colors, in the rgb() form the client uses for players
+const BOT_COLORS = ['rgb(230, 126, 34)', 'rgb(142, 68, 173)', 'rgb(22, 160, 133)', 'rgb(127, 140, 141)'];
+
+/**
+ * Check that a bot difficulty is known
+ * @param {string} difficulty - Difficulty to check
+ * @returns {boolean} True for one of BOT_DIFFICULTIES
+ */
+function isValidBotDifficulty(difficulty) {
+  return BOT_DIFFICULTIES.includes(difficulty);
+}
+
+/**
+ * Pick a color for a new bot that no one in the room has yet
+ * @param {Game} game - Room the bot joins
+ * @returns {string} Bot color
+ */
+function pickBotColor(game) {
+  const taken = new Set(Array.from(game.players.values(), player => player.color));
+  return BOT_COLORS.find(color => !taken.has(color)) || BOT_COLORS[game.players.size % BOT_COLORS.length];
+}
+
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+// One of the best moves, with ties broken at random so bots don't all play alike
+function pickBest(moves) {
+  return pickRandom(moves.filter(move => move.rating === moves[0].rating));
+}
+
+// Nothing in hand fits: try the hold slot before getting knocked out
+function getStuckMove(game, player) {
+  return game.holdEnabled && !player.holdUsed ? { type: 'hold', figureIndex: 0 } : null;
+}
+
+/**
+ * Choose a bot's next move
+ * @param {Game} game - Game being played
+ * @param {string} playerId - The bot's player ID
+ * @param {string} difficulty - One of BOT_DIFFICULTIES
+ * @returns {Object|null} {type: 'place', pixels}, {type: 'hold', figureIndex}, or null if the bot can't move
+ */
+function chooseBotMove(game, playerId, difficulty) {
+  const player = game.players.get(playerId);
+  if (!player || player.eliminated) {
+    return null;
+  }
+
+  if (difficulty === 'easy') {
+    const placements = findPlacements(game, playerId);
+    return placements.length > 0 ? { type: 'place', pixels: pickRandom(placements).pixels } : getStuckMove(game, player);
+  }
+
+  const moves = getBestMoves(game, playerId, { count: Infinity, lookahead: difficulty === 'hard' });
+  return moves.length > 0 ? { type: 'place', pixels: pickBest(moves).pixels } : getStuckMove(game, player);
+}
+
+module.exports = {
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  BOT_MOVE_DELAY_MS,
+  isValidBotDifficulty,
+  pickBotColor,
+  chooseBotMove
+};
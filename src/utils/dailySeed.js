@@ -0,0 +1,46 @@
+/**
+ * Daily seed - The seed of each day's challenge, known only to the server
+ * A seed anyone could work out would let players rehearse the day's board and figures in a room of their own
+ * before their ranked attempt, so it is an HMAC of the day with a server secret
+ */
+const crypto = require('crypto');
+const { isDailyChallengeOver } = require('../shared/engine/dailyChallenge.js');
+
+// Falls back to the session secret; without either, seeds (and so the day's board) change on every restart
+let secret = process.env.DAILY_CHALLENGE_SECRET || process.env.SESSION_SECRET;
+if (!secret) {
+  console.warn('DAILY_CHALLENGE_SECRET is not set, daily challenges change when the server restarts');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Get the seed of a day's challenge; it picks the starting board and every figure dealt
+ * @param {string} challengeId - Challenge ID (YYYY-MM-DD)
+ * @returns {string} Seed, 64 hex characters
+ */
+function getDailySeed(challengeId) {
+  return crypto.createHmac('sha256', secret).update(`daily:${challengeId}`).digest('hex');
+}
+
+/**
+ * Check whether a stored game session is a daily challenge that is still running
+ * Its replay and analysis give the day's figures away, so they are kept back until the day is over
+ * @param {Object} gameSession - game_sessions row
+ * @returns {boolean} True if the session's challenge hasn't ended yet
+ */
+function isRunningDailySession(gameSession) {
+  if (gameSession.game_mode !== 'daily') {
+    return false;
+  }
+  let sessionData = gameSession.session_data;
+  if (typeof sessionData === 'string') {
+    sessionData = JSON.parse(sessionData);
+  }
+  const challengeId = (sessionData && sessionData.daily_challenge) || null;
+  return !challengeId || !isDailyChallengeOver(challengeId);
+}
+
+module.exports = {
+  getDailySeed,
+  isRunningDailySession
+};
@@ -0,0 +1,106 @@
+/**
+ * Replay - Read stored replays and check uploaded ones
+ * The simulation itself lives in shared/engine/replay.js, which the replay viewer runs in the browser too
+ */
+const { REPLAY_VERSION } = require('../shared/engine/Game.js');
+const { isValidSeed } = require('../shared/engine/seededRandom.js');
+const { createModeRules, OFFLINE_GAME_MODES } = require('../shared/engine/gameModes.js');
+const { isSupportedVersion, rebuildGame } = require('../shared/engine/replay.js');
+
+// Longest offline game the server re-validates (moves, counting every drawn cell)
+const MAX_OFFLINE_MOVES = 20000;
+
+/**
+ * Extract the replay of a stored game session
+ * @param {Object} gameSession - game_sessions row
+ * @returns {Object|null} Replay {version, seed, rules, startTime, moves} or null if the session has no replay
+ */
+function getSessionReplay(gameSession) {
+  let sessionData = gameSession.session_data;
+  if (typeof sessionData === 'string') {
+    sessionData = JSON.parse(sessionData);
+  }
+
+  // Sessions recorded before replays existed lack the cells of each move
+  if (!sessionData || !isSupportedVersion(sessionData.replay_version) || !sessionData.rules) {
+    return null;
+  }
+
+  return {
+    version: sessionData.replay_version,
+    seed: sessionData.seed,
+    rules: sessionData.rules,
+    startTime: sessionData.moves.length > 0 ? sessionData.moves[0].timestamp : null,
+    moves: sessionData.moves
+  };
+}
+
+/**
+ * Check a solo game played offline in the browser before it is stored
+ * The game is rebuilt from its moves on the server; only the moves, seed and room options come from the client
+ * @param {Object} replay - Replay uploaded by the client (from Game.getReplay())
+ * @returns {Object} {game, playerId, durationSeconds} - the rebuilt, finished game
+ * @throws {Error} If the replay is malformed, uses rules offline games can't have, or doesn't replay to a finished game
+ */
+function checkOfflineReplay(replay) {
+  if (!replay || replay.version !== REPLAY_VERSION || !Array.isArray(replay.moves) || !replay.rules) {
+    throw new Error('Unsupported replay');
+  }
+  if (replay.moves.length > MAX_OFFLINE_MOVES) {
+    throw new Error('Replay is too long');
+  }
+  if (!isValidSeed(replay.seed)) {
+    throw new Error('Invalid seed');
+  }
+  const { rules } = replay;
+  const mode = rules.modeRules && rules.modeRules.mode;
+  if (!OFFLINE_GAME_MODES.includes(mode)) {
+    throw new Error(`Game mode not available offline: ${mode}`);
+  }
+
+  // One player, who joins first; every later move is theirs, apart from the end of the round
+  const [join] = replay.moves;
+  if (!join || join.action !== 'join') {
+    throw new Error('Replay must start with the player joining');
+  }
+  const playerId = join.playerId;
+  const isOwnMove = (move) => move.playerId === playerId || (move.playerId === null && move.action === 'end_round');
+  if (replay.moves.some((move, index) => !isOwnMove(move) || (index > 0 && move.action === 'join'))) {
+    throw new Error('Offline games have one player');
+  }
+  if (replay.moves.some((move, index) => index > 0 && !(move.timestamp >= replay.moves[index - 1].timestamp))) {
+    throw new Error('Moves are out of order');
+  }
+
+  // Rebuild the mode from its name so the client can't loosen its limits
+  const sanitized = {
+    ...replay,
+    rules: {
+      gridWidth: rules.gridWidth,
+      gridHeight: rules.gridHeight,
+      rotateable: Boolean(rules.rotateable),
+      figureSet: rules.figureSet,
+      randomizer: rules.randomizer,
+      previewSize: rules.previewSize,
+      holdEnabled: Boolean(rules.holdEnabled),
+      hintLimit: rules.hintLimit ?? 0,
+      modeRules: createModeRules(mode, { sprintLines: rules.modeRules.targetLines ?? undefined })
+    }
+  };
+  const { game, desyncedAt } = rebuildGame(sanitized);
+  if (desyncedAt !== null) {
+    throw new Error(`Replay diverges at move ${desyncedAt + 1}`);
+  }
+  if (!game.gameOver) {
+    throw new Error('Game is not over');
+  }
+
+  const start = replay.moves.find(move => move.action === 'start_round');
+  const end = replay.moves[replay.moves.length - 1];
+  return { game, playerId, durationSeconds: Math.floor((end.timestamp - start.timestamp) / 1000) };
+}
+
+module.exports = {
+  getSessionReplay,
+  checkOfflineReplay
+};